@@ -0,0 +1,247 @@
+// HTTP access control
+// API keys or HMAC-signed requests, an Origin allowlist, per-client rate limits
+// and an append-only JSON-lines audit log of every request that changes something.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { logger: log } = require('./logger');
+
+// Comma-separated setting as a trimmed list
+function parseList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "front-till:key1,kiosk:key2" - a key without a name is called client-1, client-2, ...
+function parseApiKeys(value) {
+    return parseList(value).map((entry, i) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+            ? { name: entry.substring(0, separator).trim(), key: entry.substring(separator + 1).trim() }
+            : { name: `client-${i + 1}`, key: entry };
+    }).filter(client => client.key);
+}
+
+// Hex HMAC-SHA256 a client sends in X-Signature: timestamp, method, path and body, one per line
+function signRequest(key, { timestamp, method, url, body = '' }) {
+    return crypto.createHmac('sha256', key)
+        .update(`${timestamp}\n${String(method).toUpperCase()}\n${url}\n${body}`)
+        .digest('hex');
+}
+
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function createAccessControl({
+    apiKeys = [],
+    allowedOrigins = [],
+    publicPaths = ['/health'],
+    signatureMaxAge = 300,         // seconds either side of our clock
+    rateLimit = 60,                // requests per window per client, 0 = unlimited
+    rateWindowMs = 60000,
+    auditFile = path.join(process.cwd(), 'print-audit.jsonl')
+} = {}) {
+    const clients = apiKeys.filter(client => client.key);
+    const buckets = new Map();
+    const seenSignatures = new Map();
+    let lastSweep = Date.now();
+
+    const enabled = clients.length > 0;
+
+    function originAllowed(origin) {
+        return allowedOrigins.length === 0 || allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+    }
+
+    // Options for the cors middleware: the allowlist, or any origin when there is none
+    const corsOptions = allowedOrigins.length === 0 || allowedOrigins.includes('*')
+        ? {}
+        : { origin: allowedOrigins };
+
+    // Browsers send Origin on cross-site requests, including plain form posts that
+    // CORS never blocks, so reject unlisted origins before anything is printed
+    function checkOrigin(req, res, next) {
+        const origin = req.headers.origin;
+        if (origin && !originAllowed(origin)) {
+            res.status(403).json({ success: false, message: `Origin not allowed: ${origin}` });
+            return;
+        }
+        next();
+    }
+
+    function clientForKey(key) {
+        let match = null;
+        for (const client of clients) {
+            if (safeEqual(client.key, key) && !match) match = client;
+        }
+        return match;
+    }
+
+    // Check X-Client-Id / X-Timestamp / X-Signature; returns the client or an error message
+    function verifySignature(req) {
+        const clientId = req.get('x-client-id');
+        const timestamp = req.get('x-timestamp');
+        const signature = String(req.get('x-signature')).replace(/^sha256=/, '');
+        const client = clients.find(candidate => candidate.name === clientId);
+
+        if (!client) return { error: 'Unknown client for signed request' };
+        if (!/^\d+$/.test(timestamp || '') || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > signatureMaxAge) {
+            return { error: 'Signature timestamp missing or outside the allowed window' };
+        }
+
+        const expected = signRequest(client.key, {
+            timestamp,
+            method: req.method,
+            url: req.originalUrl,
+            body: req.rawBody ? req.rawBody.toString('utf8') : ''
+        });
+        if (!safeEqual(expected, signature.toLowerCase())) return { error: 'Invalid signature' };
+
+        // A captured request cannot be replayed while its timestamp is still accepted
+        if (seenSignatures.has(signature)) return { error: 'Signature already used' };
+        seenSignatures.set(signature, Date.now() + signatureMaxAge * 2000);
+        return { client };
+    }
+
+    // Require an API key (Authorization: Bearer / X-API-Key) or a signature; sets req.apiClient
+    function authenticate(req, res, next) {
+        if (!enabled || req.method === 'OPTIONS' || publicPaths.includes(req.path)) {
+            next();
+            return;
+        }
+
+        let result;
+        if (req.get('x-signature')) {
+            result = verifySignature(req);
+        } else {
+            const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+            const key = bearer ? bearer[1].trim() : req.get('x-api-key');
+            const client = key ? clientForKey(key) : null;
+            result = client ? { client } : { error: key ? 'Invalid API key' : 'API key or request signature required' };
+        }
+
+        if (result.error) {
+            res.set('WWW-Authenticate', 'Bearer realm="printer"');
+            res.status(401).json({ success: false, message: result.error });
+            return;
+        }
+        req.apiClient = result.client.name;
+        next();
+    }
+
+    function sweep(now) {
+        if (now - lastSweep < rateWindowMs) return;
+        lastSweep = now;
+        for (const [id, bucket] of buckets) {
+            if (bucket.reset <= now) buckets.delete(id);
+        }
+        for (const [signature, expires] of seenSignatures) {
+            if (expires <= now) seenSignatures.delete(signature);
+        }
+    }
+
+    // Fixed-window request limit per client (per IP address for unauthenticated requests)
+    function limitRate(req, res, next) {
+        const now = Date.now();
+        sweep(now);
+        if (!rateLimit) {
+            next();
+            return;
+        }
+
+        const id = req.apiClient || req.ip;
+        let bucket = buckets.get(id);
+        if (!bucket || bucket.reset <= now) {
+            bucket = { count: 0, reset: now + rateWindowMs };
+            buckets.set(id, bucket);
+        }
+        bucket.count++;
+
+        res.set('RateLimit-Limit', String(rateLimit));
+        res.set('RateLimit-Remaining', String(Math.max(rateLimit - bucket.count, 0)));
+        res.set('RateLimit-Reset', String(Math.ceil((bucket.reset - now) / 1000)));
+
+        if (bucket.count > rateLimit) {
+            res.set('Retry-After', String(Math.ceil((bucket.reset - now) / 1000)));
+            res.status(429).json({ success: false, message: 'Too many requests - slow down' });
+            return;
+        }
+        next();
+    }
+
+    function record(entry) {
+        if (!auditFile) return;
+        try {
+            fs.appendFileSync(auditFile, JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n');
+        } catch (error) {
+            log.error('❌ Audit log write failed', { file: auditFile, error: error.message });
+        }
+    }
+
+    // Audit entries written between `from` and `to` (ms), e.g. drawer openings for a shift report.
+    // The log only ever grows, so it is streamed line by line rather than read in one go.
+    async function readAudit({ from = -Infinity, to = Infinity } = {}) {
+        if (!auditFile || !fs.existsSync(auditFile)) {
+            return [];
+        }
+        const entries = [];
+        const lines = readline.createInterface({ input: fs.createReadStream(auditFile, 'utf8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                const time = Date.parse(entry.time);
+                if (time >= from && time <= to) {
+                    entries.push(entry);
+                }
+            } catch (error) {
+                // A torn final line after a crash - ignore it
+            }
+        }
+        return entries;
+    }
+
+    // Log each non-GET request once it is answered, including rejected ones.
+    // Handlers add what was printed in res.locals.audit.
+    function audit(req, res, next) {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+            next();
+            return;
+        }
+        res.on('finish', () => record({
+            client: req.apiClient || null,
+            ip: req.ip,
+            origin: req.headers.origin || null,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ...res.locals.audit
+        }));
+        next();
+    }
+
+    return {
+        enabled,
+        clients: clients.map(client => client.name),
+        allowedOrigins,
+        rateLimit,
+        rateWindowMs,
+        auditFile,
+        corsOptions,
+        checkOrigin,
+        authenticate,
+        limitRate,
+        audit,
+        record,
+        readAudit
+    };
+}
+
+module.exports = {
+    parseList,
+    parseApiKeys,
+    signRequest,
+    createAccessControl
+};
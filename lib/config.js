@@ -0,0 +1,105 @@
+// Helper settings
+// Everything the helper reads from the environment (.env), in one object that
+// createPrinterHelper() takes. Tests build one from a plain object instead of
+// process.env.
+const os = require('os');
+const { parseApiKeys, parseList } = require('./access');
+
+function configFromEnv(env = process.env) {
+    return {
+        env,
+        port: env.PORT ? parseInt(env.PORT) : 3001,
+        // Interfaces to listen on (e.g. 127.0.0.1); empty = all of them
+        bindHosts: parseList(env.BIND_HOST),
+        // How long an HTTP print request waits for the printer before answering 202
+        httpPrintWait: parseInt(env.HTTP_PRINT_WAIT || '10000'),
+        // Where PUT /printers may point file and device printers
+        printerPaths: parseList(env.PRINTER_PATHS),
+
+        supabase: {
+            url: env.SUPABASE_URL || null,
+            anonKey: env.SUPABASE_ANON_KEY || null
+        },
+        polling: {
+            interval: parseInt(env.POLL_INTERVAL || '5000'),
+            // Supabase job claiming: who we are and how long a claim lasts without renewal
+            workerId: env.WORKER_ID || `${os.hostname()}-printer`,
+            leaseSeconds: parseInt(env.LEASE_SECONDS || '120'),
+            claimBatchSize: parseInt(env.CLAIM_BATCH_SIZE || '10'),
+            // Realtime mode: print on INSERT, keep polling as a slow reconciliation sweep
+            realtime: env.SUPABASE_REALTIME === 'true',
+            reconcileInterval: parseInt(env.RECONCILE_INTERVAL || '60000'),
+            table: env.PRINT_JOBS_TABLE || 'print_jobs'
+        },
+
+        printerStatusInterval: parseInt(env.PRINTER_STATUS_INTERVAL || '10000'),
+        // Templates from the Supabase print_templates table are re-read this often
+        templatesTable: env.PRINT_TEMPLATES_TABLE || 'print_templates',
+        templateRefreshInterval: parseInt(env.TEMPLATE_REFRESH_INTERVAL || '300000'),
+        // Kitchen tickets for an order printed within this many hours are the baseline for its next ticket
+        ticketHistoryHours: parseFloat(env.TICKET_HISTORY_HOURS || '12'),
+        // How long shutdown waits for prints in progress before giving up on them
+        shutdownTimeout: parseInt(env.SHUTDOWN_TIMEOUT || '15000'),
+        // What to do when a receipt's own sum differs from the POS total: warn, reject or off
+        totalsCheck: env.TOTALS_CHECK || 'warn',
+
+        // Business details printed by the default templates (template_data overrides them)
+        business: {
+            name: env.BUSINESS_NAME || 'COTTAGE TANDOORI',
+            address: env.BUSINESS_ADDRESS || '',
+            phone: env.BUSINESS_PHONE || '',
+            email: env.BUSINESS_EMAIL || '',
+            website: env.BUSINESS_WEBSITE || '',
+            vat_number: env.BUSINESS_VAT_NUMBER || ''
+        },
+
+        // API keys, Origin allowlist, rate limits and audit log - see lib/access.js
+        access: {
+            apiKeys: parseApiKeys(env.API_KEYS),
+            allowedOrigins: parseList(env.CORS_ORIGINS),
+            signatureMaxAge: parseInt(env.SIGNATURE_MAX_AGE || '300'),
+            rateLimit: parseInt(env.RATE_LIMIT || '60'),
+            rateWindowMs: parseInt(env.RATE_LIMIT_WINDOW || '60000'),
+            auditFile: env.AUDIT_LOG === 'false' ? null : (env.AUDIT_LOG || undefined)
+        },
+
+        // Outgoing job and printer events - see lib/webhooks.js
+        webhooks: {
+            urls: parseList(env.WEBHOOK_URLS),
+            secret: env.WEBHOOK_SECRET || null,
+            events: parseList(env.WEBHOOK_EVENTS),
+            callbackHosts: parseList(env.CALLBACK_ALLOWED_HOSTS),
+            timeout: parseInt(env.WEBHOOK_TIMEOUT || '5000'),
+            maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS || '5'),
+            retryDelay: parseInt(env.WEBHOOK_RETRY_DELAY || '1000')
+        },
+
+        // Rendered jobs kept for GET /history and reprints - see lib/history.js
+        history: {
+            dir: env.HISTORY_DIR === 'false' ? null : (env.HISTORY_DIR || undefined),
+            retentionDays: parseFloat(env.HISTORY_RETENTION_DAYS || '30'),
+            maxEntries: parseInt(env.HISTORY_MAX_ENTRIES || '5000')
+        },
+
+        // X/Z shift reports - see lib/reports.js
+        reports: {
+            dayStart: env.REPORT_DAY_START || '04:00',
+            zTime: env.REPORT_Z_TIME || null,
+            printer: env.REPORT_PRINTER || null,
+            ordersTable: env.REPORT_ORDERS_TABLE || 'orders',
+            timeColumn: env.REPORT_TIME_COLUMN || 'created_at',
+            orderColumn: env.REPORT_ORDER_COLUMN || null
+        },
+
+        queue: {
+            filePath: env.QUEUE_FILE || undefined,
+            baseDelay: parseInt(env.QUEUE_RETRY_DELAY || '2000'),
+            maxDelay: parseInt(env.QUEUE_RETRY_MAX_DELAY || '60000'),
+            maxAttempts: parseInt(env.QUEUE_MAX_ATTEMPTS || '0')
+        }
+    };
+}
+
+module.exports = {
+    configFromEnv
+};
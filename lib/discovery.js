@@ -0,0 +1,116 @@
+// System printer discovery
+// Lists the print queues this machine knows about - CUPS queues (lpstat) on
+// Linux and macOS, installed printers (Win32_Printer) on Windows - with the
+// transport entry to paste into printers.json for each one.
+const os = require('os');
+const { execFile } = require('child_process');
+const { spoolerBackend } = require('./transports');
+
+// Win32_Printer.PrinterStatus values
+const WINDOWS_PRINTER_STATES = { 1: 'other', 2: 'unknown', 3: 'idle', 4: 'printing', 5: 'warming_up', 6: 'stopped', 7: 'offline' };
+
+const WINDOWS_PRINTERS_SCRIPT = 'Get-CimInstance Win32_Printer | Select-Object Name, Default, DriverName, PortName, PrinterStatus, WorkOffline | ConvertTo-Json -Compress';
+
+// Run a command; resolves with its output and exit code, rejects only when it cannot start
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { env: { ...process.env, LC_ALL: 'C' }, timeout: 15000, windowsHide: true }, (error, stdout, stderr) => {
+            if (error && typeof error.code !== 'number') {
+                reject(error);
+                return;
+            }
+            resolve({ stdout: String(stdout), stderr: String(stderr), code: error ? error.code : 0 });
+        });
+    });
+}
+
+// `lpstat -p -d -v` output -> queues with their state, device URI and the default flag
+function parseLpstat(output) {
+    const queues = new Map();
+    const queue = (name) => {
+        if (!queues.has(name)) {
+            queues.set(name, { name, default: false, state: 'unknown', enabled: true, device: null });
+        }
+        return queues.get(name);
+    };
+    let defaultName = null;
+
+    for (const line of String(output).split('\n')) {
+        let match;
+        if ((match = line.match(/^printer (\S+) (?:is (idle)|(now printing)|(disabled))/))) {
+            const entry = queue(match[1]);
+            entry.state = match[2] ? 'idle' : match[3] ? 'printing' : 'stopped';
+            entry.enabled = !match[4];
+        } else if ((match = line.match(/^device for (\S+?): (.+)$/))) {
+            queue(match[1]).device = match[2].trim();
+        } else if ((match = line.match(/^system default destination: (\S+)/))) {
+            defaultName = match[1];
+        }
+    }
+
+    if (defaultName && queues.has(defaultName)) {
+        queues.get(defaultName).default = true;
+    }
+    return Array.from(queues.values());
+}
+
+// ConvertTo-Json output of Win32_Printer (an object for one printer, an array for several)
+function parseWindowsPrinters(output) {
+    const text = String(output).trim();
+    if (!text) {
+        return [];
+    }
+    const parsed = JSON.parse(text);
+    return (Array.isArray(parsed) ? parsed : [parsed]).map(printer => ({
+        name: printer.Name,
+        default: Boolean(printer.Default),
+        state: printer.WorkOffline ? 'offline' : (WINDOWS_PRINTER_STATES[printer.PrinterStatus] || 'unknown'),
+        enabled: !printer.WorkOffline,
+        device: printer.PortName || null,
+        driver: printer.DriverName || null
+    }));
+}
+
+// Printers on this machine; `run` and `platform` can be swapped in tests
+async function discoverPrinters({ platform = os.platform(), run = runCommand } = {}) {
+    const backend = spoolerBackend(platform);
+    let printers;
+
+    if (backend === 'windows') {
+        const { stdout, stderr, code } = await run('powershell', ['-NoProfile', '-NonInteractive', '-Command', WINDOWS_PRINTERS_SCRIPT]);
+        if (code !== 0) {
+            throw new Error(`Get-CimInstance Win32_Printer failed: ${stderr.trim() || `exit code ${code}`}`);
+        }
+        printers = parseWindowsPrinters(stdout);
+    } else {
+        let result;
+        try {
+            result = await run('lpstat', ['-p', '-d', '-v']);
+        } catch (error) {
+            throw error.code === 'ENOENT'
+                ? new Error('lpstat not found - install CUPS (e.g. cups-client) to list system printers')
+                : error;
+        }
+        printers = parseLpstat(result.stdout);
+        // lpstat exits non-zero when there are no queues at all
+        if (result.code !== 0 && printers.length === 0 && !/no destinations/i.test(result.stderr)) {
+            throw new Error(`lpstat failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+        }
+    }
+
+    return {
+        platform,
+        backend,
+        printers: printers.map(printer => ({
+            ...printer,
+            transport: { type: 'spooler', printerName: printer.name }
+        }))
+    };
+}
+
+module.exports = {
+    runCommand,
+    parseLpstat,
+    parseWindowsPrinters,
+    discoverPrinters
+};
@@ -0,0 +1,203 @@
+// Text encoding for ESC/POS printers
+// Thermal printers expect single-byte code pages, not UTF-8. Each printer has a
+// code_page; receipts select it with ESC t and every character is transcoded to
+// that table, transliterated when it has no slot, or printed as '?' as a last resort.
+
+// Upper half (0x80-0xFF) of each code page. U+FFFD marks unused slots.
+const PC437_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅ' +
+    'ÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»' +
+    '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧' +
+    '╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩' +
+    '≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+const PC850_HIGH =
+    'ÇüéâäàåçêëèïîìÄÅ' +
+    'ÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+    'áíóúñÑªº¿®¬½¼¡«»' +
+    '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤' +
+    'ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+    '\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+// PC858 is PC850 with the euro sign in place of the dotless i (0xD5)
+const PC858_HIGH = PC850_HIGH.substring(0, 0x55) + '€' + PC850_HIGH.substring(0x56);
+
+// Windows-1252: typographic punctuation in 0x80-0x9F, then ISO 8859-1
+let WPC1252_HIGH = '€\uFFFD‚ƒ„…†‡ˆ‰Š‹Œ\uFFFDŽ\uFFFD\uFFFD‘’“”•–—˜™š›œ\uFFFDžŸ';
+for (let code = 0xA0; code <= 0xFF; code++) {
+    WPC1252_HIGH += String.fromCharCode(code);
+}
+
+const CODE_PAGES = {
+    PC437: PC437_HIGH,
+    PC850: PC850_HIGH,
+    PC858: PC858_HIGH,
+    WPC1252: WPC1252_HIGH
+};
+
+// ESC t table numbers (Epson numbering)
+const CODE_PAGE_NUMBERS = {
+    PC437: 0,
+    PC850: 2,
+    WPC1252: 16,
+    PC858: 19
+};
+
+// PC858 has both £ and €, and is supported by every current Epson model
+const DEFAULT_CODE_PAGE = 'PC858';
+
+// Fallbacks for characters a code page has no slot for, tried before '?'.
+// Accented letters not listed here lose their accent (see transliterate()).
+const TRANSLITERATIONS = {
+    '€': 'EUR', '₹': 'Rs', '₨': 'Rs', '₧': 'Pts', '¢': 'c', '¥': 'Y',
+    '‘': "'", '’': "'", '‚': "'", '′': "'", '“': '"', '”': '"', '„': '"', '″': '"',
+    '‹': '<', '›': '>', '«': '<<', '»': '>>',
+    '–': '-', '—': '-', '‐': '-', '‑': '-', '−': '-', '…': '...', '•': '*', '·': '.',
+    '×': 'x', '÷': '/', '±': '+/-', '½': '1/2', '¼': '1/4', '¾': '3/4', '°': 'o',
+    '™': 'TM', '©': '(C)', '®': '(R)', '\u00A0': ' ', '\u00AD': '-', '\u200B': '',
+    'ß': 'ss', 'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'Ø': 'O', 'ø': 'o',
+    'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ð': 'D', 'ð': 'd', 'Þ': 'Th', 'þ': 'th', 'ı': 'i'
+};
+
+// Binary data (images, QR payloads) is embedded in receipt strings as raw-byte
+// characters U+F800-U+F8FF, which the encoder writes out as bytes 0x00-0xFF
+const RAW_BYTE_BASE = 0xF800;
+
+// Wrap a Buffer (or byte array) so it survives string concatenation untouched
+function rawBytes(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        text += String.fromCharCode(RAW_BYTE_BASE + byte);
+    }
+    return text;
+}
+
+// Build char -> byte and byte -> char lookups for each code page once
+const ENCODE_TABLES = {};
+const DECODE_TABLES = {};
+for (const [name, high] of Object.entries(CODE_PAGES)) {
+    const table = new Map();
+    Array.from(high).forEach((ch, i) => {
+        if (ch !== '\uFFFD') table.set(ch, 0x80 + i);
+    });
+    ENCODE_TABLES[name] = table;
+    DECODE_TABLES[name] = Array.from(high);
+}
+
+function encodeTable(codePage) {
+    return ENCODE_TABLES[codePage] || ENCODE_TABLES[DEFAULT_CODE_PAGE];
+}
+
+function isRawByte(code) {
+    return code >= RAW_BYTE_BASE && code <= RAW_BYTE_BASE + 0xFF;
+}
+
+// True when the code page has a byte for this exact character
+function canEncodeChar(ch, table) {
+    const code = ch.codePointAt(0);
+    return code < 0x80 || isRawByte(code) || table.has(ch);
+}
+
+// Rewrite text so every character exists in the code page: accents are dropped
+// and symbols spelled out where the table has no slot, anything else becomes '?'
+function transliterate(text, codePage = DEFAULT_CODE_PAGE) {
+    const table = encodeTable(codePage);
+    let out = '';
+
+    for (const ch of String(text).normalize('NFC')) {
+        if (canEncodeChar(ch, table)) {
+            out += ch;
+            continue;
+        }
+        const replacement = TRANSLITERATIONS[ch];
+        if (replacement !== undefined && Array.from(replacement).every(c => canEncodeChar(c, table))) {
+            out += replacement;
+            continue;
+        }
+        // e.g. 'ō' -> 'o' + combining macron -> 'o'
+        const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        if (base && base !== ch && Array.from(base).every(c => canEncodeChar(c, table))) {
+            out += base;
+            continue;
+        }
+        out += '?';
+    }
+
+    return out;
+}
+
+// True when the text prints without substitutions (used to pick the raster fallback)
+function canEncode(text, codePage = DEFAULT_CODE_PAGE) {
+    const table = encodeTable(codePage);
+    return Array.from(String(text).normalize('NFC')).every(ch => canEncodeChar(ch, table));
+}
+
+// ESC t command selecting a code page
+function selectCodePage(codePage = DEFAULT_CODE_PAGE) {
+    const number = CODE_PAGE_NUMBERS[codePage] !== undefined ? CODE_PAGE_NUMBERS[codePage] : CODE_PAGE_NUMBERS[DEFAULT_CODE_PAGE];
+    return `\x1Bt${String.fromCharCode(number)}`;
+}
+
+// Encode a string to a Buffer in the given code page
+// ASCII (including ESC/POS control bytes) and raw-byte characters pass straight
+// through; everything else is transliterated to fit the code page first
+function encodeText(text, codePage = DEFAULT_CODE_PAGE) {
+    const table = encodeTable(codePage);
+    const bytes = [];
+
+    for (const ch of transliterate(text, codePage)) {
+        const code = ch.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (isRawByte(code)) {
+            bytes.push(code - RAW_BYTE_BASE);
+        } else {
+            bytes.push(table.get(ch));
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Decode one printer byte back to a character (used by the preview renderer)
+function decodeByte(byte, codePage = DEFAULT_CODE_PAGE) {
+    if (byte < 0x80) {
+        return String.fromCharCode(byte);
+    }
+    const table = DECODE_TABLES[codePage] || DECODE_TABLES[DEFAULT_CODE_PAGE];
+    const ch = table[byte - 0x80];
+    return ch && ch !== '\uFFFD' ? ch : '?';
+}
+
+// Turn receipt content into printer bytes; Buffers are assumed to be encoded already.
+// ESC @ resets the printer to PC437, so the code page is selected again after
+// every reset (and up front for content that never resets).
+function toPrinterBuffer(content, codePage = DEFAULT_CODE_PAGE) {
+    if (Buffer.isBuffer(content)) {
+        return content;
+    }
+    const text = typeof content === 'string' ? content : String(content);
+    const select = selectCodePage(codePage);
+    const selected = text.includes('\x1B@')
+        ? text.split('\x1B@').join('\x1B@' + select)
+        : select + text;
+    return encodeText(selected, codePage);
+}
+
+module.exports = {
+    CODE_PAGES,
+    CODE_PAGE_NUMBERS,
+    DEFAULT_CODE_PAGE,
+    rawBytes,
+    transliterate,
+    canEncode,
+    selectCodePage,
+    encodeText,
+    decodeByte,
+    toPrinterBuffer
+};
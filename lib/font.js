@@ -0,0 +1,247 @@
+// 12x24 bitmap font for receipt previews (the size of Epson Font A)
+// Generated from DejaVu Sans Mono (Bitstream Vera / DejaVu font licence).
+// Each glyph is 24 rows of 12 bits, written as 3 hex digits per row, MSB = leftmost dot.
+
+const GLYPH_WIDTH = 12;
+const GLYPH_HEIGHT = 24;
+
+const GLYPHS = {
+    ' ': '000000000000000000000000000000000000000000000000000000000000000000000000',
+    '!': '000000000000060060060060060060060060060060060000000060060000000000000000',
+    '"': '000000000000198198198198198000000000000000000000000000000000000000000000',
+    '#': '0000000000000660440cc0cc7ff7ff088198198ffeffe330330220220000000000000000',
+    '$': '0000000000000200200f81fc3243203201e00f803c02602622e3fc1f8020020020000000',
+    '%': '000000000000380440c40c4044038601806018061c02202302302201c000000000000000',
+    '&': '0000000000000f81f83803001001801803c066343341a60e70c3fe1e3000000000000000',
+    '\'': '000000000000060060060060060000000000000000000000000000000000000000000000',
+    '(': '0000000000000100300200600600400c00c00c00c00c00c0040060060020030010000000',
+    ')': '0000000000000800c00400600600200300300300300300300200600600400c0080000000',
+    '*': '0000000000000600602643fc0f00f01fc264060060000000000000000000000000000000',
+    '+': '0000000000000000000000000600600600607fe7fe060060060060000000000000000000',
+    ',': '0000000000000000000000000000000000000000000000000600600600600c00c0000000',
+    '-': '0000000000000000000000000000000000001f81f8000000000000000000000000000000',
+    '.': '000000000000000000000000000000000000000000000000060060060000000000000000',
+    '/': '00000000000000c00c0180180100300200600400c0080180180300300600000000000000',
+    '0': '0000000000000f01f839c30c30c60660666666660630c30c39c1f80f0000000000000000',
+    '1': '0000000000000f03f03300300300300300300300300300300301fe1fe000000000000000',
+    '2': '0000000000001f03f821c00c00c00c0080180300600c01803007fc7fc000000000000000',
+    '3': '0000000000001f03f821c00c00c01c0f80f801c00c00400c61c7f81f0000000000000000',
+    '4': '0000000000000180380780580d80981983182186187fe7fe018018018000000000000000',
+    '5': '0000000000003f83f83003003003f03f821c00c00c00c00c61c7f81f0000000000000000',
+    '6': '0000000000000f81fc3843003006006787fc70c70620630630c1fc0f8000000000000000',
+    '7': '0000000000007fe7fc00c00c0180180100300300600600600c00c01c0000000000000000',
+    '8': '0000000000000f03fc30c30c30c30c1f81f830c60660660630c3fc0f8000000000000000',
+    '9': '0000000000001f03f831c60c60c60e31e3fe1e600600c00c21c3f81e0000000000000000',
+    ':': '000000000000000000000000000060060060000000000000060060060000000000000000',
+    ';': '0000000000000000000000000000600600600000000000000600600600600c00c0000000',
+    '<': '00000000000000000000000000201e0781e07007001e007801e002000000000000000000',
+    '=': '0000000000000000000000000000007fe7fe0000007fe7fe000000000000000000000000',
+    '>': '0000000000000000000000004007801e007c00e00e07c1e0780400000000000000000000',
+    '?': '0000000000000f03f831c00c00c01c018030060060060060000060060000000000000000',
+    '@': '00000000000000007818430260243e467cc3cc3cc3cc3cc346743f60030018007c000000',
+    'A': '0000000000000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'B': '0000000000003f83fc30c30630630c3f83f830c30630630630e3fc3f8000000000000000',
+    'C': '0000000000000781fc1843003003006006006003003003001841fc078000000000000000',
+    'D': '0000000000007e07f861c60c60c60660660660660660c60c61c7f87e0000000000000000',
+    'E': '0000000000003fe3fe3003003003003fc3fc3003003003003003fe3fe000000000000000',
+    'F': '0000000000003fe3fe3003003003003fc3fc300300300300300300300000000000000000',
+    'G': '0000000000000781fc38430060060060061e61e6066063063861fc0f8000000000000000',
+    'H': '0000000000006066066066066066067fe7fe606606606606606606606000000000000000',
+    'I': '0000000000003fc3fc0600600600600600600600600600600603fc3fc000000000000000',
+    'J': '0000000000000f80f80180180180180180180180180180184187f83e0000000000000000',
+    'K': '00000000000060660c6186386706e07c07e077063061861c60c606607000000000000000',
+    'L': '0000000000003003003003003003003003003003003003003003fe3fe000000000000000',
+    'M': '00000000000070e70e70e79e69e6966f66f6666666606606606606606000000000000000',
+    'N': '0000000000007067067867866c66c664666662663663661e61e60e60e000000000000000',
+    'O': '0000000000000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    'P': '0000000000003f83fc30e30630630630e3fc3f8300300300300300300000000000000000',
+    'Q': '0000000000000f01f839c30c60660660660660660660630c38c1f80f001800c008000000',
+    'R': '0000000000007f07fc61c60c60c60c7f87f061860c60c60e606606603000000000000000',
+    'S': '0000000000000f83fc3046006003003c01f803c00c00600620c3fc1f0000000000000000',
+    'T': '000000000000ffffff060060060060060060060060060060060060060000000000000000',
+    'U': '00000000000060660660660660660660660660660660630c30c3fc0f0000000000000000',
+    'V': '00000000000060660660620430c30c30c1881981980900f00f00f0060000000000000000',
+    'W': '000000000000c03c03c034034626666f66f669669629639c39c30c30c000000000000000',
+    'X': '00000000000060630630c1980980f00700600f00d819830c30c606e07000000000000000',
+    'Y': '00000000000060660630c30c1981980f0060060060060060060060060000000000000000',
+    'Z': '0000000000003fe3fe00600c0180180300600600c01801803003fe3fe000000000000000',
+    '[': '000000000000078078040040040040040040040040040040040040040040078078000000',
+    '\\': '0000000000006003003001801800800c004006002003001001801800c00c000000000000',
+    ']': '0000000000001f01f00300300300300300300300300300300300300300301f01f0000000',
+    '^': '0000000000000600f019830c606000000000000000000000000000000000000000000000',
+    '_': '000000000000000000000000000000000000000000000000000000000000000000ffffff',
+    '`': '0000000001800c0040020000000000000000000000000000000000000000000000000000',
+    'a': '0000000000000000000000001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'b': '0000000000003003003003003783fc38c30630630630630638c3fc378000000000000000',
+    'c': '0000000000000000000000000781fc1803003003003003001801fc078000000000000000',
+    'd': '00000000000000c00c00c00c1ec3fc31c60c60c60c60c60c31c3fc0ec000000000000000',
+    'e': '0000000000000000000000000f81fc30c6067fe7fe6006003841fc0f8000000000000000',
+    'f': '00000000000003c07c0600603fc3fc060060060060060060060060060000000000000000',
+    'g': '0000000000000000000000000ec3fc31c60c60c60c60c60c31c3fc0ec00c01c3f81f0000',
+    'h': '0000000000003003003003003783fc38c30c30c30c30c30c30c30c30c000000000000000',
+    'i': '0000000000000600600000003e03e00600600600600600600603fe3fe000000000000000',
+    'j': '0000000000000300300000001f01f00300300300300300300300300300300603e03c0000',
+    'k': '00000000000030030030030030e31c3303603e03f033031830c30e306000000000000000',
+    'l': '0000000000003c03c00c00c00c00c00c00c00c00c00c004006007c03c000000000000000',
+    'm': '0000000000000000000000007dc7fe666666666666666666666666666000000000000000',
+    'n': '0000000000000000000000003783fc38c30c30c30c30c30c30c30c30c000000000000000',
+    'o': '0000000000000000000000000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    'p': '0000000000000000000000003783fc38c30630630630630638c3fc378300300300300000',
+    'q': '0000000000000000000000000ec3fc31c30c60c60c60c30c31c3fc0ec00c00c00c00c000',
+    'r': '00000000000000000000000009e0be0e00c00c0080080080080080080000000000000000',
+    's': '0000000000000000000000000f01fc3083001800f801c00c20c3fc1f0000000000000000',
+    't': '0000000000000000c00c00c07fc7fc0c00c00c00c00c00c00e007c03c000000000000000',
+    'u': '00000000000000000000000030c30c30c30c30c30c30c30c31c1fc1ec000000000000000',
+    'v': '00000000000000000000000060620630c30c1081981980900f00f0060000000000000000',
+    'w': '000000000000000000000000c03c034026626666662f629439c39c30c000000000000000',
+    'x': '00000000000000000000000060630c1980f00f00600f019819830c606000000000000000',
+    'y': '00000000000000000000000060620630c30c1881980980d00700600600600c03c0380000',
+    'z': '0000000000000000000000003fc3fc0080180300600c00801003fc3fc000000000000000',
+    '{': '00000000000003c03c0600600600600600603c03c00e006006006006006003c03c000000',
+    '|': '000000000000060060060060060060060060060060060060060060060060060060060060',
+    '}': '0000000000003c03c006006006006006006003c03c0700600600600600603c03c0000000',
+    '~': '0000000000000000000000000000000003c27fe43c000000000000000000000000000000',
+    '¡': '000000000000000000000000060060000000060060060060060060060060060060060000',
+    '¢': '0000000000000000100100100780fc1943903103103103901d40fc078010010010000000',
+    '£': '00000000000003c07e0e20c00c00c00c03f83f80c00c00c00c07fe7fe000000000000000',
+    '¤': '0000000000000000000000002041fc18810c10c10c1881fc204000000000000000000000',
+    '¥': '00000000000060660630c30c1981987fe0f00607fe060060060060060000000000000000',
+    '¦': '000000000000000060060060060060060060000000000060060060060060060060000000',
+    '§': '0000000000000f81f81801801c01e033830c30c38c1cc0780180080181f81f0000000000',
+    '¨': '000000000000198198000000000000000000000000000000000000000000000000000000',
+    '©': '0000000000000000000f030c4024f29819019019814f260230c0f0000000000000000000',
+    'ª': '0000000000001f00180080f81881081180e80001f8000000000000000000000000000000',
+    '«': '0000000000000000000000000000000cc1983306303301980cc000000000000000000000',
+    '¬': '0000000000000000000000000000000007fe7fe002002002000000000000000000000000',
+    '­': '0000000000000000000000000000000000001f81f8000000000000000000000000000000',
+    '®': '0000000000000000000f030c4024f28998998f189149a60230c0f0000000000000000000',
+    '¯': '0000000000001f81f8000000000000000000000000000000000000000000000000000000',
+    '°': '0000000000000f01981081081980f0000000000000000000000000000000000000000000',
+    '±': '0000000000000000000000000600600607fe7fe0600600600007fe7fe000000000000000',
+    '²': '0000000000000f01100180100200400801f8000000000000000000000000000000000000',
+    '³': '0000000000000f00180180700180181180f0000000000000000000000000000000000000',
+    '´': '000000000018030020060000000000000000000000000000000000000000000000000000',
+    'µ': '00000000000000000000000030c30c30c30c30c30c30c30c39c3ff376300300300300000',
+    '¶': '0000000000001fc3e47e47e47e47e43e41e4064064064064064064064064064000000000',
+    '·': '000000000000000000000000000000000060060060000000000000000000000000000000',
+    '¸': '0000000000000000000000000000000000000000000000000000000000200300300e0000',
+    '¹': '0000000000001e00200200200200200200f8000000000000000000000000000000000000',
+    'º': '0000000000000f019810830c30c1081980f00001f8000000000000000000000000000000',
+    '»': '0000000000000000000000000000003301980cc0460cc198330000000000000000000000',
+    '¼': '0000007001001001001001001007c00060783c0c0c01c02c06c04c0fe00c00c000000000',
+    '½': '0000007001001001001001001007c00060783c0c3804400600400801002007e000000000',
+    '¾': '0000003c04400401c00400604603c00060783c0c0c01c02c06c04c0fe00c00c000000000',
+    '¿': '0000000000000000000000000600600000600600600600c01c038030030038c1fc0f0000',
+    'À': '0c00400200000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Á': '0300200600000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Â': '0600f01980000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Ã': '1c81380000000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Ä': '1981980000000600f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Å': '0600901980980f00f00f00f019819819819830c30c3fc7fe606606607000000000000000',
+    'Æ': '0000000000000fe0fe1b01b01b013033e33e3306307f07f0630c3fc3f000000000000000',
+    'Ç': '0000000000000781fc1843003003006006006003003003001841fc078010018018070000',
+    'È': '0c00600200003fe3fe3003003003003fc3fc3003003003003003fe3fe000000000000000',
+    'É': '0300200600003fe3fe3003003003003fc3fc3003003003003003fe3fe000000000000000',
+    'Ê': '0600d00980003fe3fe3003003003003fc3fc3003003003003003fe3fe000000000000000',
+    'Ë': '1981980000003fe3fe3003003003003fc3fc3003003003003003fe3fe000000000000000',
+    'Ì': '0c00400200003fc3fc0600600600600600600600600600600603fc3fc000000000000000',
+    'Í': '0300200600003fc3fc0600600600600600600600600600600603fc3fc000000000000000',
+    'Î': '0600f01980003fc3fc0600600600600600600600600600600603fc3fc000000000000000',
+    'Ï': '1981980000003fc3fc0600600600600600600600600600600603fc3fc000000000000000',
+    'Ð': '0000000000007e07f861c60c60c606606fc6fc660660c60c61c7f87e0000000000000000',
+    'Ñ': '1c81380000007067067867866c66c664666662663663661e61e60e60e000000000000000',
+    'Ò': '0c00400200000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    'Ó': '0300200600000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    'Ô': '0600f01980000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    'Õ': '1c81380000000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    'Ö': '1981980000000f01f839c30c60660660660660660660630c38c1f80f0000000000000000',
+    '×': '00000000000000000000000020430c1980f00600f019830c204000000000000000000000',
+    'Ø': '0000000000000f31fa39c30c61e6166266666c678670630c78c5f8cf0000000000000000',
+    'Ù': '0c004002000060660660660660660660660660660660630c30c3fc0f0000000000000000',
+    'Ú': '03002006000060660660660660660660660660660660630c30c3fc0f0000000000000000',
+    'Û': '0600f019800060660660660660660660660660660660630c30c3fc0f0000000000000000',
+    'Ü': '19819800000060660660660660660660660660660660630c30c3fc0f0000000000000000',
+    'Ý': '03002006000060660630c30c1981980f0060060060060060060060060000000000000000',
+    'Þ': '0000000000003003003003f83fe30e30630630e3fe3f8300300300300000000000000000',
+    'ß': '0000000000000f01f830c30c33836036037031830c3063063063fe378000000000000000',
+    'à': '0000000001800c00400200001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'á': '0000000000180300200600001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'â': '0000000000600f00901980001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'ã': '0000000000c81681300000001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'ä': '0000000000001981980000001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'å': '0000000f00901980900f00001f03fc20c00c1fc3fc70c60c71c3fc1e4000000000000000',
+    'æ': '00000000000000000000000039c7fe4630633ff7ff660c604707ff39e000000000000000',
+    'ç': '0000000000000000000000000781fc1803003003003003001801fc078010018018070000',
+    'è': '0000000001800c00600200000f81fc30c6067fe7fe6006003841fc0f8000000000000000',
+    'é': '0000000000180300200600000f81fc30c6067fe7fe6006003841fc0f8000000000000000',
+    'ê': '0000000000600700901880000f81fc30c6067fe7fe6006003841fc0f8000000000000000',
+    'ë': '0000000000001981980000000f81fc30c6067fe7fe6006003841fc0f8000000000000000',
+    'ì': '0000000001800c00400200003e03e00600600600600600600603fe3fe000000000000000',
+    'í': '0000000000180300200600003e03e00600600600600600600603fe3fe000000000000000',
+    'î': '0000000000600f00901980003e03e00600600600600600600603fe3fe000000000000000',
+    'ï': '0000000000001981980000003e03e00600600600600600600603fe3fe000000000000000',
+    'ð': '0000000000001c00f81e00300f81fc38c30c60660660630c30c1f80f0000000000000000',
+    'ñ': '0000000000c81681300000003783fc38c30c30c30c30c30c30c30c30c000000000000000',
+    'ò': '0000000001800c00400200000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    'ó': '0000000000180300200600000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    'ô': '0000000000600f00901980000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    'õ': '0000000000c81681300000000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    'ö': '0000000000001981980000000f01fc30c30c60660660630c30c1fc0f0000000000000000',
+    '÷': '0000000000000000000000000600600000007fe7fe000000060060000000000000000000',
+    'ø': '0000000000000000000000000f23fe30c31c6366666c638e30c7fc4f0000000000000000',
+    'ù': '0000000001800c004002000030c30c30c30c30c30c30c30c31c1fc1ec000000000000000',
+    'ú': '00000000001803002006000030c30c30c30c30c30c30c30c31c1fc1ec000000000000000',
+    'û': '0000000000600f009019800030c30c30c30c30c30c30c30c31c1fc1ec000000000000000',
+    'ü': '00000000000019819800000030c30c30c30c30c30c30c30c31c1fc1ec000000000000000',
+    'ý': '00000000001803002006000060620630c30c1881980980d00700600600600c03c0380000',
+    'þ': '0000000000003003003003003783fc38c30630630630630638c3fc378300300300300000',
+    'ÿ': '00000000000019819800000060620630c30c1881980980d00700600600600c03c0380000',
+    '€': '0000000000000780fc1c43803007f03003007e03003001801c40fc07c000000000000000',
+    '░': '820c30820104186104800c30820000186104000c30820000186104000c30820000186104',
+    '▒': 'ccccccccc333333cccccc333333333cccccc333333ccccccccc333333cccccc333333333',
+    '▓': '3cf7cf7dfefbe79efbfff7cf7dffffe79efbfff7cf7dffffe79efbfff7cf7dffffe79e79',
+    '█': 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+    '▀': 'fffffffffffffffffffffffffffffffffffffffffffff000000000000000000000000000',
+    '▄': 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff',
+    '▌': 'fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0fc0',
+    '▐': '03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f03f',
+    '─': 'ffffffffffffffffff000000000000000000000000000000000000000000000000000000',
+    '│': '060060060060060060060060060060060060060060060060060060060060060060060060',
+    '┌': '07f07f07f07f060060060060060060060060060060060060060060060060060060060060',
+    '┐': 'fe0fe0fe0fe0060060060060060060060060060060060060060060060060060060060060',
+    '└': '06006006006006006006006006006006006006006007f07f000000000000000000000000',
+    '┘': '060060060060060060060060060060060060060060fe0fe0000000000000000000000000',
+    '├': '06006006006006006006006006006006007f07f060060060060060060060060060060060',
+    '┤': '060060060060060060060060060060060fe0fe0060060060060060060060060060060060',
+    '┬': 'ffffffffffff060060060060060060060060060060060060060060060060060060060060',
+    '┴': '060060060060060060060060060060060060060060ffffff000000000000000000000000',
+    '┼': '060060060060060060060060060060060ffffff060060060060060060060060060060060',
+    '═': '000000fffffffff000000000000000ffffffffffff000000000000000000000000000000',
+    '║': '090090090090090090090090090090090090090090090090090090090090090090090090',
+    '╔': '0000ff0ff0ff08008009f09f09f098090090090090090090090090090090090090090090',
+    '╗': '000ff0ff0ff0010010f90f90f90190090090090090090090090090090090090090090090',
+    '╚': '09009009009009009009009009009009009009f09f0800800ff0ff0ff000000000000000',
+    '╝': '090090090090090090090090090090090090f90f90010010ff0ff0ff0000000000000000'
+};
+
+const rowCache = new Map();
+
+// Rows of a glyph as integers; characters without a glyph render as '?'
+function glyphRows(ch) {
+    const key = GLYPHS[ch] ? ch : '?';
+    if (!rowCache.has(key)) {
+        const hex = GLYPHS[key];
+        const rows = [];
+        for (let i = 0; i < GLYPH_HEIGHT; i++) {
+            rows.push(parseInt(hex.substr(i * 3, 3), 16));
+        }
+        rowCache.set(key, rows);
+    }
+    return rowCache.get(key);
+}
+
+module.exports = {
+    GLYPH_WIDTH,
+    GLYPH_HEIGHT,
+    glyphRows
+};
@@ -0,0 +1,327 @@
+// Graphics for ESC/POS printers - native QR codes, dithered raster logos and
+// a bit-image fallback for printers that lack GS ( k / GS v 0
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { rawBytes } = require('./encoding');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+
+// Printable dots across the paper at 203dpi
+const PAPER_DOTS = {
+    '58mm': 384,
+    '80mm': 576
+};
+
+// QR module size (dots) per template size, and error correction levels
+const QR_MODULE_SIZES = { small: 4, medium: 6, large: 8 };
+// Module sizes GS ( k accepts
+const QR_NATIVE_MODULE_RANGE = [1, 16];
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+
+// ===== IMAGE DECODING =====
+
+// Decode a PNG/JPEG data URL (or bare base64) into { width, height, data: RGBA }
+function decodeDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataUrl);
+    const mimeType = match ? (match[1] || '') : '';
+    const buffer = Buffer.from(match ? match[3] : dataUrl, 'base64');
+
+    const isPng = mimeType === 'image/png' || buffer.slice(0, 4).toString('hex') === '89504e47';
+    const isJpeg = mimeType === 'image/jpeg' || mimeType === 'image/jpg' || (buffer[0] === 0xFF && buffer[1] === 0xD8);
+
+    if (isPng) {
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: png.data };
+    }
+    if (isJpeg) {
+        const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+        return { width: image.width, height: image.height, data: image.data };
+    }
+
+    throw new Error(`Unsupported image format${mimeType ? `: ${mimeType}` : ''}`);
+}
+
+// Scale an RGBA image to targetWidth (box filter) and return grayscale 0-255,
+// compositing transparent pixels onto white paper
+function toScaledGrayscale(image, targetWidth) {
+    const width = Math.max(1, Math.min(targetWidth, image.width));
+    const scale = image.width / width;
+    const height = Math.max(1, Math.round(image.height / scale));
+    const gray = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const sy0 = Math.floor(y * scale);
+        const sy1 = Math.max(sy0 + 1, Math.floor((y + 1) * scale));
+        for (let x = 0; x < width; x++) {
+            const sx0 = Math.floor(x * scale);
+            const sx1 = Math.max(sx0 + 1, Math.floor((x + 1) * scale));
+            let sum = 0;
+            let count = 0;
+            for (let sy = sy0; sy < sy1 && sy < image.height; sy++) {
+                for (let sx = sx0; sx < sx1 && sx < image.width; sx++) {
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3] / 255;
+                    const luma = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+                    sum += luma * alpha + 255 * (1 - alpha);
+                    count++;
+                }
+            }
+            gray[y * width + x] = count ? sum / count : 255;
+        }
+    }
+
+    return { width, height, gray };
+}
+
+// Floyd-Steinberg dithering to a 1-bit bitmap (1 = black dot)
+function ditherFloydSteinberg({ width, height, gray }) {
+    const buffer = Float32Array.from(gray);
+    const pixels = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const oldValue = buffer[i];
+            const newValue = oldValue < 128 ? 0 : 255;
+            pixels[i] = newValue === 0 ? 1 : 0;
+            const error = oldValue - newValue;
+
+            if (x + 1 < width) buffer[i + 1] += error * 7 / 16;
+            if (y + 1 < height) {
+                if (x > 0) buffer[i + width - 1] += error * 3 / 16;
+                buffer[i + width] += error * 5 / 16;
+                if (x + 1 < width) buffer[i + width + 1] += error * 1 / 16;
+            }
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+// ===== BITMAP COMMANDS =====
+
+// GS v 0 raster image, sent in bands so printers with small buffers cope
+function rasterCommand(bitmap, bandHeight = 128) {
+    const bytesPerRow = Math.ceil(bitmap.width / 8);
+    let output = '';
+
+    for (let top = 0; top < bitmap.height; top += bandHeight) {
+        const rows = Math.min(bandHeight, bitmap.height - top);
+        const data = Buffer.alloc(bytesPerRow * rows);
+
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < bitmap.width; x++) {
+                if (bitmap.pixels[(top + y) * bitmap.width + x]) {
+                    data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+                }
+            }
+        }
+
+        output += rawBytes([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xFF, bytesPerRow >> 8, rows & 0xFF, rows >> 8]);
+        output += rawBytes(data);
+    }
+
+    return output;
+}
+
+// ESC * 24-dot double-density bit image - supported by practically every ESC/POS printer
+function bitImageCommand(bitmap) {
+    const width = bitmap.width;
+    // Line spacing of 24 dots so consecutive bands butt together
+    let output = rawBytes([ESC, 0x33, 24]);
+
+    for (let top = 0; top < bitmap.height; top += 24) {
+        const data = Buffer.alloc(width * 3);
+        for (let x = 0; x < width; x++) {
+            for (let bit = 0; bit < 24; bit++) {
+                const y = top + bit;
+                if (y < bitmap.height && bitmap.pixels[y * width + x]) {
+                    data[x * 3 + (bit >> 3)] |= 0x80 >> (bit & 7);
+                }
+            }
+        }
+        output += rawBytes([ESC, 0x2A, 33, width & 0xFF, width >> 8]);
+        output += rawBytes(data);
+        output += '\n';
+    }
+
+    // Back to the default line spacing
+    output += rawBytes([ESC, 0x32]);
+    return output;
+}
+
+function bitmapCommand(bitmap, mode = 'raster') {
+    return mode === 'bitimage' ? bitImageCommand(bitmap) : rasterCommand(bitmap);
+}
+
+// Decode, scale, dither and print a logo data URL
+function imageToEscPos(dataUrl, { maxWidth = PAPER_DOTS['80mm'], mode = 'raster' } = {}) {
+    const image = decodeDataUrl(dataUrl);
+    const bitmap = ditherFloydSteinberg(toScaledGrayscale(image, maxWidth));
+    return bitmapCommand(bitmap, mode);
+}
+
+// ===== QR CODES =====
+
+// Module size in dots for a template size name or a number of dots
+function qrModuleSize(size) {
+    return QR_MODULE_SIZES[size] || parseInt(size) || QR_MODULE_SIZES.medium;
+}
+
+// Native model 2 QR code via GS ( k
+function qrNativeCommand(content, { size = 'medium', errorCorrection = 'M' } = {}) {
+    const [smallest, largest] = QR_NATIVE_MODULE_RANGE;
+    const moduleSize = Math.min(Math.max(qrModuleSize(size), smallest), largest);
+    const errorLevel = QR_ERROR_LEVELS[String(errorCorrection).toUpperCase()] || QR_ERROR_LEVELS.M;
+    const data = Buffer.from(String(content), 'utf8');
+    const storeLength = data.length + 3;
+
+    return rawBytes([GS, 0x28, 0x6B, 4, 0, 0x31, 0x41, 0x32, 0x00]) +          // model 2
+        rawBytes([GS, 0x28, 0x6B, 3, 0, 0x31, 0x43, moduleSize]) +              // module size
+        rawBytes([GS, 0x28, 0x6B, 3, 0, 0x31, 0x45, errorLevel]) +              // error correction
+        rawBytes([GS, 0x28, 0x6B, storeLength & 0xFF, storeLength >> 8, 0x31, 0x50, 0x30]) +
+        rawBytes(data) +                                                        // store data
+        rawBytes([GS, 0x28, 0x6B, 3, 0, 0x31, 0x51, 0x30]);                     // print
+}
+
+// QR code rendered in JS to a bitmap, for printers without GS ( k
+// `size` is a template size name or a module size in dots
+function qrBitmap(content, { size = 'medium', errorCorrection = 'M' } = {}) {
+    const moduleSize = qrModuleSize(size);
+    const qr = QRCode.create(String(content), { errorCorrectionLevel: String(errorCorrection).toUpperCase() });
+    const count = qr.modules.size;
+    const quietZone = 2;
+    const width = (count + quietZone * 2) * moduleSize;
+    const pixels = new Uint8Array(width * width);
+
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (!qr.modules.get(row, col)) continue;
+            for (let dy = 0; dy < moduleSize; dy++) {
+                const y = (row + quietZone) * moduleSize + dy;
+                const offset = y * width + (col + quietZone) * moduleSize;
+                pixels.fill(1, offset, offset + moduleSize);
+            }
+        }
+    }
+
+    return { width, height: width, pixels };
+}
+
+// QR code in whichever form the printer supports
+function qrToEscPos(content, options = {}, mode = 'native') {
+    if (mode === 'native') {
+        return qrNativeCommand(content, options);
+    }
+    return bitmapCommand(qrBitmap(content, options), mode === 'bitimage' ? 'bitimage' : 'raster');
+}
+
+// ===== BARCODES =====
+
+// GS k function B system numbers, by format name
+const BARCODE_SYSTEMS = {
+    CODE128: 73,
+    EAN13: 67,
+    EAN8: 68,
+    UPCA: 65,
+    CODE39: 69
+};
+
+// Where the human-readable digits go (GS H)
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+// "EAN-13", "ean13", "Code 39" -> EAN13, EAN13, CODE39
+function barcodeFormat(format) {
+    const name = String(format || 'CODE128').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!BARCODE_SYSTEMS[name]) {
+        throw new Error(`Unsupported barcode format: ${format} (expected ${Object.keys(BARCODE_SYSTEMS).join(', ')})`);
+    }
+    return name;
+}
+
+// GS1 check digit for the digits of an EAN/UPC number (without its check digit)
+function gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        // Weights alternate 3, 1, ... counting from the rightmost digit
+        sum += parseInt(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+// EAN/UPC content with its check digit: added when missing, verified when given
+function gtinData(content, length, format) {
+    const digits = String(content).replace(/\s/g, '');
+    if (!/^\d+$/.test(digits) || (digits.length !== length - 1 && digits.length !== length)) {
+        throw new Error(`${format} barcode needs ${length - 1} or ${length} digits, got "${content}"`);
+    }
+    const body = digits.substring(0, length - 1);
+    const check = gtinCheckDigit(body);
+    if (digits.length === length && digits[length - 1] !== check) {
+        throw new Error(`${format} check digit for ${body} should be ${check}, got ${digits[length - 1]}`);
+    }
+    return body + check;
+}
+
+// The bytes GS k sends for each format
+function barcodeData(content, format) {
+    switch (format) {
+        case 'EAN13': return gtinData(content, 13, 'EAN-13');
+        case 'EAN8': return gtinData(content, 8, 'EAN-8');
+        case 'UPCA': return gtinData(content, 12, 'UPC-A');
+        case 'CODE39': {
+            // The printer adds the * start and stop characters itself
+            const data = String(content).toUpperCase().replace(/^\*|\*$/g, '');
+            if (!/^[0-9A-Z $%+\-./]+$/.test(data)) {
+                throw new Error(`CODE39 barcode can only hold 0-9, A-Z, space and $%+-./, got "${content}"`);
+            }
+            return data;
+        }
+        default:
+            // Code 128 code set B. '{' starts a code set switch in Epson's data, so a literal one is doubled.
+            return '{B' + String(content).replace(/\{/g, '{{');
+    }
+}
+
+// 1D barcode via GS k: CODE128, EAN13, EAN8, UPCA or CODE39. `height` is in dots,
+// `width` the narrow bar width in dots (2-6), `hri` where the text prints
+// (none, above, below, both) and `hri_font` A or B.
+function barcodeCommand(content, { format = 'CODE128', height = 80, width = 2, hri = 'below', hri_font = 'A' } = {}) {
+    const name = barcodeFormat(format);
+    const data = Buffer.from(barcodeData(content, name), 'latin1');
+    if (data.length > 255) {
+        throw new Error('Barcode content is too long');
+    }
+    const position = HRI_POSITIONS[String(hri).toLowerCase()];
+    if (position === undefined) {
+        throw new Error(`Unknown barcode text position: ${hri} (expected ${Object.keys(HRI_POSITIONS).join(', ')})`);
+    }
+
+    return rawBytes([GS, 0x68, Math.min(Math.max(parseInt(height) || 80, 1), 255)]) +   // GS h height in dots
+        rawBytes([GS, 0x77, Math.min(Math.max(parseInt(width) || 2, 2), 6)]) +             // GS w module width
+        rawBytes([GS, 0x48, position]) +                                                    // GS H HRI position
+        rawBytes([GS, 0x66, String(hri_font).toUpperCase() === 'B' ? 1 : 0]) +              // GS f HRI font
+        rawBytes([GS, 0x6B, BARCODE_SYSTEMS[name], data.length]) +
+        rawBytes(data);
+}
+
+module.exports = {
+    PAPER_DOTS,
+    QR_ERROR_LEVELS,
+    decodeDataUrl,
+    toScaledGrayscale,
+    ditherFloydSteinberg,
+    rasterCommand,
+    bitImageCommand,
+    bitmapCommand,
+    imageToEscPos,
+    qrNativeCommand,
+    qrBitmap,
+    qrToEscPos,
+    BARCODE_SYSTEMS,
+    HRI_POSITIONS,
+    barcodeFormat,
+    barcodeCommand
+};
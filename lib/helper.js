@@ -0,0 +1,421 @@
+// Printer helper
+// Wires the printer registry, templates, queue, print history, formatter,
+// shift reports, Supabase poller, status monitor, metrics and HTTP API together from a config object (see
+// lib/config.js). Nothing starts until start() is called, and any part can be
+// swapped for a test double: a Supabase client, a clock or a printers.json path.
+const { createClient } = require('@supabase/supabase-js');
+const { createPrinterRegistry } = require('./printers');
+const { createJobQueue, ACTIVE_STATUSES } = require('./queue');
+const { createPrintHistory } = require('./history');
+const { STATUSES, createStatusMonitor } = require('./status');
+const { createTemplateStore } = require('./templates');
+const { createAccessControl } = require('./access');
+const { createFormatter } = require('./formatter');
+const { createPrintService } = require('./jobs');
+const { createReportService, scheduleDaily } = require('./reports');
+const { createSupabasePoller } = require('./poller');
+const { createApp } = require('./http');
+const { createRegistry } = require('./metrics');
+const { createWebhookDispatcher, jobEventData } = require('./webhooks');
+const { removeStaleTempFiles, spoolerBackend } = require('./transports');
+const { logger: log } = require('./logger');
+
+// Supabase client from the config, or null when it is not configured
+function connectSupabase(config) {
+    if (!config.supabase.url || !config.supabase.anonKey) {
+        log.warn('⚠️  SUPABASE_URL or SUPABASE_ANON_KEY not configured - polling disabled, HTTP endpoints still available');
+        return null;
+    }
+    try {
+        const client = createClient(config.supabase.url, config.supabase.anonKey);
+        log.info('✅ Supabase client initialized', { poll_interval_ms: config.polling.interval });
+        return client;
+    } catch (error) {
+        log.error('❌ Failed to initialize Supabase client - polling disabled, HTTP endpoints still available', { error: error.message });
+        return null;
+    }
+}
+
+// Prometheus metrics for GET /metrics - see lib/metrics.js
+function createHelperMetrics({ jobQueue, printers, printerStatus }) {
+    const metrics = createRegistry();
+    const jobsTotal = metrics.counter('print_jobs_total', 'Print jobs that finished, by outcome (printed or failed)', ['job_type', 'printer', 'status']);
+    const jobRetries = metrics.counter('print_job_retries_total', 'Print attempts that failed and were scheduled for a retry', ['printer']);
+    const jobLatency = metrics.histogram('print_job_latency_seconds', 'Time from job creation to printed', ['job_type', 'printer'],
+        [1, 2, 5, 10, 30, 60, 120, 300, 600, 1800]);
+    const pollDuration = metrics.histogram('print_poll_duration_seconds', 'Duration of Supabase poll cycles', ['result'],
+        [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+    const queueDepth = metrics.gauge('print_queue_depth', 'Jobs waiting in the local queue', ['printer', 'status']);
+    const printerUp = metrics.gauge('printer_up', 'Whether the printer is ready to print (1) or not (0)', ['printer']);
+    const printerState = metrics.gauge('printer_status', 'Current printer status (1 for the active status)', ['printer', 'status']);
+    const webhookDeliveries = metrics.counter('webhook_deliveries_total', 'Webhook and callback delivery attempts, by outcome', ['event', 'result']);
+    metrics.gauge('printer_helper_info', 'Printer helper version', ['version']).set({ version: '3.1.0' }, 1);
+
+    // State gauges are read from the queue and status monitor at scrape time
+    metrics.onCollect(() => {
+        queueDepth.reset();
+        printerUp.reset();
+        printerState.reset();
+
+        for (const printer of printers.list()) {
+            for (const status of ACTIVE_STATUSES) {
+                queueDepth.set({ printer: printer.id, status }, jobQueue.list({ status, printerId: printer.id }).length);
+            }
+
+            const state = printerStatus.get(printer.id);
+            const current = state ? state.status : 'unknown';
+            printerUp.set({ printer: printer.id }, printerStatus.isReady(printer.id) ? 1 : 0);
+            for (const status of STATUSES) {
+                printerState.set({ printer: printer.id, status }, status === current ? 1 : 0);
+            }
+        }
+    });
+
+    jobQueue.on('completed', (job) => {
+        jobsTotal.inc({ job_type: job.job_type, printer: job.printer_id, status: 'printed' });
+        const started = Date.parse(job.requested_at || job.created_at);
+        const finished = Date.parse(job.completed_at);
+        if (!Number.isNaN(started) && !Number.isNaN(finished)) {
+            jobLatency.observe({ job_type: job.job_type, printer: job.printer_id }, Math.max(0, (finished - started) / 1000));
+        }
+    });
+    jobQueue.on('failed', (job) => {
+        jobsTotal.inc({ job_type: job.job_type, printer: job.printer_id, status: 'failed' });
+    });
+    jobQueue.on('retrying', (job) => {
+        jobRetries.inc({ printer: job.printer_id });
+    });
+
+    metrics.observePoll = (result, seconds) => pollDuration.observe({ result }, seconds);
+    metrics.observeWebhook = (event, result) => webhookDeliveries.inc({ event, result });
+    return metrics;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createPrinterHelper(config, {
+    supabase: supabaseClient,   // Supabase client to use instead of connecting (null = none)
+    printersConfig,             // path to printers.json (default PRINTERS_CONFIG or ./printers.json)
+    now = () => new Date(),
+    discoverPrinters            // system printer lookup for GET /printers/discover (see lib/discovery.js)
+} = {}) {
+    log.info('🖨️  Cottage Tandoori Rich Template Printer starting', { version: '3.1.0', port: config.port, transport: 'raw ESC/POS', spooler: spoolerBackend() });
+
+    // API keys, Origin allowlist, rate limits and audit log - see lib/access.js
+    const access = createAccessControl(config.access);
+    if (access.enabled) {
+        log.info('🔐 API key / signed request auth enabled', { clients: access.clients });
+    } else {
+        log.warn('⚠️  API_KEYS not set - any device that can reach this port can print');
+    }
+    log.info(access.allowedOrigins.length > 0 ? '🌐 CORS origins restricted' : '🌐 CORS: any origin (set CORS_ORIGINS to restrict)', {
+        allowed_origins: access.allowedOrigins.length > 0 ? access.allowedOrigins : undefined
+    });
+
+    // Printer registry (printers.json or .env) - see lib/printers.js
+    const printers = createPrinterRegistry({ configPath: printersConfig, env: config.env, allowedPaths: config.printerPaths });
+    try {
+        const source = printers.load();
+        log.info('🖨️  Printers loaded', {
+            source: source === 'file' ? printers.filePath : '.env',
+            printers: printers.list().map(printer => `${printer.id}: ${printer.name} via ${printer.transport.type} (${printer.transport_target})`)
+        });
+    } catch (error) {
+        log.error('❌ Failed to load printer config', { error: error.message });
+        throw error;
+    }
+
+    // Receipt templates (built-in, TEMPLATES_DIR and Supabase) - see lib/templates.js
+    const templates = createTemplateStore({ env: config.env });
+    log.info('📝 Templates loaded', { files: templates.loadFiles(), directory: templates.directory, available: templates.list().length });
+
+    const supabase = supabaseClient === undefined ? connectSupabase(config) : supabaseClient;
+
+    let shuttingDown = false;
+    let servers = [];
+    let templateRefreshTimer = null;
+    let pollStartTimer = null;
+    let zSchedule = null;
+
+    // Live printer state from DLE EOT / GS a queries - see lib/status.js
+    const printerStatus = createStatusMonitor({
+        registry: printers,
+        interval: config.printerStatusInterval,
+        onChange: (state, previous) => {
+            const fields = { printer: state.printer_id, from: previous ? previous.status : 'unknown', to: state.status };
+            if (state.status === 'ready') {
+                log.info('✅ Printer status changed', fields);
+            } else {
+                log.warn('⚠️  Printer status changed', fields);
+            }
+            poller.reportPrinterStatus(state).catch(error => {
+                log.error('❌ Failed to report printer status', { printer: state.printer_id, error: error.message });
+            });
+            webhooks.emit('printer.status_changed', printerEventData(state, previous));
+            // Resume any jobs held back while the printer was not ready
+            if (printerStatus.isReady(state.printer_id)) {
+                jobQueue.pump();
+            }
+        }
+    });
+
+    // Persistent queue - see lib/queue.js
+    const jobQueue = createJobQueue({
+        ...config.queue,
+        processor: (job) => service.printQueuedJob(job),
+        canDispatch: (printerId) => printerStatus.isReady(printerId)
+    });
+
+    // Bytes of every printed job for GET /history and reprints - see lib/history.js
+    const history = createPrintHistory(config.history);
+    for (const event of ['completed', 'retrying', 'failed']) {
+        jobQueue.on(event, (job) => history.settle(job));
+    }
+    jobQueue.on('cancelled', (job) => history.settle(job, 'CANCELLED'));
+
+    const formatter = createFormatter({ printers, templates, business: config.business, totalsCheck: config.totalsCheck, now });
+    const service = createPrintService({ printers, jobQueue, formatter, access, history, ticketHistoryHours: config.ticketHistoryHours });
+    const metrics = createHelperMetrics({ jobQueue, printers, printerStatus });
+    const reports = createReportService({ ...config.reports, supabase, access, now });
+    const poller = createSupabasePoller({
+        supabase,
+        jobQueue,
+        printers,
+        service,
+        reports,
+        workerId: config.polling.workerId,
+        leaseSeconds: config.polling.leaseSeconds,
+        claimBatchSize: config.polling.claimBatchSize,
+        interval: config.polling.interval,
+        realtime: config.polling.realtime,
+        reconcileInterval: config.polling.reconcileInterval,
+        table: config.polling.table,
+        onPoll: metrics.observePoll
+    });
+
+    // Outgoing events - see lib/webhooks.js. Print confirmations also go to the
+    // callback_url the HTTP request came with.
+    const webhooks = createWebhookDispatcher({ ...config.webhooks, source: config.polling.workerId, onDelivery: metrics.observeWebhook });
+    for (const status of ['queued', 'printing', 'completed', 'failed']) {
+        jobQueue.on(status, (job) => {
+            webhooks.emit(`job.${status}`, jobEventData(job, printers.get(job.printer_id)), { callbackUrl: job.callback_url });
+        });
+    }
+
+    // printer.status_changed payload
+    function printerEventData(state, previous) {
+        const printer = printers.get(state.printer_id);
+        return {
+            ...state,
+            name: printer ? printer.name : null,
+            previous_status: previous ? previous.status : null
+        };
+    }
+
+    jobQueue.on('failed', (job) => {
+        log.error('❌ Print job failed', { job_id: job.id, job_type: job.job_type, printer: job.printer_id, attempts: job.attempts, error: job.last_error });
+    });
+
+    // Loaded before the queue, which may start printing straight away
+    if (history.enabled) {
+        log.info('🗂️  Print history loaded', { directory: history.dir, entries: history.load(), retention_days: config.history.retentionDays });
+    }
+
+    const restored = jobQueue.load();
+    log.info('📦 Print queue loaded', { file: jobQueue.filePath, restored });
+
+    // Pull active templates from Supabase; without the table only built-in and file templates are used
+    async function refreshTemplates() {
+        if (!supabase) {
+            return;
+        }
+        try {
+            const count = await templates.loadSupabase(supabase, config.templatesTable);
+            log.info('📝 Loaded templates from Supabase', { table: config.templatesTable, count });
+        } catch (error) {
+            if (['42P01', 'PGRST205'].includes(error.code)) {
+                log.info('📝 No templates table in Supabase - using built-in and file templates', { table: config.templatesTable });
+                clearInterval(templateRefreshTimer);
+                templateRefreshTimer = null;
+                return;
+            }
+            log.error('❌ Error loading Supabase templates', { error: error.message });
+        }
+    }
+
+    const app = createApp({
+        printers,
+        templates,
+        jobQueue,
+        printerStatus,
+        access,
+        formatter,
+        service,
+        poller,
+        metrics,
+        webhooks,
+        history,
+        reports,
+        refreshTemplates,
+        discoverPrinters,
+        httpPrintWait: config.httpPrintWait,
+        isShuttingDown: () => shuttingDown
+    });
+
+    // Base URL for a listen address (IPv6 addresses need brackets)
+    function urlFor(host, port) {
+        return `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+    }
+
+    // Listen on every configured address; resolves with the http.Server objects
+    function listen() {
+        servers = (config.bindHosts.length > 0 ? config.bindHosts : [undefined]).map(host => app.listen(config.port, host));
+        return Promise.all(servers.map(server => new Promise((resolve, reject) => {
+            server.once('listening', resolve);
+            server.once('error', reject);
+        }))).then(() => servers);
+    }
+
+    // The automatic end of day report at REPORT_Z_TIME
+    async function printScheduledZ() {
+        const report = await reports.buildReport({ report_type: 'Z' });
+        const queued = service.printJob(report, {
+            jobType: 'REPORT',
+            printType: 'report',
+            printerId: config.reports.printer || undefined,
+            source: 'schedule'
+        });
+        log.info('📊 Scheduled Z report queued', { business_day: report.business_day, jobs: queued.map(entry => entry.id) });
+    }
+
+    // Listen, then start status checks, template refreshes and Supabase polling
+    async function start() {
+        await listen();
+
+        const port = servers[0].address().port;
+        const baseUrl = urlFor(config.bindHosts[0] || 'localhost', port);
+        log.info('✅ Server running', {
+            urls: (config.bindHosts.length > 0 ? config.bindHosts : ['localhost']).map(host => urlFor(host, port)),
+            all_interfaces: config.bindHosts.length === 0,
+            printers: printers.config.printers.length,
+            endpoints: {
+                test: `POST ${baseUrl}/print/test`,
+                template: `POST ${baseUrl}/print/template`,
+                kitchen: `POST ${baseUrl}/print/kitchen`,
+                receipt: `POST ${baseUrl}/print/receipt`,
+                report: `POST ${baseUrl}/print/report`,
+                preview: `POST ${baseUrl}/preview/:type`,
+                capabilities: `GET ${baseUrl}/capabilities`,
+                metrics: `GET ${baseUrl}/metrics`
+            }
+        });
+
+        // Spooler temp files from a helper that stopped mid-print
+        const staleFiles = removeStaleTempFiles();
+        if (staleFiles > 0) {
+            log.info('🧹 Removed leftover print temp files', { files: staleFiles });
+        }
+
+        // Start watching printer status (bidirectional transports only)
+        printerStatus.start();
+
+        if (supabase) {
+            refreshTemplates();
+            templateRefreshTimer = setInterval(refreshTemplates, config.templateRefreshInterval);
+        }
+
+        if (config.reports.zTime) {
+            zSchedule = scheduleDaily(config.reports.zTime, printScheduledZ);
+            log.info('📊 Z report scheduled', { at: config.reports.zTime, next: zSchedule.next().toISOString() });
+        }
+
+        if (poller.enabled) {
+            log.info('🔄 Supabase polling enabled', { poll_interval_ms: config.polling.interval });
+            // Start polling after server is ready
+            pollStartTimer = setTimeout(poller.start, 1000);
+        } else {
+            log.warn('⚠️  Supabase polling disabled (configure .env to enable)');
+        }
+        return servers;
+    }
+
+    // Stop polling and taking requests, let prints in progress finish for up to
+    // `shutdownTimeout`, hand unfinished Supabase jobs back and report offline
+    async function shutdown(reason = 'shutdown') {
+        shuttingDown = true;
+        const deadline = Date.now() + config.shutdownTimeout;
+        log.info('👋 Shutting down printer helper', { reason, timeout_ms: config.shutdownTimeout });
+
+        clearTimeout(pollStartTimer);
+        if (zSchedule) zSchedule.stop();
+        clearInterval(templateRefreshTimer);
+        templateRefreshTimer = null;
+        printerStatus.stop();
+        jobQueue.stop();
+        const closed = servers.map(server => new Promise(resolve => server.close(resolve)));
+        servers.forEach(server => server.closeIdleConnections && server.closeIdleConnections());
+
+        try {
+            await poller.stop(deadline);
+
+            const idle = await jobQueue.whenIdle(Math.max(deadline - Date.now(), 0));
+            if (!idle) {
+                log.warn('⚠️  Prints still running at shutdown timeout', {
+                    jobs: jobQueue.list({ status: 'PRINTING' }).map(entry => entry.id)
+                });
+            }
+
+            await poller.releaseUnfinishedJobs(reason);
+            if (poller.enabled) {
+                await poller.reportOffline(reason);
+            }
+
+            const stoppedAt = new Date().toISOString();
+            for (const printer of printers.list()) {
+                const previous = printerStatus.get(printer.id);
+                webhooks.emit('printer.status_changed', printerEventData({ printer_id: printer.id, status: 'offline', helper_stopped: true, reason, last_checked: stoppedAt }, previous));
+            }
+            if (!await webhooks.flush(Math.max(deadline - Date.now(), 0))) {
+                log.warn('⚠️  Webhooks still being delivered at shutdown timeout', { pending: webhooks.pending });
+            }
+        } catch (error) {
+            log.error('❌ Error during shutdown', { error });
+        }
+        webhooks.stop();
+
+        removeStaleTempFiles();
+        // Requests still being answered get until the deadline to finish
+        await Promise.race([Promise.all(closed), sleep(Math.max(deadline - Date.now(), 0))]);
+        log.info('👋 Printer helper stopped', { waiting_jobs: jobQueue.list().filter(entry => ACTIVE_STATUSES.includes(entry.status)).length });
+    }
+
+    return {
+        app,
+        access,
+        printers,
+        templates,
+        jobQueue,
+        printerStatus,
+        formatter,
+        service,
+        poller,
+        metrics,
+        webhooks,
+        history,
+        reports,
+        supabase,
+        listen,
+        start,
+        shutdown,
+        get servers() {
+            return servers;
+        },
+        get shuttingDown() {
+            return shuttingDown;
+        }
+    };
+}
+
+module.exports = {
+    createPrinterHelper
+};
@@ -0,0 +1,224 @@
+// Print history
+// Keeps the ESC/POS bytes of every job sent to a printer, so a receipt can be
+// printed again exactly as it came out without the POS rebuilding the order.
+// Metadata is kept in an append-only index (index.jsonl) and the bytes in one
+// <id>.bin file per job, both in HISTORY_DIR. Entries older than
+// `retentionDays`, and the oldest beyond `maxEntries`, are removed.
+const fs = require('fs');
+const path = require('path');
+const { logger: log } = require('./logger');
+
+// Queue status -> history outcome
+const OUTCOMES = {
+    PRINTING: 'printing',
+    COMPLETED: 'printed',
+    RETRYING: 'retrying',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often store() looks for entries past their retention
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Sort entries (in the order they were stored) newest first
+function byNewest(list) {
+    return list.reverse().sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+}
+
+function createPrintHistory({
+    dir = path.join(process.cwd(), 'print-history'),   // null = keep no history
+    retentionDays = 30,
+    maxEntries = 5000
+} = {}) {
+    const indexFile = dir ? path.join(dir, 'index.jsonl') : null;
+    const entries = new Map();
+    let indexLines = 0;
+    let lastPrune = 0;
+
+    const bytesFile = (id) => path.join(dir, `${id}.bin`);
+
+    // ===== PERSISTENCE =====
+
+    function put(entry) {
+        entries.set(entry.id, entry);
+        fs.appendFileSync(indexFile, JSON.stringify({ op: 'put', entry }) + '\n');
+        indexLines++;
+    }
+
+    function compact() {
+        const lines = Array.from(entries.values()).map(entry => JSON.stringify({ op: 'put', entry }) + '\n');
+        const tempFile = `${indexFile}.tmp`;
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.renameSync(tempFile, indexFile);
+        indexLines = lines.length;
+    }
+
+    // Drop expired entries and the oldest beyond maxEntries, with their bytes
+    function prune() {
+        if (!dir) {
+            return 0;
+        }
+        lastPrune = Date.now();
+        const cutoff = lastPrune - retentionDays * DAY_MS;
+        const newestFirst = byNewest(Array.from(entries.values()));
+        const expired = newestFirst.filter((entry, index) =>
+            Date.parse(entry.created_at) < cutoff || (maxEntries > 0 && index >= maxEntries));
+
+        for (const entry of expired) {
+            entries.delete(entry.id);
+            fs.rmSync(bytesFile(entry.id), { force: true });
+        }
+        if (expired.length > 0 || indexLines > Math.max(200, entries.size * 4)) {
+            compact();
+        }
+        if (expired.length > 0) {
+            log.info('🧹 Pruned print history', { removed: expired.length, kept: entries.size });
+        }
+        return expired.length;
+    }
+
+    function load() {
+        if (!dir) {
+            return 0;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(indexFile)) {
+            for (const line of fs.readFileSync(indexFile, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const { op, entry } = JSON.parse(line);
+                    if (op === 'put') {
+                        entries.set(entry.id, entry);
+                    }
+                } catch (e) {
+                    // A torn final line after a crash - ignore it
+                    log.warn('Skipping unreadable history entry', { error: e.message });
+                }
+                indexLines++;
+            }
+        }
+
+        // Bytes written just before a crash, with no index line to go with them
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.bin') && !entries.has(file.slice(0, -4))) {
+                fs.rmSync(path.join(dir, file), { force: true });
+            }
+        }
+
+        prune();
+        compact();
+        return entries.size;
+    }
+
+    // ===== PUBLIC API =====
+
+    // Save the bytes rendered for a queue job on its first attempt; later
+    // attempts only update the entry. `reprintOf` marks a duplicate copy.
+    function store(job, printer, buffer, { reprintOf = null } = {}) {
+        if (!dir) {
+            return null;
+        }
+        const existing = entries.get(job.id);
+        if (!existing) {
+            fs.writeFileSync(bytesFile(job.id), buffer);
+        }
+        const entry = {
+            id: job.id,
+            group_id: job.group_id || null,
+            order_number: job.order_number || null,
+            job_type: job.job_type,
+            print_type: job.print_type,
+            printer_id: printer.id,
+            printer_name: printer.name,
+            source: job.source || null,
+            requested_by: job.requested_by || null,
+            supabase_job_id: job.supabase_job_id || null,
+            reprint_of: existing ? existing.reprint_of : reprintOf,
+            outcome: OUTCOMES.PRINTING,
+            error: null,
+            attempts: job.attempts,
+            bytes: existing ? existing.bytes : buffer.length,
+            created_at: existing ? existing.created_at : new Date().toISOString(),
+            printed_at: null
+        };
+        put(entry);
+        if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+            prune();
+        }
+        return entry;
+    }
+
+    // Record how a stored job's attempt ended (from the queue's events)
+    function settle(job, status = job.status) {
+        const entry = dir ? entries.get(job.id) : null;
+        if (!entry || !OUTCOMES[status]) {
+            return null;
+        }
+        const updated = {
+            ...entry,
+            outcome: OUTCOMES[status],
+            error: status === 'COMPLETED' ? null : job.last_error || null,
+            attempts: job.attempts,
+            printed_at: status === 'COMPLETED' ? job.completed_at || new Date().toISOString() : entry.printed_at
+        };
+        put(updated);
+        return updated;
+    }
+
+    function get(id) {
+        return entries.get(id) || null;
+    }
+
+    // Stored bytes for an entry, or null when it has been pruned
+    function read(id) {
+        if (!entries.has(id)) {
+            return null;
+        }
+        try {
+            return fs.readFileSync(bytesFile(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Entries matching every given filter, newest first. `from` and `to` are
+    // timestamps (ms) compared with created_at.
+    function search({ orderNumber, printerId, jobType, outcome, from, to, limit = 50 } = {}) {
+        const matches = Array.from(entries.values()).filter(entry => {
+            const created = Date.parse(entry.created_at);
+            return (orderNumber === undefined || String(entry.order_number) === String(orderNumber)) &&
+                (printerId === undefined || entry.printer_id === printerId) &&
+                (jobType === undefined || entry.job_type === jobType) &&
+                (outcome === undefined || entry.outcome === outcome) &&
+                (from === undefined || created >= from) &&
+                (to === undefined || created <= to);
+        });
+        byNewest(matches);
+        return { total: matches.length, entries: matches.slice(0, limit) };
+    }
+
+    return {
+        enabled: Boolean(dir),
+        dir,
+        load,
+        prune,
+        store,
+        settle,
+        get,
+        read,
+        search,
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+module.exports = {
+    OUTCOMES,
+    createPrintHistory
+};
@@ -0,0 +1,846 @@
+// HTTP API
+// Express app with the print, preview, drawer, printer, template, job,
+// print history and metrics endpoints. Everything it works with is passed in, so tests can
+// mount it against a virtual printer and a fake Supabase.
+const express = require('express');
+const cors = require('cors');
+const os = require('os');
+const { interpretEscPos, renderText, renderHtml, renderPng } = require('./preview');
+const { CODE_PAGES, toPrinterBuffer } = require('./encoding');
+const { BARCODE_SYSTEMS, PAPER_DOTS } = require('./graphics');
+const { CHARS_PER_LINE, FONTS, layoutFor } = require('./layout');
+const { BLOCK_TYPES } = require('./templates');
+const { SCHEMAS, formatErrors } = require('./schemas');
+const { drawerKickCommand, jobActions } = require('./peripherals');
+const { buzzerCommand, withJobActions } = require('./formatter');
+const { jobSummary, orderNumberOf, validateOrder } = require('./jobs');
+const { discoverPrinters: listSystemPrinters } = require('./discovery');
+const { spoolerBackend, transportTypes } = require('./transports');
+const { CALLBACK_EVENTS } = require('./webhooks');
+const { logger: log } = require('./logger');
+
+// Keep the raw body so signed requests can be verified
+const keepRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+};
+
+// 400 response listing every invalid field
+function sendValidationError(res, label, { schema, errors }) {
+    log.warn(`❌ Invalid ${label.toLowerCase()}`, { schema, errors: formatErrors(errors) });
+    res.status(400).json({
+        success: false,
+        message: `Invalid ${label.toLowerCase()}`,
+        schema,
+        errors
+    });
+}
+
+// ?from=, ?to= and ?date= for GET /history as timestamps (ms). A bare
+// YYYY-MM-DD is a whole day on this machine's clock.
+function historyRange({ from, to, date }) {
+    const day = (value, offset) => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + offset).getTime() : null;
+    };
+    const parse = (value, end) => {
+        if (value === undefined) {
+            return undefined;
+        }
+        const start = day(value, end ? 1 : 0);
+        if (start !== null) {
+            return end ? start - 1 : start;
+        }
+        const time = Date.parse(value);
+        if (Number.isNaN(time)) {
+            throw new Error(`Invalid date: ${value}`);
+        }
+        return time;
+    };
+    return date !== undefined
+        ? { from: parse(date, false), to: parse(date, true) }
+        : { from: parse(from, false), to: parse(to, true) };
+}
+
+// Most entries one GET /history page returns
+const HISTORY_MAX_LIMIT = 1000;
+
+// Job type and print type for each preview/print route
+const PREVIEW_TYPES = {
+    template: { jobType: 'CUSTOMER_RECEIPT', printType: 'template' },
+    kitchen: { jobType: 'KITCHEN_TICKET', printType: 'kitchen' },
+    receipt: { jobType: 'CUSTOMER_RECEIPT', printType: 'receipt' }
+};
+
+function createApp({
+    printers,
+    templates,
+    jobQueue,
+    printerStatus,
+    access,
+    formatter,
+    service,
+    poller,
+    metrics,
+    webhooks,
+    history,
+    reports,
+    refreshTemplates = async () => {},
+    discoverPrinters = listSystemPrinters,
+    httpPrintWait = 10000,
+    isShuttingDown = () => false
+}) {
+    const app = express();
+
+    // Refuse new work once shutdown has started (keep-alive connections can still send requests)
+    app.use((req, res, next) => {
+        if (isShuttingDown()) {
+            res.set('Connection', 'close');
+            res.status(503).json({ success: false, message: 'Printer helper is shutting down' });
+            return;
+        }
+        next();
+    });
+
+    // Middleware
+    app.use(access.audit);
+    app.use(access.checkOrigin);
+    app.use(cors(access.corsOptions));
+    app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    app.use(express.urlencoded({ limit: '10mb', extended: true, verify: keepRawBody }));
+    app.use(access.authenticate);
+    app.use(['/print', '/preview', '/drawer', '/buzzer'], access.limitRate);
+
+    // Health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            platform: os.platform(),
+            version: '3.1.0',
+            method: 'Lightweight Rich Templates + Raw ESC/POS Transport',
+            printer: printers.defaultPrinter.name,
+            printers: printers.config.printers.map(printer => printer.name),
+            features: ['rich_templates', 'qr_codes', 'lightweight', 'reliable_builds', 'supabase_polling', 'multi_printer'],
+            ...poller.state(),
+            queue: jobQueue.stats(),
+            printer_status: printers.config.printers.map(printer => {
+                const state = printerStatus.get(printer.id);
+                return {
+                    id: printer.id,
+                    name: printer.name,
+                    status: state ? state.status : 'unknown',
+                    last_checked: state ? state.last_checked : null
+                };
+            })
+        });
+    });
+
+    // ===== HTTP ENDPOINTS (Backward Compatibility) =====
+
+    // Queue an HTTP request body and reply once each part has had its first attempt.
+    // If the printer is offline the parts stay buffered and the reply is 202.
+    // `prepare` turns the body into the job's data first (e.g. report figures).
+    async function handlePrintRequest(req, res, { label, jobType, printType, prepare = null }) {
+        const validation = validateOrder(req.body, req.body.job_type || jobType, printType);
+        if (validation.errors.length > 0) {
+            sendValidationError(res, label, validation);
+            return;
+        }
+
+        // Optional URL told when each part prints or fails
+        const callbackUrl = req.body.callback_url || null;
+        const callbackError = callbackUrl ? webhooks.checkCallbackUrl(callbackUrl) : null;
+        if (callbackError) {
+            sendValidationError(res, label, { schema: validation.schema, errors: [{ field: 'callback_url', message: callbackError }] });
+            return;
+        }
+
+        let data = req.body;
+        if (prepare) {
+            try {
+                data = await prepare(req.body);
+            } catch (error) {
+                log.error(`❌ ${label} could not be prepared`, { error: error.message });
+                res.status(error.retryable === false ? 400 : 500).json({
+                    success: false,
+                    message: `Failed to prepare ${label.toLowerCase()}`,
+                    error: error.message
+                });
+                return;
+            }
+        }
+
+        let queued;
+        try {
+            queued = service.printJob(data, {
+                jobType: req.body.job_type || jobType,
+                printType,
+                printerId: req.body.printer_id || req.query.printer,
+                requestedBy: req.apiClient || req.ip,
+                callbackUrl
+            });
+        } catch (error) {
+            log.error(`❌ ${label} routing error`, { error: error.message });
+            res.status(400).json({
+                success: false,
+                message: `Failed to queue ${label.toLowerCase()}`,
+                error: error.message
+            });
+            return;
+        }
+        if (queued.length === 0) {
+            log.warn(`⚠️  ${label} matched no printer`, { job_type: req.body.job_type || jobType });
+            res.status(422).json({
+                success: false,
+                message: `No printer matched the ${label.toLowerCase()} - nothing was printed`,
+                results: []
+            });
+            return;
+        }
+
+        await replyWhenAttempted(res, label, queued);
+    }
+
+    // Wait (up to httpPrintWait) for each queued job's first attempt, then reply
+    // 200 when all printed, 202 when some are still waiting and 500 on failure
+    async function replyWhenAttempted(res, label, queued) {
+        res.locals.audit = {
+            job_type: queued[0] ? queued[0].job_type : null,
+            order_number: queued[0] ? queued[0].order_number : null,
+            jobs: queued.map(job => job.id),
+            printers: queued.map(job => job.printer_id)
+        };
+
+        const settled = await Promise.all(queued.map(job => jobQueue.waitForAttempt(job.id, httpPrintWait)));
+        const results = settled.map((job, i) => ({
+            job_id: queued[i].id,
+            printer: queued[i].printer_id,
+            name: printers.get(queued[i].printer_id).name,
+            status: job ? job.status : 'CANCELLED',
+            error: job ? job.last_error : null
+        }));
+
+        const failed = results.filter(result => result.status === 'FAILED' || result.status === 'CANCELLED');
+        const pending = results.filter(result => result.status !== 'COMPLETED' && !failed.includes(result));
+
+        if (failed.length > 0) {
+            const error = failed.map(result => `${result.name}: ${result.error || result.status}`).join('; ');
+            log.error(`❌ ${label} print failed`, { jobs: results.map(result => result.job_id), error });
+            res.status(500).json({
+                success: false,
+                message: `${label} print failed`,
+                error,
+                method: 'Raw ESC/POS Transport',
+                results
+            });
+        } else if (pending.length > 0) {
+            log.warn(`⏳ ${label} queued - printer not available yet`, { jobs: results.map(result => result.job_id) });
+            res.status(202).json({
+                success: true,
+                queued: true,
+                message: `${label} queued - will print when the printer is available`,
+                method: 'Raw ESC/POS Transport',
+                printer: results.map(result => result.name).join(', '),
+                results
+            });
+        } else {
+            log.info(`✅ ${label} printed`, { jobs: results.map(result => result.job_id) });
+            res.json({
+                success: true,
+                message: `${label} printed successfully`,
+                method: 'Raw ESC/POS Transport',
+                printer: results.map(result => result.name).join(', '),
+                results
+            });
+        }
+    }
+
+    // Enhanced template-based printing endpoint
+    app.post('/print/template', async (req, res) => {
+        log.info('🎨 Rich template print request received', { client: req.apiClient || req.ip, keys: Object.keys(req.body) });
+        log.debug('Request body', { body: req.body });
+
+        await handlePrintRequest(req, res, { label: 'Rich template', jobType: 'CUSTOMER_RECEIPT', printType: 'template' });
+    });
+
+    // Kitchen ticket endpoint (enhanced)
+    app.post('/print/kitchen', async (req, res) => {
+        log.info('📝 Kitchen ticket print request received', { client: req.apiClient || req.ip, order_number: orderNumberOf(req.body) });
+        log.debug('Request body', { body: req.body });
+
+        await handlePrintRequest(req, res, { label: 'Kitchen ticket', jobType: 'KITCHEN_TICKET', printType: 'kitchen' });
+    });
+
+    // Customer receipt endpoint (enhanced)
+    app.post('/print/receipt', async (req, res) => {
+        log.info('🧾 Customer receipt print request received', { client: req.apiClient || req.ip, order_number: orderNumberOf(req.body) });
+        log.debug('Request body', { body: req.body });
+
+        await handlePrintRequest(req, res, { label: 'Receipt', jobType: 'CUSTOMER_RECEIPT', printType: 'receipt' });
+    });
+
+    // X (interim) or Z (end of day) report - see lib/reports.js
+    app.post('/print/report', async (req, res) => {
+        log.info('📊 Report print request received', { client: req.apiClient || req.ip, report_type: req.body.report_type || 'X' });
+
+        await handlePrintRequest(req, res, { label: 'Report', jobType: 'REPORT', printType: 'report', prepare: reports.buildReport });
+    });
+
+    // Test print endpoint (enhanced)
+    app.post('/print/test', async (req, res) => {
+        log.info('🧪 Test print request received', { client: req.apiClient || req.ip });
+
+        const printerId = (req.body && req.body.printer_id) || req.query.printer;
+        const printer = printerId ? printers.get(printerId) : printers.defaultPrinter;
+
+        if (!printer) {
+            res.status(404).json({ success: false, message: `Unknown printer: ${printerId}` });
+            return;
+        }
+
+        res.locals.audit = { job_type: 'TEST', printers: [printer.id] };
+
+        const testContent = formatter.testPage(printer);
+
+        try {
+            await printers.send(printer.id, testContent);
+            log.info('✅ Test print sent', { printer: printer.id });
+            res.json({
+                success: true,
+                message: 'Lightweight rich template test print sent successfully',
+                method: 'Lightweight Rich Template + Raw ESC/POS Transport',
+                printer: printer.name,
+                version: '3.1.0',
+                capabilities: ['rich_templates', 'qr_codes', 'lightweight', 'reliable_builds', 'supabase_polling', 'multi_printer']
+            });
+        } catch (error) {
+            log.error('❌ Test print failed', { printer: printer.id, error: error.message });
+            res.status(500).json({
+                success: false,
+                message: 'Test print failed',
+                error: error.message,
+                method: 'Lightweight Rich Template + Raw ESC/POS Transport'
+            });
+        }
+    });
+
+    // ===== CASH DRAWER AND BUZZER =====
+
+    // Printer named in the body or query, or the first printer routed `jobType` when
+    // none is named. Answers 404/422 itself and returns null when there is no printer.
+    function requestedPrinter(req, res, jobType) {
+        const printerId = (req.body && req.body.printer_id) || req.query.printer;
+        if (printerId) {
+            const printer = printers.get(printerId);
+            if (!printer) {
+                res.status(404).json({ success: false, message: `Unknown printer: ${printerId}` });
+            }
+            return printer || null;
+        }
+
+        const [target] = printers.route(jobType, null);
+        if (!target) {
+            res.status(422).json({ success: false, message: `No printer is routed ${jobType} jobs - name one with printer_id` });
+            return null;
+        }
+        return target.printer;
+    }
+
+    // Open a cash drawer without printing (no sale, change, cash-up). Defaults to
+    // the customer receipt printer. Every opening is written to the audit log.
+    app.post('/drawer/open', async (req, res) => {
+        const body = req.body || {};
+        const printer = requestedPrinter(req, res, 'CUSTOMER_RECEIPT');
+        if (!printer) {
+            return;
+        }
+        if (body.pin !== undefined && ![2, 5].includes(parseInt(body.pin))) {
+            res.status(400).json({ success: false, message: 'pin must be 2 or 5' });
+            return;
+        }
+
+        const drawer = { ...printer.drawer, ...(body.pin !== undefined ? { pin: parseInt(body.pin) } : {}) };
+        const reason = body.reason ? String(body.reason) : 'no sale';
+        res.locals.audit = { event: 'drawer_open', printers: [printer.id], pin: drawer.pin, reason };
+
+        try {
+            await printers.send(printer.id, drawerKickCommand(drawer));
+            log.info('💷 Cash drawer opened', { printer: printer.id, client: req.apiClient || req.ip, reason });
+            res.json({ success: true, message: 'Cash drawer opened', printer: printer.name, pin: drawer.pin, reason });
+        } catch (error) {
+            log.error('❌ Drawer open failed', { printer: printer.id, error: error.message });
+            res.status(500).json({ success: false, message: 'Drawer open failed', error: error.message });
+        }
+    });
+
+    // Sound a printer's buzzer, e.g. to call a runner. Defaults to the kitchen printer.
+    app.post('/buzzer', async (req, res) => {
+        const body = req.body || {};
+        const printer = requestedPrinter(req, res, 'KITCHEN_TICKET');
+        if (!printer) {
+            return;
+        }
+        if (!printer.capabilities.buzzer) {
+            res.status(400).json({ success: false, message: `Printer ${printer.id} has no buzzer configured (capabilities.buzzer)` });
+            return;
+        }
+
+        const times = Math.min(Math.max(parseInt(body.times) || 1, 1), 9);
+        res.locals.audit = { event: 'beep', printers: [printer.id], times };
+
+        try {
+            await printers.send(printer.id, buzzerCommand(printer, times));
+            res.json({ success: true, message: 'Buzzer sounded', printer: printer.name, times });
+        } catch (error) {
+            log.error('❌ Buzzer failed', { printer: printer.id, error: error.message });
+            res.status(500).json({ success: false, message: 'Buzzer failed', error: error.message });
+        }
+    });
+
+    // ===== RECEIPT PREVIEW =====
+
+    // Render a print body exactly as it would be printed, without printing it.
+    // ?format=json (default) returns text, html and a PNG data URL for every
+    // station part; text, html and png return just one part (?part=, default 0).
+    app.post('/preview/:type', async (req, res) => {
+        const previewType = PREVIEW_TYPES[req.params.type];
+        if (!previewType) {
+            res.status(404).json({
+                success: false,
+                message: `Unknown preview type: ${req.params.type}`,
+                supported: Object.keys(PREVIEW_TYPES)
+            });
+            return;
+        }
+
+        const jobType = req.body.job_type || previewType.jobType;
+        const validation = validateOrder(req.body, jobType, previewType.printType);
+        if (validation.errors.length > 0) {
+            sendValidationError(res, 'Preview request', validation);
+            return;
+        }
+
+        try {
+            const printerId = req.body.printer_id || req.query.printer;
+            const targets = printerId
+                ? [{ printer: printers.get(printerId), data: req.body }]
+                : printers.route(jobType, req.body);
+
+            if (targets.some(target => !target.printer)) {
+                res.status(404).json({ success: false, message: `Unknown printer: ${printerId}` });
+                return;
+            }
+
+            const parts = [];
+            for (const { printer, data } of targets) {
+                const ticket = service.ticketFor(previewType.printType, data, printer);
+                const content = await formatter.formatReceipt(data, previewType.printType, printer, jobType, { ticket });
+                if (!content) {
+                    throw new Error('Failed to format receipt content');
+                }
+                const bytes = toPrinterBuffer(withJobActions(content, printer, jobActions(printer, jobType, data)), printer.code_page);
+                const doc = interpretEscPos(bytes, {
+                    codePage: printer.code_page,
+                    dotWidth: PAPER_DOTS[printer.paper_width] || PAPER_DOTS['80mm']
+                });
+                parts.push({ printer, doc, bytes: bytes.length });
+            }
+
+            const format = req.query.format || 'json';
+            const part = parts[parseInt(req.query.part || '0')] || parts[0];
+
+            if (format === 'text') {
+                res.type('text/plain; charset=utf-8').send(renderText(part.doc));
+            } else if (format === 'html') {
+                res.type('text/html; charset=utf-8').send(renderHtml(part.doc));
+            } else if (format === 'png') {
+                res.type('image/png').send(renderPng(part.doc));
+            } else {
+                res.json({
+                    success: true,
+                    parts: parts.map(({ printer, doc, bytes }) => ({
+                        printer: printer.id,
+                        name: printer.name,
+                        paper_width: printer.paper_width,
+                        bytes,
+                        text: renderText(doc),
+                        html: renderHtml(doc),
+                        png: `data:image/png;base64,${renderPng(doc).toString('base64')}`
+                    }))
+                });
+            }
+        } catch (error) {
+            log.error('❌ Preview error', { error: error.message });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to render preview',
+                error: error.message
+            });
+        }
+    });
+
+    // ===== PRINTER REGISTRY =====
+
+    // List configured printers and routing rules
+    app.get('/printers', (req, res) => {
+        res.json({
+            printers: printers.list(),
+            routing: printers.config.routing,
+            config_file: printers.filePath
+        });
+    });
+
+    // Print queues installed on this machine (CUPS or Windows), to fill in printers.json
+    app.get('/printers/discover', async (req, res) => {
+        try {
+            const found = await discoverPrinters();
+            const configured = new Set(printers.list()
+                .filter(printer => ['spooler', 'windows', 'cups'].includes(printer.transport.type))
+                .map(printer => printer.transport_target));
+            res.json({
+                success: true,
+                ...found,
+                printers: found.printers.map(printer => ({ ...printer, configured: configured.has(printer.name) }))
+            });
+        } catch (error) {
+            log.error('❌ Printer discovery failed', { error: error.message });
+            res.status(500).json({ success: false, message: 'Printer discovery failed', error: error.message });
+        }
+    });
+
+    // Live status of one printer (?refresh=true queries it right now)
+    app.get('/printers/:id/status', async (req, res) => {
+        const printer = printers.get(req.params.id);
+        if (!printer) {
+            res.status(404).json({ success: false, message: `Unknown printer: ${req.params.id}` });
+            return;
+        }
+
+        try {
+            const state = req.query.refresh === 'true' || !printerStatus.get(printer.id)
+                ? await printerStatus.check(printer)
+                : printerStatus.get(printer.id);
+            res.json({ ...state, name: printer.name, dispatch_paused: !printerStatus.isReady(printer.id) });
+        } catch (error) {
+            res.status(500).json({ success: false, message: 'Status check failed', error: error.message });
+        }
+    });
+
+    // Replace the printer registry and routing rules (saved to printers.json)
+    // Transports decide what the helper writes to, so changing them needs API_KEYS.
+    app.put('/printers', (req, res) => {
+        try {
+            const changed = printers.changedTransports(req.body);
+            if (changed.length > 0 && !access.enabled) {
+                log.warn('⚠️  Printer transport change refused - API_KEYS is not set', { printers: changed });
+                res.status(403).json({
+                    success: false,
+                    message: 'Printer transports can only be changed over HTTP when API_KEYS is set',
+                    printers: changed
+                });
+                return;
+            }
+            const config = printers.update(req.body);
+            log.info('🖨️  Printer registry updated', { printers: config.printers.map(printer => printer.id) });
+            res.json({
+                success: true,
+                printers: printers.list(),
+                routing: config.routing
+            });
+        } catch (error) {
+            log.warn('❌ Invalid printer config', { error: error.message });
+            res.status(400).json({
+                success: false,
+                message: 'Invalid printer config',
+                error: error.message
+            });
+        }
+    });
+
+    // ===== RECEIPT TEMPLATES =====
+
+    // Available templates, with where each came from and the jobs it is picked for
+    app.get('/templates', (req, res) => {
+        res.json({
+            success: true,
+            directory: templates.directory,
+            block_types: BLOCK_TYPES,
+            templates: templates.list()
+        });
+    });
+
+    app.get('/templates/:name', (req, res) => {
+        const template = templates.get(req.params.name);
+        if (!template) {
+            res.status(404).json({ success: false, message: `Template not found: ${req.params.name}` });
+            return;
+        }
+        res.json({ success: true, template });
+    });
+
+    // Re-read TEMPLATES_DIR (and Supabase) after editing templates
+    app.post('/templates/reload', async (req, res) => {
+        const files = templates.loadFiles();
+        await refreshTemplates();
+        log.info('📝 Templates reloaded', { files });
+        res.json({ success: true, templates: templates.list() });
+    });
+
+    // ===== LOCAL JOB QUEUE =====
+
+    // List queued and recent jobs (optional ?status= and ?printer= filters)
+    app.get('/jobs', (req, res) => {
+        const jobs = jobQueue.list({ status: req.query.status, printerId: req.query.printer });
+        res.json({
+            jobs: jobs.map(jobSummary),
+            stats: jobQueue.stats()
+        });
+    });
+
+    // Single job including its order data
+    app.get('/jobs/:id', (req, res) => {
+        const job = jobQueue.get(req.params.id);
+        if (!job) {
+            res.status(404).json({ success: false, message: 'Job not found' });
+            return;
+        }
+        res.json(job);
+    });
+
+    // Retry a failed or waiting job immediately
+    app.post('/jobs/:id/retry', access.limitRate, (req, res) => {
+        try {
+            const job = jobQueue.retry(req.params.id);
+            if (!job) {
+                res.status(404).json({ success: false, message: 'Job not found' });
+                return;
+            }
+            res.locals.audit = { job_type: job.job_type, order_number: job.order_number, jobs: [job.id], printers: [job.printer_id] };
+            log.info('🔁 Job retried by request', { job_id: job.id, client: req.apiClient || req.ip });
+            res.json({ success: true, job: jobSummary(job) });
+        } catch (error) {
+            // A printed job is copied from the print history instead, marked as a duplicate
+            const job = jobQueue.get(req.params.id);
+            res.status(409).json({
+                success: false,
+                message: error.message,
+                ...(job && job.status === 'COMPLETED' && history.enabled ? { reprint: `POST /history/${job.id}/reprint` } : {})
+            });
+        }
+    });
+
+    // Remove a job from the queue (cancels it if it has not printed yet)
+    app.delete('/jobs/:id', (req, res) => {
+        try {
+            const job = jobQueue.remove(req.params.id);
+            if (!job) {
+                res.status(404).json({ success: false, message: 'Job not found' });
+                return;
+            }
+            res.locals.audit = { job_type: job.job_type, order_number: job.order_number, jobs: [job.id], printers: [job.printer_id] };
+            log.info('🗑️  Job removed from queue', { job_id: job.id, client: req.apiClient || req.ip });
+            res.json({ success: true, job: jobSummary(job) });
+        } catch (error) {
+            res.status(409).json({ success: false, message: error.message });
+        }
+    });
+
+    // ===== PRINT HISTORY =====
+
+    // Printed jobs, newest first: ?order_number=, ?date=YYYY-MM-DD or ?from=/?to=,
+    // ?printer=, ?job_type=, ?outcome= and ?limit= (default 50, at most HISTORY_MAX_LIMIT)
+    app.get('/history', (req, res) => {
+        let range;
+        try {
+            range = historyRange(req.query);
+        } catch (error) {
+            res.status(400).json({ success: false, message: error.message });
+            return;
+        }
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!/^\d+$/.test(String(limit)) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+            res.status(400).json({ success: false, message: `limit must be a whole number from 1 to ${HISTORY_MAX_LIMIT}` });
+            return;
+        }
+        const { total, entries } = history.search({
+            orderNumber: req.query.order_number,
+            printerId: req.query.printer,
+            jobType: req.query.job_type,
+            outcome: req.query.outcome,
+            ...range,
+            limit
+        });
+        res.json({ success: true, enabled: history.enabled, total, count: entries.length, entries });
+    });
+
+    // One entry; ?format=text, html or png renders the stored bytes like /preview
+    app.get('/history/:id', (req, res) => {
+        const entry = history.get(req.params.id);
+        if (!entry) {
+            res.status(404).json({ success: false, message: 'History entry not found' });
+            return;
+        }
+        const format = req.query.format || 'json';
+        if (format === 'json') {
+            res.json(entry);
+            return;
+        }
+
+        const bytes = history.read(entry.id);
+        if (!bytes) {
+            res.status(410).json({ success: false, message: 'Printed bytes are no longer stored' });
+            return;
+        }
+        const printer = printers.get(entry.printer_id);
+        const doc = interpretEscPos(bytes, {
+            codePage: printer ? printer.code_page : undefined,
+            dotWidth: (printer && PAPER_DOTS[printer.paper_width]) || PAPER_DOTS['80mm']
+        });
+        if (format === 'text') {
+            res.type('text/plain; charset=utf-8').send(renderText(doc));
+        } else if (format === 'html') {
+            res.type('text/html; charset=utf-8').send(renderHtml(doc));
+        } else if (format === 'png') {
+            res.type('image/png').send(renderPng(doc));
+        } else {
+            res.status(400).json({ success: false, message: `Unknown format: ${format}`, supported: ['json', 'text', 'html', 'png'] });
+        }
+    });
+
+    // Print a stored job again, byte for byte, under a DUPLICATE COPY banner.
+    // Defaults to the printer it first went to; { printer_id } sends it elsewhere.
+    app.post('/history/:id/reprint', access.limitRate, async (req, res) => {
+        const entry = history.get(req.params.id);
+        if (!entry) {
+            res.status(404).json({ success: false, message: 'History entry not found' });
+            return;
+        }
+        if (!history.read(entry.id)) {
+            res.status(410).json({ success: false, message: 'Printed bytes are no longer stored' });
+            return;
+        }
+
+        const callbackUrl = (req.body && req.body.callback_url) || null;
+        const callbackError = callbackUrl ? webhooks.checkCallbackUrl(callbackUrl) : null;
+        if (callbackError) {
+            res.status(400).json({ success: false, message: callbackError });
+            return;
+        }
+
+        let job;
+        try {
+            job = service.reprintJob(entry, {
+                printerId: (req.body && req.body.printer_id) || req.query.printer || entry.printer_id,
+                requestedBy: req.apiClient || req.ip,
+                callbackUrl
+            });
+        } catch (error) {
+            res.status(404).json({ success: false, message: error.message });
+            return;
+        }
+        log.info('🔁 Duplicate copy requested', { history_id: entry.id, job_id: job.id, order_number: entry.order_number, client: req.apiClient || req.ip });
+        await replyWhenAttempted(res, 'Duplicate copy', [job]);
+    });
+
+    // Prometheus scrape endpoint (behind API_KEYS like everything else)
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', metrics.contentType);
+        res.send(metrics.render());
+    });
+
+    // Get system capabilities endpoint
+    app.get('/capabilities', (req, res) => {
+        const { polling, realtime } = poller.state();
+        res.json({
+            version: '3.1.0',
+            name: 'Cottage Tandoori Lightweight Rich Template Printer',
+            capabilities: {
+                rich_templates: true,
+                qr_code_generation: true,
+                barcodes: true,
+                cash_drawer: true,
+                raster_logos: true,
+                escpos_commands: true,
+                thermal_optimization: true,
+                lightweight_processing: true,
+                reliable_builds: true,
+                backward_compatibility: true,
+                supabase_polling: polling.enabled,
+                supabase_realtime: realtime.enabled,
+                multi_printer: true,
+                receipt_templates: true,
+                prometheus_metrics: true,
+                structured_logging: true,
+                printer_discovery: true,
+                webhooks: webhooks.enabled,
+                print_callbacks: webhooks.callbacks,
+                print_history: history.enabled,
+                shift_reports: true
+            },
+            supported_formats: {
+                thermal_receipt_data: true,
+                simple_text: true,
+                escpos_commands: true
+            },
+            thermal_features: {
+                paper_widths: ['58mm', '80mm'],
+                fonts: FONTS,
+                characters_per_line: CHARS_PER_LINE,
+                code_pages: Object.keys(CODE_PAGES),
+                item_name_images: true,
+                qr_code_formats: ['escpos_native', 'raster', 'bit_image'],
+                barcode_formats: Object.keys(BARCODE_SYSTEMS),
+                logo_format: 'dithered_raster',
+                image_formats: ['png', 'jpeg'],
+                build_reliability: 'high'
+            },
+            build_status: {
+                native_dependencies: false,
+                pkg_compatible: true,
+                windows_ready: true,
+                platform: os.platform(),
+                spooler_backend: spoolerBackend()
+            },
+            transports: transportTypes(),
+            polling: {
+                enabled: polling.enabled,
+                interval: polling.interval,
+                supabase_connected: poller.enabled
+            },
+            webhooks: {
+                enabled: webhooks.enabled,
+                events: webhooks.events,
+                callback_events: CALLBACK_EVENTS,
+                signed: webhooks.signed
+            },
+            schemas: SCHEMAS,
+            security: {
+                auth: access.enabled ? ['api_key', 'hmac_sha256'] : [],
+                signature_headers: ['X-Client-Id', 'X-Timestamp', 'X-Signature'],
+                cors_origins: access.allowedOrigins.length > 0 ? access.allowedOrigins : '*',
+                rate_limit: { requests: access.rateLimit, window_ms: access.rateWindowMs },
+                audit_log: access.auditFile !== null
+            },
+            templates: {
+                block_types: BLOCK_TYPES,
+                available: templates.list().map(template => template.name)
+            },
+            printers: printers.config.printers.map(printer => ({
+                id: printer.id,
+                name: printer.name,
+                paper_width: printer.paper_width,
+                font: printer.font,
+                characters_per_line: layoutFor(printer).width,
+                code_page: printer.code_page,
+                capabilities: printer.capabilities
+            }))
+        });
+    });
+
+    return app;
+}
+
+module.exports = {
+    PREVIEW_TYPES,
+    createApp
+};
@@ -0,0 +1,224 @@
+// Print jobs
+// Validates orders, routes them to their printers as queue entries, and prints
+// a queued entry: format it, add drawer/buzzer actions and send it. Kitchen
+// tickets are planned against the order's last ticket in the queue history.
+// The bytes sent for each job are kept in the print history for reprints.
+const crypto = require('crypto');
+const { SCHEMAS, schemaNameFor, validate } = require('./schemas');
+const { kitchenTicket, planTicket, normalizeTicketType } = require('./kitchen');
+const { jobActions } = require('./peripherals');
+const { printTypeFor, withJobActions, duplicateCopyBanner } = require('./formatter');
+const { toPrinterBuffer } = require('./encoding');
+const { logger: log } = require('./logger');
+
+// Order number stored with a job and used to find its earlier tickets
+function orderNumberOf(data) {
+    return data.orderNumber || data.order_number || (data.template_data && data.template_data.receipt_number) || null;
+}
+
+// Check an order body against the schema for its job type; returns the schema
+// name and field-level errors (empty when the body is valid)
+function validateOrder(data, jobType, printType = printTypeFor(jobType)) {
+    const schema = schemaNameFor(jobType, printType);
+    return { schema, errors: validate(SCHEMAS[schema], data) };
+}
+
+// Public view of a queue entry (without the full order payload)
+function jobSummary(job) {
+    const { data, ...summary } = job;
+    return summary;
+}
+
+function createPrintService({
+    printers,
+    jobQueue,
+    formatter,
+    access,
+    history,
+    ticketHistoryHours = 12
+}) {
+    // The kitchen's view of an order after its last ticket on this printer, or null
+    // when there was none in the last `ticketHistoryHours`
+    function previousKitchenItems(orderNumber, printerId, excludeJobId = null) {
+        if (!orderNumber) {
+            return null;
+        }
+        const since = formatter.now().getTime() - ticketHistoryHours * 60 * 60 * 1000;
+        const tickets = jobQueue.list({ status: 'COMPLETED', printerId }).filter(entry =>
+            entry.id !== excludeJobId &&
+            Array.isArray(entry.kitchen_items) &&
+            String(entry.order_number) === String(orderNumber) &&
+            Date.parse(entry.completed_at) >= since);
+        return tickets.length > 0 ? tickets[tickets.length - 1].kitchen_items : null;
+    }
+
+    // Ticket plan for a kitchen job on `printer`, or null for other print types
+    function ticketFor(printType, data, printer, excludeJobId = null) {
+        return printType === 'kitchen'
+            ? kitchenTicket(data, previousKitchenItems(orderNumberOf(data), printer.id, excludeJobId), formatter.now().getTime())
+            : null;
+    }
+
+    // Station split for a changed kitchen order. Printers that had a ticket for
+    // the order but none of its items now still get one, so their dishes are
+    // voided; and once something changed, stations with no change get no REPRINT.
+    function kitchenTargets(data, targets) {
+        const orderNumber = orderNumberOf(data);
+        const items = Array.isArray(data.items) ? data.items : [];
+        const type = normalizeTicketType(data.ticket_type);
+        if (!orderNumber || !(type === null || type === 'UPDATE' || (type === 'VOID' && items.length === 0))) {
+            return targets;
+        }
+
+        const all = [...targets];
+        for (const printer of printers.config.printers) {
+            if (!all.some(target => target.printer.id === printer.id) && previousKitchenItems(orderNumber, printer.id)) {
+                all.push({ printer, data: { ...data, items: [], station: printer.station || printer.name } });
+            }
+        }
+
+        const plans = all.map(target => planTicket(target.data, previousKitchenItems(orderNumber, target.printer.id)).type);
+        return plans.some(plan => plan !== 'REPRINT') ? all.filter((target, i) => plans[i] !== 'REPRINT') : all;
+    }
+
+    // Every drawer opening goes in the audit log for cashing up
+    function recordDrawerOpen(printer, details) {
+        log.info('💷 Cash drawer opened', { printer: printer.id, ...details });
+        access.record({ event: 'drawer_open', printers: [printer.id], ...details });
+    }
+
+    // Format and send one queued job to its printer. Formatting problems will not
+    // fix themselves, so they are marked non-retryable; transport errors are retried.
+    async function printQueuedJob(job) {
+        const printer = printers.get(job.printer_id);
+        if (!printer) {
+            const error = new Error(`Unknown printer: ${job.printer_id}`);
+            error.retryable = false;
+            throw error;
+        }
+        if (job.print_type === 'reprint') {
+            return printDuplicate(job, printer);
+        }
+
+        // Kitchen tickets only show what changed since the order's last ticket here
+        const ticket = ticketFor(job.print_type, job.data, printer, job.id);
+
+        let content;
+        try {
+            content = await formatter.formatReceipt(job.data, job.print_type, printer, job.job_type, { ticket });
+        } catch (formatError) {
+            formatError.retryable = false;
+            throw formatError;
+        }
+        if (!content) {
+            const error = new Error('Failed to format receipt content');
+            error.retryable = false;
+            throw error;
+        }
+
+        // Kept without the drawer kick and buzzer, so a reprint does neither
+        history.store(job, printer, toPrinterBuffer(content, printer.code_page));
+
+        const actions = jobActions(printer, job.job_type, job.data);
+        const bytes = await printers.send(printer.id, withJobActions(content, printer, actions));
+        log.info('✅ Sent job to printer', { job_id: job.id, job_type: job.job_type, printer: printer.id, bytes });
+
+        if (actions.open_drawer) {
+            recordDrawerOpen(printer, { client: job.requested_by || null, job_id: job.id, job_type: job.job_type, order_number: job.order_number });
+        }
+
+        // Saved with the completed job as the baseline for the order's next ticket
+        if (ticket) {
+            job.ticket_type = ticket.type;
+            job.kitchen_items = ticket.state;
+        }
+    }
+
+    // Send a history entry's stored bytes again under a DUPLICATE COPY banner
+    async function printDuplicate(job, printer) {
+        const original = history.read(job.data.history_id);
+        if (!original) {
+            const error = new Error(`Print history entry ${job.data.history_id} is no longer stored`);
+            error.retryable = false;
+            throw error;
+        }
+        history.store(job, printer, original, { reprintOf: job.reprint_of });
+
+        const bytes = await printers.send(printer.id, Buffer.concat([toPrinterBuffer(duplicateCopyBanner(), printer.code_page), original]));
+        log.info('✅ Sent duplicate copy to printer', { job_id: job.id, history_id: job.data.history_id, printer: printer.id, bytes });
+    }
+
+    // Queue a duplicate copy of a print history entry, on its own printer or `printerId`
+    function reprintJob(entry, { printerId = entry.printer_id, requestedBy = null, callbackUrl = null } = {}) {
+        if (!printers.get(printerId)) {
+            throw new Error(`Unknown printer: ${printerId}`);
+        }
+        return jobQueue.enqueue({
+            group_id: crypto.randomUUID(),
+            source: 'reprint',
+            requested_by: requestedBy,
+            callback_url: callbackUrl,
+            // Reprints of a reprint point at the first print
+            reprint_of: entry.reprint_of || entry.id,
+            job_type: entry.job_type,
+            print_type: 'reprint',
+            printer_id: printerId,
+            order_number: entry.order_number,
+            data: { history_id: entry.id }
+        });
+    }
+
+    // Route a job to its printer(s) and add one queue entry per printer.
+    // Entries from the same order share a group_id.
+    // `requestedAt` is when the order was sent (e.g. the Supabase row's created_at);
+    // printers in `skipPrinters` already have the job and are left out.
+    // `callbackUrl` is told when each part prints or fails (see lib/webhooks.js).
+    function printJob(data, { jobType = 'CUSTOMER_RECEIPT', printType = printTypeFor(jobType), printerId, source = 'http', supabaseJobId = null, idempotencyKey = null, requestedBy = null, requestedAt = null, skipPrinters = [], callbackUrl = null } = {}) {
+        let targets;
+        if (printerId) {
+            const printer = printers.get(printerId);
+            if (!printer) {
+                throw new Error(`Unknown printer: ${printerId}`);
+            }
+            targets = [{ printer, data }];
+        } else {
+            targets = printers.route(jobType, data);
+            if (printType === 'kitchen') {
+                targets = kitchenTargets(data, targets);
+            }
+        }
+        targets = targets.filter(({ printer }) => !skipPrinters.includes(printer.id));
+
+        const groupId = crypto.randomUUID();
+        return targets.map(({ printer, data: targetData }) => jobQueue.enqueue({
+            group_id: groupId,
+            source,
+            requested_by: requestedBy,
+            requested_at: requestedAt,
+            supabase_job_id: supabaseJobId,
+            idempotency_key: idempotencyKey,
+            callback_url: callbackUrl,
+            job_type: jobType,
+            print_type: printType,
+            printer_id: printer.id,
+            order_number: orderNumberOf(targetData),
+            data: targetData
+        }));
+    }
+
+    return {
+        printJob,
+        printQueuedJob,
+        reprintJob,
+        previousKitchenItems,
+        ticketFor,
+        recordDrawerOpen
+    };
+}
+
+module.exports = {
+    orderNumberOf,
+    validateOrder,
+    jobSummary,
+    createPrintService
+};
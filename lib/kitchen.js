@@ -0,0 +1,198 @@
+// Kitchen ticket planning
+// Decides what a kitchen ticket shows. An order the kitchen has already had a
+// ticket for only gets the difference: an ADD-ON for new or increased items, a
+// VOID for removed or reduced ones, or a REPRINT when nothing changed.
+
+const TICKET_TYPES = ['NEW', 'UPDATE', 'ADD_ON', 'VOID', 'REPRINT'];
+
+// Banner printed at the top of each ticket type (NEW tickets have none)
+const TICKET_BANNERS = {
+    UPDATE: 'ORDER CHANGED',
+    ADD_ON: 'ADD-ON',
+    VOID: 'VOID',
+    REPRINT: 'REPRINT'
+};
+
+function quantityOf(item) {
+    return parseInt(item.quantity || 1) || 1;
+}
+
+function modifierName(mod) {
+    return mod && typeof mod === 'object' ? (mod.name || mod.label || 'Modifier') : String(mod);
+}
+
+// The same dish from one ticket to the next: the POS line id, or everything the
+// kitchen sees about it apart from the quantity
+function itemKey(item) {
+    if (item.line_id !== undefined || item.id !== undefined) {
+        return `id:${item.line_id !== undefined ? item.line_id : item.id}`;
+    }
+    const modifiers = (Array.isArray(item.modifiers) ? item.modifiers : []).map(modifierName).sort();
+    const notes = item.specialInstructions || item.special_instructions || item.notes || null;
+    return JSON.stringify([item.name, modifiers, item.seat === undefined ? null : item.seat, notes]);
+}
+
+// Items of `items` left after taking away the quantities in `taken`
+function subtractItems(items, taken) {
+    const remaining = new Map();
+    for (const item of taken) {
+        const key = itemKey(item);
+        remaining.set(key, (remaining.get(key) || 0) + quantityOf(item));
+    }
+
+    const result = [];
+    for (const item of items) {
+        const key = itemKey(item);
+        const take = Math.min(remaining.get(key) || 0, quantityOf(item));
+        remaining.set(key, (remaining.get(key) || 0) - take);
+        if (quantityOf(item) > take) {
+            result.push({ ...item, quantity: quantityOf(item) - take });
+        }
+    }
+    return result;
+}
+
+// What was added (new or increased) and removed (gone or reduced) between two item lists
+function diffItems(previous, current) {
+    return {
+        added: subtractItems(current, previous),
+        removed: subtractItems(previous, current)
+    };
+}
+
+// "ADD-ON", "add on" -> "ADD_ON"; anything unknown means work it out from the history
+function normalizeTicketType(value) {
+    const type = String(value || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return TICKET_TYPES.includes(type) ? type : null;
+}
+
+// Items to make and to void for this ticket, and the kitchen's view of the order
+// afterwards (`state`). `previousItems` is that state from the order's last
+// ticket on the same printer, or null if there was none.
+function planTicket(data, previousItems = null) {
+    const items = Array.isArray(data.items) ? data.items : [];
+    const known = Array.isArray(previousItems) ? previousItems : null;
+
+    switch (normalizeTicketType(data.ticket_type)) {
+        case 'NEW':
+            return { type: 'NEW', items, voided: [], state: items };
+        case 'REPRINT':
+            return { type: 'REPRINT', items: items.length > 0 ? items : (known || []), voided: [], state: known || items };
+        case 'ADD_ON':
+            return { type: 'ADD_ON', items, voided: [], state: [...(known || []), ...items] };
+        case 'VOID': {
+            // The listed items, or the whole order when none are listed
+            const voided = items.length > 0 ? items : (known || []);
+            return { type: 'VOID', items: [], voided, state: items.length > 0 && known ? subtractItems(known, items) : [] };
+        }
+        default: {
+            if (!known) {
+                return { type: 'NEW', items, voided: [], state: items };
+            }
+            const { added, removed } = diffItems(known, items);
+            if (added.length === 0 && removed.length === 0) {
+                return { type: 'REPRINT', items, voided: [], state: items };
+            }
+            const type = removed.length === 0 ? 'ADD_ON' : (added.length === 0 ? 'VOID' : 'UPDATE');
+            return { type, items: added, voided: removed, state: items };
+        }
+    }
+}
+
+// Allergens on an item or order: an array or a comma-separated string
+function allergensOf(source) {
+    const value = source && source.allergens;
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map(allergen => String(allergen).trim()).filter(Boolean);
+}
+
+// "18:45" from an ISO timestamp; values that are not dates are printed as given
+function formatTime(value) {
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+        return value ? String(value) : null;
+    }
+    return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+}
+
+// "12 min ago", "1 h 5 min ago"
+function formatElapsed(since, now) {
+    const started = new Date(since);
+    if (since === undefined || since === null || since === '' || Number.isNaN(started.getTime())) {
+        return null;
+    }
+    const minutes = Math.max(0, Math.floor((now - started.getTime()) / 60000));
+    if (minutes < 60) return `${minutes} min ago`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min ago`;
+}
+
+// Everything a kitchen template needs about this ticket
+function kitchenTicket(data, previousItems = null, now = Date.now()) {
+    const plan = planTicket(data, previousItems);
+    const orderedAt = data.ordered_at || data.created_at || null;
+
+    const allergens = [];
+    for (const source of [data, ...plan.items]) {
+        for (const allergen of allergensOf(source)) {
+            if (!allergens.some(existing => existing.toLowerCase() === allergen.toLowerCase())) {
+                allergens.push(allergen);
+            }
+        }
+    }
+
+    return {
+        ...plan,
+        banner: TICKET_BANNERS[plan.type] || null,
+        allergens,
+        allergy_notes: data.allergy_notes || null,
+        ordered_at: formatTime(orderedAt),
+        elapsed: formatElapsed(orderedAt, now),
+        fire_at: formatTime(data.fire_at),
+        printed_at: formatTime(new Date(now).toISOString())
+    };
+}
+
+// Split items into course (or station) groups. Numbered courses print in order,
+// named ones in the order they first appear; items without one come first.
+function groupItems(items, groupBy = 'course') {
+    const groups = [];
+    const byName = new Map();
+
+    for (const item of items) {
+        const value = groupBy === 'station' ? (item.station || item.category) : item.course;
+        const name = value === undefined || value === null || value === '' ? null : String(value);
+        if (!byName.has(name)) {
+            const group = { name, items: [] };
+            byName.set(name, group);
+            groups.push(group);
+        }
+        byName.get(name).items.push(item);
+    }
+
+    const numbered = groups.every(group => group.name === null || /^\d+$/.test(group.name));
+    if (numbered) {
+        groups.sort((a, b) => (a.name === null ? -1 : parseInt(a.name)) - (b.name === null ? -1 : parseInt(b.name)));
+    } else {
+        groups.sort((a, b) => (a.name === null ? 0 : 1) - (b.name === null ? 0 : 1));
+    }
+
+    for (const group of groups) {
+        const fireItem = group.items.find(item => item.fire_at);
+        group.fire_at = fireItem ? formatTime(fireItem.fire_at) : null;
+        group.hold = group.items.some(item => item.hold === true);
+    }
+    return groups;
+}
+
+module.exports = {
+    TICKET_TYPES,
+    TICKET_BANNERS,
+    itemKey,
+    diffItems,
+    normalizeTicketType,
+    planTicket,
+    allergensOf,
+    formatTime,
+    kitchenTicket,
+    groupItems
+};
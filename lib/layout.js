@@ -0,0 +1,141 @@
+// Character-grid layout for receipts
+// Knows how many characters fit on a line for each paper width and font, and
+// builds word-wrapped, column-aligned and full-width lines from that.
+const { transliterate } = require('./encoding');
+
+// Characters per line at normal size (Font A 12x24, Font B 9x17)
+const CHARS_PER_LINE = {
+    '58mm': { A: 32, B: 42 },
+    '80mm': { A: 48, B: 64 }
+};
+
+const FONTS = ['A', 'B'];
+
+// Characters per line for a paper width and font; `widthMultiplier` is the GS ! width (1-8)
+function charsPerLine(paperWidth = '80mm', font = 'A', widthMultiplier = 1) {
+    const widths = CHARS_PER_LINE[paperWidth] || CHARS_PER_LINE['80mm'];
+    const base = widths[String(font).toUpperCase()] || widths.A;
+    return Math.floor(base / Math.max(1, widthMultiplier));
+}
+
+// Break text into lines at spaces: the first line holds `width` characters, later ones
+// `nextWidth`. Words longer than a line are split; '\n' starts a new line.
+function wordWrap(text, width, nextWidth = width) {
+    const lines = [];
+    const limit = () => Math.max(1, lines.length === 0 ? width : nextWidth);
+
+    for (const paragraph of String(text === undefined || text === null ? '' : text).split('\n')) {
+        let current = '';
+        for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+            if (current && current.length + 1 + word.length <= limit()) {
+                current += ' ' + word;
+                continue;
+            }
+            if (current && word.length > nextWidth) {
+                // Too long for any line: start it after the text already on this line
+                const room = limit() - current.length - 1;
+                if (room > 0) {
+                    current += ' ' + word.substring(0, room);
+                    word = word.substring(room);
+                }
+            }
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            while (word.length > limit()) {
+                const max = limit();
+                lines.push(word.substring(0, max));
+                word = word.substring(max);
+            }
+            current = word;
+        }
+        lines.push(current);
+    }
+
+    return lines;
+}
+
+function pad(text, width, align) {
+    const value = String(text).substring(0, width);
+    if (align === 'right') return value.padStart(width);
+    if (align === 'center') {
+        return (' '.repeat(Math.floor((width - value.length) / 2)) + value).padEnd(width);
+    }
+    return value.padEnd(width);
+}
+
+// Layout helpers bound to one printer's paper width and font.
+// `size` options are the GS ! width multiplier; every builder returns '\n'-terminated lines.
+// With a `codePage`, text is transliterated first so widths match what actually prints.
+function createLayout({ paperWidth = '80mm', font = 'A', codePage = null } = {}) {
+    const fontName = FONTS.includes(String(font).toUpperCase()) ? String(font).toUpperCase() : 'A';
+    const widthFor = (size = 1) => charsPerLine(paperWidth, fontName, size);
+
+    const printable = (text) => {
+        const value = text === undefined || text === null ? '' : String(text);
+        return codePage ? transliterate(value, codePage) : value;
+    };
+
+    // Wrapped lines within `width`; `indent` applies to every line, `hanging` adds to continuation lines
+    function wrapWithin(text, width, indent, hanging) {
+        return wordWrap(printable(text), width - indent, width - indent - hanging)
+            .map((line, i) => ' '.repeat(i === 0 ? indent : indent + hanging) + line);
+    }
+
+    const finish = (lines) => lines.map(line => line + '\n').join('');
+
+    return {
+        paperWidth,
+        font: fontName,
+        codePage,
+        width: widthFor(1),
+        widthFor,
+
+        wrap(text, { indent = 0, hanging = 0, size = 1 } = {}) {
+            return wrapWithin(text, widthFor(size), indent, hanging);
+        },
+
+        // Word-wrapped text
+        text(text, { indent = 0, hanging = 0, size = 1 } = {}) {
+            return finish(wrapWithin(text, widthFor(size), indent, hanging));
+        },
+
+        // Left text wrapped beside a right-aligned value (e.g. a price) on its first line
+        columns(left, right, { indent = 0, hanging = 0, size = 1 } = {}) {
+            const available = widthFor(size);
+            const rightText = printable(right);
+            const lines = wrapWithin(left, Math.max(available - rightText.length - 1, indent + hanging + 1), indent, hanging);
+            lines[0] = lines[0].padEnd(available - rightText.length) + rightText;
+            return finish(lines);
+        },
+
+        // Fixed-width columns: [{ text, width, align }]; cells without a width share the rest
+        row(cells, { size = 1 } = {}) {
+            const available = widthFor(size);
+            const fixed = cells.reduce((sum, cell) => sum + (cell.width || 0), 0);
+            const flexible = cells.filter(cell => !cell.width).length;
+            const flexWidth = flexible ? Math.max(Math.floor((available - fixed) / flexible), 0) : 0;
+            return finish([cells.map(cell => pad(printable(cell.text), cell.width || flexWidth, cell.align)).join('')]);
+        },
+
+        // Full-width separator
+        rule(char = '-', { size = 1 } = {}) {
+            return String(char).repeat(widthFor(size)) + '\n';
+        }
+    };
+}
+
+// Layout for a registry printer entry
+function layoutFor(printer = {}) {
+    return createLayout({ paperWidth: printer.paper_width, font: printer.font, codePage: printer.code_page });
+}
+
+module.exports = {
+    CHARS_PER_LINE,
+    FONTS,
+    charsPerLine,
+    wordWrap,
+    createLayout,
+    layoutFor
+};
@@ -0,0 +1,109 @@
+// Structured logging
+// One JSON object per line ({ time, level, msg, ...fields }) for log shippers,
+// or the familiar one-line text form with LOG_FORMAT=text. Personal data in
+// fields (customer names, phone numbers, addresses, keys) is redacted before
+// anything is written.
+
+// 'silent' turns logging off (used by the test harness)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values never reach the log, matched case-insensitively
+// with '-' and '_' ignored
+const REDACTED_FIELDS = [
+    'customer', 'customer_name', 'phone', 'phone_number', 'mobile',
+    'email', 'address', 'delivery_address', 'postcode', 'post_code',
+    'authorization', 'api_key', 'x_api_key', 'signature', 'x_signature', 'password', 'token', 'key'
+];
+
+const REDACTED = '[REDACTED]';
+
+function fieldKey(name) {
+    return String(name).toLowerCase().replace(/[-_]/g, '');
+}
+
+// Copy of `value` with redacted fields replaced; errors become { message, stack }
+function redact(value, fields, depth = 0) {
+    if (value instanceof Error) {
+        return { message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+    }
+    if (Array.isArray(value)) {
+        return depth > 8 ? '[Array]' : value.map(entry => redact(entry, fields, depth + 1));
+    }
+    if (value && typeof value === 'object') {
+        if (depth > 8) return '[Object]';
+        const result = {};
+        for (const [name, entry] of Object.entries(value)) {
+            result[name] = fields.has(fieldKey(name)) && entry !== null && entry !== undefined && entry !== ''
+                ? REDACTED
+                : redact(entry, fields, depth + 1);
+        }
+        return result;
+    }
+    return value;
+}
+
+// key=value pairs after the message in text mode
+function textFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([name, value]) => {
+            if (value && typeof value === 'object') {
+                return `${name}=${JSON.stringify(value.message && value.stack ? value.message : value)}`;
+            }
+            return `${name}=${/\s/.test(String(value)) ? JSON.stringify(String(value)) : value}`;
+        })
+        .join(' ');
+}
+
+function createLogger({
+    level = 'info',
+    format = 'json',              // 'json' or 'text'
+    redactFields = [],            // extra field names to redact
+    fields: baseFields = {},      // added to every line (e.g. worker id)
+    write = (line, levelName) => (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n')
+} = {}) {
+    const minimum = LEVELS[String(level).toLowerCase()] || LEVELS.info;
+    const redacted = new Set([...REDACTED_FIELDS, ...redactFields].map(fieldKey));
+
+    function emit(levelName, msg, fields = {}) {
+        if (LEVELS[levelName] < minimum) return;
+
+        const clean = redact({ ...baseFields, ...fields }, redacted);
+        let line;
+        if (format === 'text') {
+            const extra = textFields(clean);
+            line = `${levelName === 'info' ? '' : `[${levelName.toUpperCase()}] `}${msg}${extra ? ` ${extra}` : ''}`;
+        } else {
+            line = JSON.stringify({ time: new Date().toISOString(), level: levelName, msg, ...clean });
+        }
+        write(line, levelName);
+    }
+
+    // A logger that adds `fields` to every line, e.g. log.child({ job_id })
+    function child(fields) {
+        return createLogger({ level, format, redactFields, fields: { ...baseFields, ...fields }, write });
+    }
+
+    return {
+        debug: (msg, fields) => emit('debug', msg, fields),
+        info: (msg, fields) => emit('info', msg, fields),
+        warn: (msg, fields) => emit('warn', msg, fields),
+        error: (msg, fields) => emit('error', msg, fields),
+        child,
+        redact: (value) => redact(value, redacted)
+    };
+}
+
+// The process-wide logger, configured from LOG_LEVEL, LOG_FORMAT and LOG_REDACT
+const logger = createLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json',
+    redactFields: String(process.env.LOG_REDACT || '').split(',').map(name => name.trim()).filter(Boolean)
+});
+
+module.exports = {
+    LEVELS,
+    REDACTED_FIELDS,
+    createLogger,
+    logger
+};
@@ -0,0 +1,142 @@
+// Prometheus metrics
+// Counters, gauges and histograms with labels, rendered in the Prometheus text
+// exposition format for GET /metrics. Gauges that describe current state (queue
+// depth, printer status) are filled in by collect callbacks at scrape time.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// {job_type="KITCHEN_TICKET",printer="kitchen"} in labelNames order
+function labelText(labelNames, labels, extra = {}) {
+    const pairs = labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : labels[name]])
+        .concat(Object.entries(extra));
+    return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? null : String(labels[name]))));
+}
+
+function createRegistry() {
+    const metrics = [];
+    const collectors = [];
+
+    function register(metric) {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric already registered: ${metric.name}`);
+        }
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Value that only goes up, e.g. jobs printed
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels, value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            lines: () => Array.from(series.values(), entry => `${name}${labelText(labelNames, entry.labels)} ${formatValue(entry.value)}`)
+        });
+    }
+
+    // Current value, e.g. queue depth; reset() clears series that no longer exist
+    function gauge(name, help, labelNames = []) {
+        const series = new Map();
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            set(labels = {}, value) {
+                series.set(seriesKey(labelNames, labels), { labels, value });
+            },
+            reset() {
+                series.clear();
+            },
+            lines: () => Array.from(series.values(), entry => `${name}${labelText(labelNames, entry.labels)} ${formatValue(entry.value)}`)
+        });
+    }
+
+    // Distribution of observations (seconds) over cumulative buckets
+    function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map();
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels = {}, value) {
+                const key = seriesKey(labelNames, labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                bounds.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            lines: () => {
+                const out = [];
+                for (const entry of series.values()) {
+                    bounds.forEach((bound, i) => {
+                        out.push(`${name}_bucket${labelText(labelNames, entry.labels, { le: formatValue(bound) })} ${entry.counts[i]}`);
+                    });
+                    out.push(`${name}_bucket${labelText(labelNames, entry.labels, { le: '+Inf' })} ${entry.count}`);
+                    out.push(`${name}_sum${labelText(labelNames, entry.labels)} ${formatValue(entry.sum)}`);
+                    out.push(`${name}_count${labelText(labelNames, entry.labels)} ${entry.count}`);
+                }
+                return out;
+            }
+        });
+    }
+
+    // Run `collect` before every scrape to refresh state gauges
+    function onCollect(collect) {
+        collectors.push(collect);
+    }
+
+    function render() {
+        for (const collect of collectors) {
+            collect();
+        }
+        const out = [];
+        for (const metric of metrics) {
+            out.push(`# HELP ${metric.name} ${metric.help}`);
+            out.push(`# TYPE ${metric.name} ${metric.type}`);
+            out.push(...metric.lines());
+        }
+        return out.join('\n') + '\n';
+    }
+
+    return {
+        contentType: CONTENT_TYPE,
+        counter,
+        gauge,
+        histogram,
+        onCollect,
+        render
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createRegistry
+};
@@ -0,0 +1,88 @@
+// Cash drawer and buzzer commands
+// The drawer is wired to the printer's DK port and opened with an ESC p pulse.
+// Buzzers differ by model: ESC B on most tills, ESC ( A on Epson models with a
+// built-in beeper, or an external buzzer pulsed through the DK port.
+const { rawBytes } = require('./encoding');
+
+const ESC = 0x1B;
+
+const BUZZER_MODES = ['esc_b', 'epson', 'drawer'];
+
+// Normalised drawer settings: connector pin 2 or 5 and the pulse length
+function drawerSettings(drawer = {}) {
+    return {
+        pin: parseInt(drawer.pin) === 5 ? 5 : 2,
+        pulse_ms: Math.min(Math.max(parseInt(drawer.pulse_ms) || 100, 2), 510)
+    };
+}
+
+// ESC p m t1 t2: pulse the drawer pin on for t1 x 2ms, then off for t2 x 2ms
+function drawerKickCommand(drawer = {}) {
+    const { pin, pulse_ms: pulseMs } = drawerSettings(drawer);
+    const on = Math.round(pulseMs / 2);
+    return rawBytes([ESC, 0x70, pin === 5 ? 1 : 0, on, Math.min(on * 2, 255)]);
+}
+
+// Sound the buzzer `times` times for `duration_ms` each; '' when the printer has none
+function beepCommand(buzzer, { times = 1, duration_ms: durationMs = 200, pin = 5 } = {}) {
+    const count = Math.min(Math.max(parseInt(times) || 1, 1), 9);
+    const duration = Math.max(parseInt(durationMs) || 200, 50);
+
+    switch (buzzer) {
+        case 'esc_b':
+            // ESC B n t: n beeps of t x 50ms
+            return rawBytes([ESC, 0x42, count, Math.min(Math.round(duration / 50), 9)]);
+        case 'epson':
+            // ESC ( A pL pH fn n c t: pattern n, c times, t x 100ms
+            return rawBytes([ESC, 0x28, 0x41, 4, 0, 48, 49, count, Math.min(Math.max(Math.round(duration / 100), 1), 255)]);
+        case 'drawer':
+            // An external buzzer on the DK port sounds for as long as the pin is pulsed
+            return drawerKickCommand({ pin, pulse_ms: duration }).repeat(count);
+        default:
+            return '';
+    }
+}
+
+// "CUSTOMER_RECEIPT:cash,BILL,KITCHEN_TICKET:2" -> { CUSTOMER_RECEIPT: 'cash', BILL: true, KITCHEN_TICKET: 2 }
+function parseJobTypeList(value) {
+    const result = {};
+    for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [jobType, condition] = entry.split(':').map(part => part.trim());
+        result[jobType.toUpperCase()] = !condition ? true : (/^\d+$/.test(condition) ? parseInt(condition) : condition.toLowerCase());
+    }
+    return result;
+}
+
+// Whether the order was (at least partly) paid in cash
+function paidInCash(data) {
+    const order = { ...((data && data.template_data) || {}), ...(data || {}) };
+    const isCash = (method) => /cash/i.test(String(method || ''));
+    if (isCash(order.payment_method) || isCash(order.paymentMethod)) {
+        return true;
+    }
+    const payments = Array.isArray(order.payments) ? order.payments : [];
+    return payments.some(payment => isCash(payment.method || payment.tender || payment.type));
+}
+
+// What a printer does around a job: { open_drawer, beep } from its `actions` for the job
+// type. An action set to 'cash' only fires for orders paid in cash.
+function jobActions(printer, jobType, data) {
+    const actions = (printer.actions && printer.actions[jobType]) || {};
+    const applies = (setting) => setting === true || (setting === 'cash' && paidInCash(data)) ||
+        (typeof setting === 'number' && setting > 0);
+
+    return {
+        open_drawer: applies(actions.open_drawer),
+        beep: applies(actions.beep) ? (typeof actions.beep === 'number' ? actions.beep : 1) : 0
+    };
+}
+
+module.exports = {
+    BUZZER_MODES,
+    drawerSettings,
+    drawerKickCommand,
+    beepCommand,
+    parseJobTypeList,
+    paidInCash,
+    jobActions
+};
@@ -0,0 +1,466 @@
+// Supabase print queue
+// Claims pending print_jobs rows under a lease, queues them locally and reports
+// COMPLETED / FAILED once every station printer has finished. Polls on an
+// interval, or slowly alongside a Realtime subscription for new rows.
+const { ACTIVE_STATUSES } = require('./queue');
+const { createRealtimeListener } = require('./realtime');
+const { formatErrors } = require('./schemas');
+const { validateOrder } = require('./jobs');
+const { logger: log } = require('./logger');
+
+// PostgREST reports a missing RPC as PGRST202 (Postgres: 42883)
+function isMissingFunction(error) {
+    return Boolean(error) && (error.code === 'PGRST202' || error.code === '42883');
+}
+
+// Idempotency key for a Supabase job - reprints are skipped for keys already printed
+function idempotencyKeyFor(job) {
+    return job.idempotency_key || `supabase:${job.id}`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createSupabasePoller({
+    supabase,                   // Supabase client, or null to leave polling off
+    jobQueue,
+    printers,
+    service,                    // createPrintService() - printJob()
+    reports,                    // createReportService() - figures for REPORT jobs
+    workerId,
+    leaseSeconds = 120,
+    claimBatchSize = 10,
+    interval = 5000,
+    realtime: realtimeEnabled = false,
+    reconcileInterval = 60000,
+    table = 'print_jobs',
+    onPoll = () => {}           // (result, seconds) after every poll cycle
+}) {
+    const enabled = Boolean(supabase);
+    let stopped = false;
+    let inProgress = false;
+    let requested = false;
+    let timer = null;
+    let realtime = null;
+    // Use claim_print_jobs until we find out it is not installed
+    let claimMode = true;
+    let printerStatusRpcAvailable = true;
+
+    // ===== REPORTING =====
+
+    // Report a printer's status to Supabase so the POS can warn staff
+    async function reportPrinterStatus(state) {
+        if (!enabled || !printerStatusRpcAvailable) {
+            return;
+        }
+
+        const { error } = await supabase.rpc('update_printer_status', {
+            p_printer_id: state.printer_id,
+            p_worker_id: workerId,
+            p_status: state.status,
+            p_details: state
+        });
+
+        if (isMissingFunction(error)) {
+            printerStatusRpcAvailable = false;
+            log.warn('⚠️  update_printer_status RPC not found - printer status stays local');
+        } else if (error) {
+            log.error('❌ Failed to report printer status', { printer: state.printer_id, error: error.message });
+        }
+    }
+
+    // When the last part of a Supabase order settles, report the outcome back
+    async function reportGroupOutcome(job) {
+        if (!job.supabase_job_id || !enabled) {
+            return;
+        }
+
+        const parts = jobQueue.list().filter(entry => entry.group_id === job.group_id);
+        if (parts.some(entry => ACTIVE_STATUSES.includes(entry.status))) {
+            return;
+        }
+
+        const failed = parts.filter(entry => entry.status === 'FAILED');
+        try {
+            if (failed.length > 0) {
+                await supabase.rpc('update_print_job_status', {
+                    p_job_id: job.supabase_job_id,
+                    p_status: 'FAILED',
+                    p_error_message: failed.map(entry => `${entry.printer_id}: ${entry.last_error}`).join('; ')
+                });
+            } else {
+                log.info('✅ Supabase job printed', { supabase_job_id: job.supabase_job_id, job_type: job.job_type });
+                await supabase.rpc('update_print_job_status', {
+                    p_job_id: job.supabase_job_id,
+                    p_status: 'COMPLETED'
+                });
+            }
+        } catch (updateError) {
+            log.error('❌ Failed to update Supabase job status', { supabase_job_id: job.supabase_job_id, error: updateError.message });
+        }
+    }
+
+    jobQueue.on('completed', reportGroupOutcome);
+    jobQueue.on('failed', reportGroupOutcome);
+
+    // ===== CLAIMING =====
+
+    // Process a single print job from Supabase. `claimed` jobs were already moved
+    // to PRINTING under our lease by claim_print_jobs.
+    async function processPrintJob(job, { claimed = false } = {}) {
+        log.info('🔄 Processing Supabase job', { supabase_job_id: job.id, job_type: job.job_type });
+
+        // Idempotency: never print the same job twice, even if it is handed back to us
+        // after a crash or an expired lease
+        const key = idempotencyKeyFor(job);
+        const existing = jobQueue.list().filter(entry => entry.idempotency_key === key);
+        if (existing.some(entry => ACTIVE_STATUSES.includes(entry.status))) {
+            log.info('⏭️  Supabase job is already queued locally', { supabase_job_id: job.id });
+            return;
+        }
+        // Printers that already printed it - e.g. a shutdown handed back the rest of the order
+        const printedOn = existing.filter(entry => entry.status === 'COMPLETED').map(entry => entry.printer_id);
+
+        try {
+            // Update job status to PRINTING (claimed jobs already are)
+            if (!claimed) {
+                await supabase.rpc('update_print_job_status', {
+                    p_job_id: job.id,
+                    p_status: 'PRINTING'
+                });
+            }
+
+            // Parse print_data (it's stored as JSONB)
+            let printData = job.print_data;
+            if (typeof printData === 'string') {
+                try {
+                    printData = JSON.parse(printData);
+                } catch (parseError) {
+                    throw new Error(`print_data is not valid JSON: ${parseError.message}`);
+                }
+            }
+
+            const validation = validateOrder(printData, job.job_type);
+            if (validation.errors.length > 0) {
+                throw new Error(`Invalid print_data (${validation.schema}): ${formatErrors(validation.errors)}`);
+            }
+
+            // A REPORT job asks for a report; the figures are worked out here
+            if (job.job_type === 'REPORT') {
+                printData = await reports.buildReport(printData);
+            }
+
+            // Queue one entry per station printer; the outcome is reported when they settle
+            const queued = service.printJob(printData, {
+                jobType: job.job_type,
+                printerId: job.printer_id,
+                source: 'supabase',
+                supabaseJobId: job.id,
+                idempotencyKey: key,
+                requestedAt: job.created_at || null,
+                skipPrinters: printedOn
+            });
+            if (queued.length === 0 && printedOn.length > 0) {
+                log.info('⏭️  Supabase job was already printed - reporting COMPLETED again', { supabase_job_id: job.id });
+                await supabase.rpc('update_print_job_status', {
+                    p_job_id: job.id,
+                    p_status: 'COMPLETED'
+                });
+                return;
+            }
+            if (queued.length === 0) {
+                throw new Error(`No printer matched the ${job.job_type} job - nothing was printed`);
+            }
+            log.info('📥 Supabase job queued', { supabase_job_id: job.id, jobs: queued.map(entry => entry.id), printers: queued.map(entry => entry.printer_id) });
+
+        } catch (error) {
+            log.error('❌ Supabase job processing error', { supabase_job_id: job.id, error: error.message });
+
+            // Update job status to FAILED
+            try {
+                await supabase.rpc('update_print_job_status', {
+                    p_job_id: job.id,
+                    p_status: 'FAILED',
+                    p_error_message: error.message
+                });
+            } catch (updateError) {
+                log.error('❌ Failed to update Supabase job status', { supabase_job_id: job.id, error: updateError.message });
+            }
+        }
+    }
+
+    // Claim pending (or abandoned) jobs under a lease. Falls back to the legacy
+    // read-then-update flow when the claim RPC has not been installed yet.
+    async function fetchPrintJobs() {
+        if (claimMode) {
+            const { data: jobs, error } = await supabase.rpc('claim_print_jobs', {
+                p_worker_id: workerId,
+                p_lease_seconds: leaseSeconds,
+                p_limit: claimBatchSize
+            });
+
+            if (!error) {
+                return { jobs: jobs || [], claimed: true };
+            }
+            if (!isMissingFunction(error)) {
+                throw error;
+            }
+
+            claimMode = false;
+            log.warn('⚠️  claim_print_jobs RPC not found - falling back to get_pending_print_jobs (install supabase/migrations/*_print_job_leases.sql to enable leased claims)');
+        }
+
+        const { data: jobs, error } = await supabase.rpc('get_pending_print_jobs');
+        if (error) {
+            throw error;
+        }
+        return { jobs: jobs || [], claimed: false };
+    }
+
+    // Keep our lease on Supabase jobs that are still waiting in the local queue
+    // (e.g. printer offline) so they are not reclaimed and printed twice
+    async function renewLeases() {
+        if (!claimMode) {
+            return;
+        }
+
+        const jobIds = Array.from(new Set(jobQueue.list()
+            .filter(entry => entry.supabase_job_id && ACTIVE_STATUSES.includes(entry.status))
+            .map(entry => String(entry.supabase_job_id))));
+
+        if (jobIds.length === 0) {
+            return;
+        }
+
+        const { error } = await supabase.rpc('renew_print_job_leases', {
+            p_worker_id: workerId,
+            p_job_ids: jobIds,
+            p_lease_seconds: leaseSeconds
+        });
+        if (error) {
+            log.error('❌ Failed to renew job leases', { error: error.message });
+        }
+    }
+
+    // ===== POLLING =====
+
+    // Poll Supabase for pending print jobs - only one cycle runs at a time
+    async function poll() {
+        if (!enabled || stopped) {
+            return;
+        }
+
+        if (inProgress) {
+            // Run once more straight after, so a Realtime insert is never missed
+            requested = true;
+            return;
+        }
+        inProgress = true;
+        const started = process.hrtime.bigint();
+        let result = 'ok';
+
+        try {
+            await renewLeases();
+
+            // Claim (or fetch) pending print jobs
+            const { jobs, claimed } = await fetchPrintJobs();
+
+            if (jobs.length > 0) {
+                log.info(claimed ? '📥 Claimed pending print jobs' : '📥 Found pending print jobs', { count: jobs.length });
+
+                // Process each job
+                for (const job of jobs) {
+                    await processPrintJob(job, { claimed });
+                }
+            }
+
+        } catch (error) {
+            result = 'error';
+            log.error('❌ Polling error', { error: error.message });
+        } finally {
+            inProgress = false;
+            onPoll(result, Number(process.hrtime.bigint() - started) / 1e9);
+        }
+
+        if (requested) {
+            requested = false;
+            setImmediate(poll);
+        }
+    }
+
+    // Poll fast when relying on polling alone, slowly while Realtime is connected
+    function currentInterval() {
+        return realtime && realtime.state.connected ? reconcileInterval : interval;
+    }
+
+    // Schedule the next poll; the next one is only set up after the previous finishes
+    function schedule(delay) {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (stopped) {
+            return;
+        }
+        timer = setTimeout(async () => {
+            timer = null;
+            await poll();
+            if (!timer) {
+                schedule(currentInterval());
+            }
+        }, delay);
+    }
+
+    // Subscribe to new print jobs through the existing Supabase client
+    function startRealtime() {
+        realtime = createRealtimeListener({
+            supabase,
+            table,
+            onInsert: (job) => {
+                log.info('⚡ Realtime: new print job', { supabase_job_id: job && job.id });
+                // Claim through the normal path so leases and idempotency still apply
+                poll();
+            },
+            onStatusChange: (state) => {
+                if (state.connected) {
+                    log.info('⚡ Realtime connected - polling slowed down', { poll_interval_ms: reconcileInterval });
+                } else {
+                    log.warn('⚠️  Realtime disconnected', { status: state.status, poll_interval_ms: interval });
+                }
+                // Catch anything inserted while switching over and pick up the new interval
+                schedule(0);
+            }
+        });
+        realtime.start();
+    }
+
+    // Start polling loop (and the Realtime subscription when enabled)
+    function start() {
+        if (!enabled) {
+            log.warn('⚠️  Polling not started (Supabase not configured)');
+            return;
+        }
+
+        log.info('🔄 Starting print queue polling', { poll_interval_ms: interval, worker_id: workerId });
+
+        if (realtimeEnabled) {
+            log.info('⚡ Subscribing to Realtime inserts', { table });
+            startRealtime();
+        }
+
+        schedule(0);
+    }
+
+    // Stop polling and Realtime, then wait (until `deadline`) for a poll that is
+    // half way through claiming jobs to finish queueing them
+    async function stop(deadline = Date.now()) {
+        stopped = true;
+        schedule(0);
+        if (realtime) {
+            await realtime.stop();
+        }
+        while (inProgress && Date.now() < deadline) {
+            await sleep(100);
+        }
+    }
+
+    // ===== SHUTDOWN =====
+
+    // Give Supabase jobs that have not printed back to the pool as PENDING and drop
+    // their local queue entries, so whichever helper claims them next prints them
+    async function releaseUnfinishedJobs(reason) {
+        if (!enabled) {
+            return [];
+        }
+
+        const unfinished = new Map();
+        for (const entry of jobQueue.list()) {
+            if (entry.supabase_job_id && ACTIVE_STATUSES.includes(entry.status)) {
+                const id = String(entry.supabase_job_id);
+                unfinished.set(id, [...(unfinished.get(id) || []), entry]);
+            }
+        }
+
+        // A part still printing after the timeout may yet come out - leave that job's lease to expire
+        const releasable = Array.from(unfinished.entries())
+            .filter(([, entries]) => !entries.some(entry => entry.status === 'PRINTING'));
+
+        const note = `Printer helper ${workerId} stopped (${reason}) before printing this job`;
+        const released = [];
+        let rpcAvailable = claimMode;
+        for (const [id, entries] of releasable) {
+            let error = null;
+            if (rpcAvailable) {
+                ({ error } = await supabase.rpc('release_print_jobs', { p_worker_id: workerId, p_job_ids: [id], p_note: note }));
+                if (isMissingFunction(error)) {
+                    rpcAvailable = false;
+                    log.warn('⚠️  release_print_jobs RPC not found - resetting jobs with update_print_job_status');
+                }
+            }
+            if (!rpcAvailable) {
+                ({ error } = await supabase.rpc('update_print_job_status', { p_job_id: id, p_status: 'PENDING', p_error_message: note }));
+            }
+
+            if (error) {
+                // Keep the local entries so they print on the next start
+                log.error('❌ Failed to release Supabase job', { supabase_job_id: id, error: error.message });
+                continue;
+            }
+            entries.forEach(entry => jobQueue.remove(entry.id));
+            released.push(id);
+        }
+        if (released.length > 0) {
+            log.info('↩️  Released unfinished Supabase jobs as PENDING', { supabase_job_ids: released });
+        }
+        return released;
+    }
+
+    // Tell the POS nothing will print here until the helper is back
+    async function reportOffline(reason) {
+        const stoppedAt = new Date().toISOString();
+        await Promise.all(printers.list().map(printer => reportPrinterStatus({
+            printer_id: printer.id,
+            status: 'offline',
+            helper_stopped: true,
+            reason,
+            last_checked: stoppedAt
+        })));
+    }
+
+    // Polling and Realtime state for /health
+    function state() {
+        return {
+            polling: {
+                enabled,
+                interval,
+                worker_id: workerId,
+                mode: claimMode ? 'leased_claims' : 'legacy',
+                in_progress: inProgress,
+                current_interval: currentInterval()
+            },
+            realtime: {
+                enabled: realtimeEnabled,
+                mode: realtime && realtime.state.connected ? 'realtime' : 'polling',
+                ...(realtime ? realtime.state : { status: 'disabled', connected: false })
+            }
+        };
+    }
+
+    return {
+        enabled,
+        start,
+        stop,
+        poll,
+        processPrintJob,
+        reportPrinterStatus,
+        reportGroupOutcome,
+        releaseUnfinishedJobs,
+        reportOffline,
+        state
+    };
+}
+
+module.exports = {
+    isMissingFunction,
+    idempotencyKeyFor,
+    createSupabasePoller
+};
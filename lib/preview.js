@@ -0,0 +1,575 @@
+// Receipt preview - interprets the ESC/POS bytes we would send to the printer
+// and renders them as plain text, HTML or a PNG at the paper's dot width,
+// so what you see is exactly what would come out of the printer.
+const { PNG } = require('pngjs');
+const { CODE_PAGE_NUMBERS, decodeByte } = require('./encoding');
+const { BARCODE_SYSTEMS, PAPER_DOTS, QR_ERROR_LEVELS, qrBitmap } = require('./graphics');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, glyphRows } = require('./font');
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const FS = 0x1C;
+const DLE = 0x10;
+const LF = 0x0A;
+
+const DEFAULT_LINE_SPACING = 30;
+
+// "[CODE128: R-10042]" marker for a GS k barcode
+function barcodeLabel(block) {
+    const format = Object.keys(BARCODE_SYSTEMS).find(name => BARCODE_SYSTEMS[name] === block.system) || 'BARCODE';
+    return `[${format}: ${block.data}]`;
+}
+
+// ===== INTERPRETER =====
+
+// Turn printer bytes into a list of blocks: text lines, images, QR codes,
+// barcodes, cuts and drawer kicks
+function interpretEscPos(buffer, { codePage = 'PC437', dotWidth = PAPER_DOTS['80mm'] } = {}) {
+    const blocks = [];
+    let state;
+    let line;
+    let lineDots;
+    let qrStore = { data: '', moduleSize: 3, errorCorrection: 'L' };
+
+    const resetState = () => {
+        state = { align: 0, bold: false, underline: false, reverse: false, width: 1, height: 1, lineSpacing: DEFAULT_LINE_SPACING, codePage };
+    };
+    const newLine = () => {
+        line = { type: 'text', align: state.align, lineSpacing: state.lineSpacing, segments: [] };
+        lineDots = 0;
+    };
+    const flushLine = (force) => {
+        if (line.segments.length > 0 || force) {
+            line.align = line.align === undefined ? state.align : line.align;
+            blocks.push(line);
+        }
+        newLine();
+    };
+    const addChar = (ch) => {
+        const charDots = GLYPH_WIDTH * state.width;
+        if (lineDots + charDots > dotWidth) {
+            flushLine(true);
+        }
+        if (line.segments.length === 0) {
+            // Justification is taken from the state when the line starts printing
+            line.align = state.align;
+        }
+        const last = line.segments[line.segments.length - 1];
+        if (last && last.bold === state.bold && last.underline === state.underline && last.reverse === state.reverse &&
+            last.width === state.width && last.height === state.height) {
+            last.text += ch;
+        } else {
+            line.segments.push({ text: ch, bold: state.bold, underline: state.underline, reverse: state.reverse, width: state.width, height: state.height });
+        }
+        lineDots += charDots;
+    };
+    // Consecutive image bands (ESC * strips, GS v 0 bands) become one image
+    const addBitmap = (bitmap, kind) => {
+        const previous = blocks[blocks.length - 1];
+        if (line.segments.length === 0 && previous && previous.type === 'image' &&
+            previous.kind === kind && previous.bitmap.width === bitmap.width) {
+            const merged = new Uint8Array(previous.bitmap.pixels.length + bitmap.pixels.length);
+            merged.set(previous.bitmap.pixels);
+            merged.set(bitmap.pixels, previous.bitmap.pixels.length);
+            previous.bitmap = { width: bitmap.width, height: previous.bitmap.height + bitmap.height, pixels: merged };
+            return;
+        }
+        flushLine(false);
+        blocks.push({ type: 'image', kind, align: state.align, bitmap });
+    };
+
+    resetState();
+    newLine();
+
+    let i = 0;
+    const byteAt = (offset) => (i + offset < buffer.length ? buffer[i + offset] : 0);
+    let afterBitImage = false;
+
+    while (i < buffer.length) {
+        const byte = buffer[i];
+
+        if (byte === LF) {
+            if (!(afterBitImage && line.segments.length === 0)) {
+                flushLine(true);
+            }
+            afterBitImage = false;
+            i += 1;
+            continue;
+        }
+        afterBitImage = false;
+
+        if (byte === ESC) {
+            const cmd = byteAt(1);
+            const n = byteAt(2);
+            switch (cmd) {
+                case 0x40: // ESC @ initialise
+                    flushLine(false);
+                    resetState();
+                    newLine();
+                    i += 2;
+                    break;
+                case 0x45: // ESC E bold
+                    state.bold = (n & 1) === 1;
+                    i += 3;
+                    break;
+                case 0x2D: // ESC - underline
+                    state.underline = (n & 3) !== 0;
+                    i += 3;
+                    break;
+                case 0x61: // ESC a justification (0-2 or '0'-'2')
+                    state.align = n >= 48 ? n - 48 : n;
+                    if (line.segments.length === 0) line.align = state.align;
+                    i += 3;
+                    break;
+                case 0x21: // ESC ! print mode
+                    state.bold = (n & 0x08) !== 0;
+                    state.height = (n & 0x10) ? 2 : 1;
+                    state.width = (n & 0x20) ? 2 : 1;
+                    state.underline = (n & 0x80) !== 0;
+                    i += 3;
+                    break;
+                case 0x33: // ESC 3 line spacing
+                    state.lineSpacing = n;
+                    if (line.segments.length === 0) line.lineSpacing = n;
+                    i += 3;
+                    break;
+                case 0x32: // ESC 2 default line spacing
+                    state.lineSpacing = DEFAULT_LINE_SPACING;
+                    if (line.segments.length === 0) line.lineSpacing = DEFAULT_LINE_SPACING;
+                    i += 2;
+                    break;
+                case 0x64: // ESC d feed n lines
+                    flushLine(true);
+                    for (let k = 1; k < n; k++) flushLine(true);
+                    i += 3;
+                    break;
+                case 0x74: // ESC t code page
+                    state.codePage = CODE_PAGES_BY_NUMBER[n] || state.codePage;
+                    i += 3;
+                    break;
+                case 0x70: // ESC p drawer kick
+                    flushLine(false);
+                    blocks.push({ type: 'drawer', pin: n & 1 });
+                    i += 5;
+                    break;
+                case 0x2A: { // ESC * bit image
+                    const m = n;
+                    const columns = byteAt(3) + byteAt(4) * 256;
+                    const bytesPerColumn = m >= 32 ? 3 : 1;
+                    const dataStart = i + 5;
+                    const height = bytesPerColumn * 8;
+                    const doubleWidth = m === 0 || m === 32;
+                    const width = columns * (doubleWidth ? 2 : 1);
+                    const pixels = new Uint8Array(width * height);
+                    for (let x = 0; x < columns; x++) {
+                        for (let b = 0; b < bytesPerColumn; b++) {
+                            const value = buffer[dataStart + x * bytesPerColumn + b] || 0;
+                            for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
+                                if (value & (0x80 >> bitIndex)) {
+                                    const y = b * 8 + bitIndex;
+                                    if (doubleWidth) {
+                                        pixels[y * width + x * 2] = 1;
+                                        pixels[y * width + x * 2 + 1] = 1;
+                                    } else {
+                                        pixels[y * width + x] = 1;
+                                    }
+                                }
+                            }
+                        }
+                    }
+                    addBitmap({ width, height, pixels }, 'bitimage');
+                    afterBitImage = true;
+                    i = dataStart + columns * bytesPerColumn;
+                    break;
+                }
+                case 0x28: { // ESC ( fn pL pH ... (e.g. buzzer)
+                    const length = byteAt(3) + byteAt(4) * 256;
+                    if (n === 0x41) {
+                        flushLine(false);
+                        blocks.push({ type: 'beep' });
+                    }
+                    i += 5 + length;
+                    break;
+                }
+                case 0x42: // ESC B n t buzzer (TM-U220 style)
+                    flushLine(false);
+                    blocks.push({ type: 'beep' });
+                    i += 4;
+                    break;
+                case 0x63: // ESC c n m
+                    i += 4;
+                    break;
+                default: // ESC x n - single parameter commands we don't draw
+                    i += [0x32, 0x3C].includes(cmd) ? 2 : 3;
+            }
+            continue;
+        }
+
+        if (byte === GS) {
+            const cmd = byteAt(1);
+            const n = byteAt(2);
+            switch (cmd) {
+                case 0x21: // GS ! character size
+                    state.width = ((n >> 4) & 0x07) + 1;
+                    state.height = (n & 0x07) + 1;
+                    i += 3;
+                    break;
+                case 0x42: // GS B white/black reverse
+                    state.reverse = (n & 1) === 1;
+                    i += 3;
+                    break;
+                case 0x56: // GS V cut
+                    flushLine(false);
+                    blocks.push({ type: 'cut', partial: n === 1 || n === 49 || n === 66 });
+                    i += (n === 65 || n === 66) ? 4 : 3;
+                    break;
+                case 0x76: { // GS v 0 raster image
+                    const bytesPerRow = byteAt(4) + byteAt(5) * 256;
+                    const rows = byteAt(6) + byteAt(7) * 256;
+                    const dataStart = i + 8;
+                    const width = bytesPerRow * 8;
+                    const pixels = new Uint8Array(width * rows);
+                    for (let y = 0; y < rows; y++) {
+                        for (let x = 0; x < width; x++) {
+                            const value = buffer[dataStart + y * bytesPerRow + (x >> 3)] || 0;
+                            if (value & (0x80 >> (x & 7))) {
+                                pixels[y * width + x] = 1;
+                            }
+                        }
+                    }
+                    addBitmap({ width, height: rows, pixels }, 'raster');
+                    i = dataStart + bytesPerRow * rows;
+                    break;
+                }
+                case 0x28: { // GS ( fn pL pH ...
+                    const length = byteAt(3) + byteAt(4) * 256;
+                    const params = buffer.slice(i + 5, i + 5 + length);
+                    if (n === 0x6B && params[0] === 49) {
+                        // QR code: 67 module size, 69 error level, 80 store, 81 print
+                        const fn = params[1];
+                        if (fn === 67) qrStore.moduleSize = params[2];
+                        if (fn === 69) qrStore.errorCorrection = Object.keys(QR_ERROR_LEVELS).find(k => QR_ERROR_LEVELS[k] === params[2]) || 'M';
+                        if (fn === 80) qrStore.data = params.slice(3).toString('utf8');
+                        if (fn === 81) {
+                            flushLine(false);
+                            blocks.push({ type: 'qr', align: state.align, ...qrStore });
+                        }
+                    }
+                    i += 5 + length;
+                    break;
+                }
+                case 0x6B: { // GS k barcode
+                    const m = n;
+                    let data;
+                    if (m <= 6) {
+                        let end = i + 3;
+                        while (end < buffer.length && buffer[end] !== 0) end++;
+                        data = buffer.slice(i + 3, end);
+                        i = end + 1;
+                    } else {
+                        const length = byteAt(3);
+                        data = buffer.slice(i + 4, i + 4 + length);
+                        i += 4 + length;
+                    }
+                    let text = data.toString('latin1');
+                    if (m === 73) {
+                        // Code 128 data carries {A/{B/{C code set switches and doubled braces
+                        text = text.replace(/\{([{ABC])/g, (match, code) => (code === '{' ? '{' : ''));
+                    }
+                    flushLine(false);
+                    blocks.push({ type: 'barcode', align: state.align, system: m, data: text });
+                    break;
+                }
+                case 0x4C: case 0x57: case 0x50: // GS L / GS W / GS P (two bytes)
+                    i += 4;
+                    break;
+                default: // GS x n
+                    i += 3;
+            }
+            continue;
+        }
+
+        if (byte === DLE) {
+            const cmd = byteAt(1);
+            if (cmd === 0x14) { // DLE DC4 real-time pulse
+                flushLine(false);
+                blocks.push({ type: 'drawer', pin: byteAt(3) & 1 });
+                i += 5;
+            } else {
+                i += 3;
+            }
+            continue;
+        }
+
+        if (byte === FS) {
+            i += byteAt(1) === 0x70 ? 4 : 2;
+            continue;
+        }
+
+        if (byte < 0x20) {
+            i += 1;
+            continue;
+        }
+
+        addChar(decodeByte(byte, state.codePage));
+        i += 1;
+    }
+
+    flushLine(false);
+    return { dotWidth, blocks };
+}
+
+// ESC t table number -> code page name
+const CODE_PAGES_BY_NUMBER = Object.fromEntries(
+    Object.entries(CODE_PAGE_NUMBERS).map(([name, number]) => [number, name])
+);
+
+// ===== RENDERERS =====
+
+const ALIGN_NAMES = ['left', 'center', 'right'];
+
+function lineText(block) {
+    return block.segments.map(segment => segment.text).join('');
+}
+
+function lineColumns(block) {
+    return block.segments.reduce((sum, segment) => sum + segment.text.length * segment.width, 0);
+}
+
+// Plain text, one receipt line per row, with markers for graphics and cuts
+function renderText(doc) {
+    const columns = Math.floor(doc.dotWidth / GLYPH_WIDTH);
+    const center = (text) => ' '.repeat(Math.max(0, Math.floor((columns - text.length) / 2))) + text;
+    const out = [];
+
+    for (const block of doc.blocks) {
+        switch (block.type) {
+            case 'text': {
+                const text = lineText(block);
+                const pad = Math.max(0, columns - lineColumns(block));
+                if (!text.trim()) out.push('');
+                else if (block.align === 1) out.push(' '.repeat(Math.floor(pad / 2)) + text);
+                else if (block.align === 2) out.push(' '.repeat(pad) + text);
+                else out.push(text);
+                break;
+            }
+            case 'image':
+                out.push(center(`[image ${block.bitmap.width}x${block.bitmap.height}]`));
+                break;
+            case 'qr':
+                out.push(center(`[QR: ${block.data}]`));
+                break;
+            case 'barcode':
+                out.push(center(barcodeLabel(block)));
+                break;
+            case 'cut':
+                out.push('-'.repeat(Math.floor((columns - 5) / 2)) + ' CUT ' + '-'.repeat(Math.ceil((columns - 5) / 2)));
+                break;
+            case 'drawer':
+                out.push(center('[OPEN CASH DRAWER]'));
+                break;
+            case 'beep':
+                out.push(center('[BEEP]'));
+                break;
+        }
+    }
+
+    return out.join('\n').replace(/\s+$/g, '') + '\n';
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function bitmapDataUrl(bitmap) {
+    return `data:image/png;base64,${encodeBitmapPng(bitmap).toString('base64')}`;
+}
+
+// HTML view showing bold, underline, reverse, character size, alignment and cut markers
+function renderHtml(doc) {
+    const parts = [];
+
+    for (const block of doc.blocks) {
+        const align = ALIGN_NAMES[block.align] || 'left';
+        switch (block.type) {
+            case 'text': {
+                const height = Math.max(1, ...block.segments.map(segment => segment.height));
+                const lineHeight = Math.max(block.lineSpacing, GLYPH_HEIGHT * height);
+                const segments = block.segments.map(segment => {
+                    let html = escapeHtml(segment.text).replace(/ /g, '&nbsp;');
+                    if (segment.bold) html = `<b>${html}</b>`;
+                    if (segment.underline) html = `<u>${html}</u>`;
+                    if (segment.reverse) html = `<span class="reverse">${html}</span>`;
+                    if (segment.width > 1 || segment.height > 1) {
+                        const extra = segment.text.length * GLYPH_WIDTH * (segment.width - 1);
+                        html = `<span class="size" style="transform:scale(${segment.width},${segment.height});margin-right:${extra}px">${html}</span>`;
+                    }
+                    return html;
+                }).join('');
+                parts.push(`<div class="line" style="text-align:${align};height:${lineHeight}px;line-height:${lineHeight}px">${segments || '&nbsp;'}</div>`);
+                break;
+            }
+            case 'image':
+                parts.push(`<div class="graphic" style="text-align:${align}"><img src="${bitmapDataUrl(block.bitmap)}" width="${block.bitmap.width}" height="${block.bitmap.height}" alt="image"></div>`);
+                break;
+            case 'qr': {
+                const bitmap = qrBitmap(block.data, { size: block.moduleSize, errorCorrection: block.errorCorrection });
+                parts.push(`<div class="graphic" style="text-align:${align}"><img src="${bitmapDataUrl(bitmap)}" width="${bitmap.width}" height="${bitmap.height}" alt="QR: ${escapeHtml(block.data)}"></div>`);
+                break;
+            }
+            case 'barcode':
+                parts.push(`<div class="marker" style="text-align:${align}">${escapeHtml(barcodeLabel(block))}</div>`);
+                break;
+            case 'cut':
+                parts.push(`<div class="cut">&#9986; ${block.partial ? 'partial cut' : 'cut'}</div>`);
+                break;
+            case 'drawer':
+                parts.push('<div class="marker">[open cash drawer]</div>');
+                break;
+            case 'beep':
+                parts.push('<div class="marker">[beep]</div>');
+                break;
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Receipt preview</title>
+<style>
+body { background: #ddd; margin: 0; padding: 16px; }
+.receipt { background: #fff; width: ${doc.dotWidth}px; margin: 0 auto; padding: 12px 0; font: 20px "DejaVu Sans Mono", Consolas, monospace; color: #000; box-shadow: 0 1px 4px rgba(0,0,0,.3); }
+.line { white-space: pre; overflow: visible; }
+.size { display: inline-block; transform-origin: left bottom; }
+.reverse { background: #000; color: #fff; }
+.graphic img { image-rendering: pixelated; }
+.marker { color: #888; font-size: 14px; text-align: center; }
+.cut { border-top: 2px dashed #999; margin: 12px 0; color: #999; font-size: 14px; text-align: center; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${parts.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+// Draw a 1-bit bitmap into the canvas at (left, top)
+function blit(canvas, bitmap, left, top) {
+    for (let y = 0; y < bitmap.height; y++) {
+        const row = (top + y) * canvas.width;
+        for (let x = 0; x < bitmap.width; x++) {
+            if (bitmap.pixels[y * bitmap.width + x] && left + x >= 0 && left + x < canvas.width) {
+                canvas.pixels[row + left + x] = 1;
+            }
+        }
+    }
+}
+
+function alignedLeft(doc, align, width) {
+    if (align === 1) return Math.max(0, Math.floor((doc.dotWidth - width) / 2));
+    if (align === 2) return Math.max(0, doc.dotWidth - width);
+    return 0;
+}
+
+// Rasterise the receipt at the paper's dot width using the built-in Font A glyphs
+function renderBitmap(doc) {
+    // Lay out first so we know the height
+    const placed = [];
+    let y = 0;
+
+    for (const block of doc.blocks) {
+        if (block.type === 'text') {
+            const height = Math.max(1, ...block.segments.map(segment => segment.height));
+            placed.push({ block, top: y, height: GLYPH_HEIGHT * height });
+            y += Math.max(block.lineSpacing, GLYPH_HEIGHT * height);
+        } else if (block.type === 'image') {
+            placed.push({ block, top: y, bitmap: block.bitmap });
+            y += block.bitmap.height;
+        } else if (block.type === 'qr') {
+            const bitmap = qrBitmap(block.data, { size: block.moduleSize, errorCorrection: block.errorCorrection });
+            placed.push({ block, top: y, bitmap });
+            y += bitmap.height;
+        } else if (block.type === 'cut') {
+            placed.push({ block, top: y + 12 });
+            y += 24;
+        } else if (block.type === 'barcode') {
+            placed.push({ block, top: y, height: GLYPH_HEIGHT });
+            y += DEFAULT_LINE_SPACING;
+        }
+    }
+
+    const canvas = { width: doc.dotWidth, height: Math.max(y, 1), pixels: new Uint8Array(doc.dotWidth * Math.max(y, 1)) };
+
+    for (const item of placed) {
+        const { block, top } = item;
+
+        if (item.bitmap) {
+            blit(canvas, item.bitmap, alignedLeft(doc, block.align, item.bitmap.width), top);
+        } else if (block.type === 'cut') {
+            for (let x = 0; x < canvas.width; x++) {
+                if ((x >> 3) % 2 === 0) canvas.pixels[top * canvas.width + x] = 1;
+            }
+        } else {
+            const segments = block.type === 'text'
+                ? block.segments
+                : [{ text: barcodeLabel(block), bold: false, underline: false, width: 1, height: 1 }];
+            const width = segments.reduce((sum, segment) => sum + segment.text.length * GLYPH_WIDTH * segment.width, 0);
+            let x = alignedLeft(doc, block.align, width);
+            const baseline = top + item.height;
+
+            for (const segment of segments) {
+                for (const ch of segment.text) {
+                    const rows = glyphRows(ch);
+                    const glyphTop = baseline - GLYPH_HEIGHT * segment.height;
+                    for (let gy = 0; gy < GLYPH_HEIGHT * segment.height; gy++) {
+                        const bits = rows[Math.floor(gy / segment.height)];
+                        const py = glyphTop + gy;
+                        for (let gx = 0; gx < GLYPH_WIDTH * segment.width; gx++) {
+                            const sourceX = Math.floor(gx / segment.width);
+                            let on = (bits >> (GLYPH_WIDTH - 1 - sourceX)) & 1;
+                            // Emphasised text is drawn one dot wider
+                            if (!on && segment.bold && sourceX > 0) on = (bits >> (GLYPH_WIDTH - sourceX)) & 1;
+                            if (segment.underline && gy >= GLYPH_HEIGHT * segment.height - 2) on = 1;
+                            // Reverse text is white on a black cell
+                            if (segment.reverse) on = on ? 0 : 1;
+                            const px = x + gx;
+                            if (on && px < canvas.width && py >= 0) {
+                                canvas.pixels[py * canvas.width + px] = 1;
+                            }
+                        }
+                    }
+                    x += GLYPH_WIDTH * segment.width;
+                }
+            }
+        }
+    }
+
+    return canvas;
+}
+
+// 1-bit bitmap -> PNG buffer (black on white)
+function encodeBitmapPng(bitmap) {
+    const png = new PNG({ width: bitmap.width, height: bitmap.height, colorType: 0, inputColorType: 0, inputHasAlpha: false });
+    const data = Buffer.alloc(bitmap.width * bitmap.height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = bitmap.pixels[i] ? 0 : 255;
+    }
+    png.data = data;
+    return PNG.sync.write(png, { colorType: 0, inputColorType: 0, inputHasAlpha: false });
+}
+
+function renderPng(doc) {
+    return encodeBitmapPng(renderBitmap(doc));
+}
+
+module.exports = {
+    interpretEscPos,
+    renderText,
+    renderHtml,
+    renderBitmap,
+    renderPng
+};
@@ -0,0 +1,321 @@
+// Printer registry and job routing
+// Printers and routing rules live in a JSON file (PRINTERS_CONFIG, default
+// ./printers.json). Without one, a single printer is built from the .env settings.
+const fs = require('fs');
+const path = require('path');
+const { createTransport } = require('./transports');
+const { CODE_PAGES, DEFAULT_CODE_PAGE, toPrinterBuffer } = require('./encoding');
+const { FONTS } = require('./layout');
+const { BUZZER_MODES, drawerSettings, parseJobTypeList } = require('./peripherals');
+
+const JOB_TYPES = ['KITCHEN_TICKET', 'CUSTOMER_RECEIPT', 'BILL', 'REPORT'];
+
+// Transports that write to a path on this machine
+const PATH_TRANSPORTS = ['file', 'device'];
+
+// Drawer and buzzer actions per job type from OPEN_DRAWER_ON and BEEP_ON
+function actionsFromEnv(env = process.env) {
+    const openDrawer = parseJobTypeList(env.OPEN_DRAWER_ON);
+    const beep = parseJobTypeList(env.BEEP_ON);
+    const actions = {};
+    for (const jobType of new Set([...Object.keys(openDrawer), ...Object.keys(beep)])) {
+        actions[jobType] = { open_drawer: openDrawer[jobType] || false, beep: beep[jobType] || false };
+    }
+    return actions;
+}
+
+// Single printer described by the environment (backward compatible setup)
+function printerFromEnv(env = process.env) {
+    const name = env.PRINTER_NAME || 'EPSON TM-T20III';
+
+    return {
+        id: 'default',
+        name,
+        transport: {
+            type: env.PRINTER_TRANSPORT || 'spooler',
+            printerName: name,
+            host: env.PRINTER_HOST,
+            port: env.PRINTER_PORT,
+            device: env.PRINTER_DEVICE,
+            file: env.PRINTER_FILE
+        },
+        paper_width: env.PAPER_WIDTH || '80mm',
+        font: env.PRINTER_FONT || 'A',
+        code_page: env.PRINTER_CODE_PAGE || DEFAULT_CODE_PAGE,
+        capabilities: {
+            qr: env.PRINTER_QR_MODE || 'native',
+            images: env.PRINTER_IMAGE_MODE || 'raster',
+            status: env.PRINTER_STATUS_MODE || 'dle_eot',
+            buzzer: env.PRINTER_BUZZER && env.PRINTER_BUZZER !== 'none' ? env.PRINTER_BUZZER : false,
+            cutter: true
+        },
+        drawer: { pin: env.DRAWER_PIN, pulse_ms: env.DRAWER_PULSE_MS },
+        actions: actionsFromEnv(env)
+    };
+}
+
+function defaultConfig(env = process.env) {
+    return {
+        printers: [printerFromEnv(env)],
+        routing: {
+            default: 'default',
+            job_types: {},
+            categories: {}
+        }
+    };
+}
+
+// Fill in defaults for a printer entry
+function normalizePrinter(entry) {
+    return {
+        id: String(entry.id),
+        name: entry.name || String(entry.id),
+        station: entry.station || null,
+        transport: { ...(entry.transport || { type: 'spooler', printerName: entry.name }) },
+        paper_width: entry.paper_width || '80mm',
+        font: String(entry.font || 'A').toUpperCase(),
+        code_page: String(entry.code_page || DEFAULT_CODE_PAGE).toUpperCase(),
+        capabilities: {
+            qr: 'native',
+            images: 'raster',
+            status: 'dle_eot',       // 'dle_eot', 'asb' or false to never query
+            buzzer: false,           // 'esc_b', 'epson', 'drawer' (DK port) or false
+            cutter: true,
+            ...(entry.capabilities || {})
+        },
+        drawer: drawerSettings(entry.drawer),
+        // { JOB_TYPE: { open_drawer: true | 'cash', beep: true | 'cash' | times } }
+        actions: { ...(entry.actions || {}) }
+    };
+}
+
+// Check a { printers, routing } config and return it normalised; throws on problems
+function validateConfig(config) {
+    if (!config || !Array.isArray(config.printers) || config.printers.length === 0) {
+        throw new Error('Printer config must contain a non-empty "printers" array');
+    }
+
+    const printers = config.printers.map((entry, i) => {
+        if (!entry || entry.id === undefined || entry.id === '') {
+            throw new Error(`printers[${i}] is missing an id`);
+        }
+        return normalizePrinter(entry);
+    });
+
+    const ids = new Set();
+    for (const printer of printers) {
+        if (ids.has(printer.id)) {
+            throw new Error(`Duplicate printer id: ${printer.id}`);
+        }
+        ids.add(printer.id);
+        if (!['58mm', '80mm'].includes(printer.paper_width)) {
+            throw new Error(`Printer ${printer.id}: paper_width must be 58mm or 80mm`);
+        }
+        if (!FONTS.includes(printer.font)) {
+            throw new Error(`Printer ${printer.id}: font must be A or B`);
+        }
+        if (!CODE_PAGES[printer.code_page]) {
+            throw new Error(`Printer ${printer.id}: code_page must be one of ${Object.keys(CODE_PAGES).join(', ')}`);
+        }
+        if (printer.capabilities.buzzer && !BUZZER_MODES.includes(printer.capabilities.buzzer)) {
+            throw new Error(`Printer ${printer.id}: capabilities.buzzer must be one of ${BUZZER_MODES.join(', ')} or false`);
+        }
+        for (const jobType of Object.keys(printer.actions)) {
+            if (!JOB_TYPES.includes(jobType)) {
+                throw new Error(`Printer ${printer.id}: actions.${jobType} is not a job type (${JOB_TYPES.join(', ')})`);
+            }
+        }
+        // Throws for unknown transport types or missing settings
+        createTransport({ printerName: printer.name, ...printer.transport });
+    }
+
+    const routing = {
+        default: printers[0].id,
+        job_types: {},
+        categories: {},
+        ...(config.routing || {})
+    };
+
+    const checkStation = (id, where) => {
+        if (!ids.has(id)) {
+            throw new Error(`${where} refers to unknown printer: ${id}`);
+        }
+    };
+
+    checkStation(routing.default, 'routing.default');
+    for (const [jobType, stations] of Object.entries(routing.job_types)) {
+        const list = Array.isArray(stations) ? stations : [stations];
+        list.forEach(id => checkStation(id, `routing.job_types.${jobType}`));
+        routing.job_types[jobType] = list;
+    }
+    const categories = {};
+    for (const [category, id] of Object.entries(routing.categories)) {
+        checkStation(id, `routing.categories.${category}`);
+        categories[category.toLowerCase()] = id;
+    }
+    routing.categories = categories;
+
+    return { printers, routing };
+}
+
+// Transport settings as createTransport() gets them
+function transportSettings(printer) {
+    return { printerName: printer.name, ...printer.transport };
+}
+
+function sameTransport(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => a[key] === b[key]);
+}
+
+// Whether `target` is one of `allowedPaths` or inside one of those directories
+function pathAllowed(target, allowedPaths) {
+    const resolved = path.resolve(target);
+    return allowedPaths.some(entry => {
+        const allowed = path.resolve(entry);
+        return target === entry || resolved === allowed || resolved.startsWith(allowed.endsWith(path.sep) ? allowed : allowed + path.sep);
+    });
+}
+
+function createPrinterRegistry({
+    configPath,
+    env = process.env,
+    allowedPaths = []          // PRINTER_PATHS: directories and devices update() may point file/device printers at
+} = {}) {
+    const filePath = configPath || env.PRINTERS_CONFIG || path.join(process.cwd(), 'printers.json');
+    let config = null;
+    let transports = new Map();
+
+    function apply(newConfig) {
+        const validated = validateConfig(newConfig);
+        const newTransports = new Map();
+        for (const printer of validated.printers) {
+            newTransports.set(printer.id, createTransport({ printerName: printer.name, ...printer.transport }));
+        }
+        config = validated;
+        transports = newTransports;
+    }
+
+    function load() {
+        if (fs.existsSync(filePath)) {
+            apply(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+            return 'file';
+        }
+        apply(defaultConfig(env));
+        return 'env';
+    }
+
+    function get(id) {
+        return config.printers.find(printer => printer.id === id) || null;
+    }
+
+    function transport(id) {
+        return transports.get(id) || null;
+    }
+
+    // Ids of printers in `newConfig` that are new or print somewhere else
+    function changedTransports(newConfig) {
+        return validateConfig(newConfig).printers.filter(printer => {
+            const current = get(printer.id);
+            return !current || !sameTransport(transportSettings(current), transportSettings(printer));
+        }).map(printer => printer.id);
+    }
+
+    // Replace the whole registry and persist it to the config file. A new or
+    // changed file or device transport must write inside `allowedPaths`.
+    function update(newConfig) {
+        const changed = changedTransports(newConfig);
+        for (const printer of validateConfig(newConfig).printers.filter(entry => changed.includes(entry.id))) {
+            if (!PATH_TRANSPORTS.includes(printer.transport.type)) continue;
+            const target = createTransport(transportSettings(printer)).target;
+            if (!pathAllowed(target, allowedPaths)) {
+                throw new Error(`Printer ${printer.id}: ${target} is not in PRINTER_PATHS`);
+            }
+        }
+        apply(newConfig);
+        fs.writeFileSync(filePath, JSON.stringify(config, null, 2));
+        return config;
+    }
+
+    // Printers with their live transport description, for the API
+    function list() {
+        return config.printers.map(printer => ({
+            ...printer,
+            transport_target: transports.get(printer.id).target
+        }));
+    }
+
+    // Work out which printer(s) a job goes to. Kitchen tickets are split by item
+    // category so each station only sees its own dishes; anything unmatched goes
+    // to the job type's stations.
+    function route(jobType, data) {
+        const stations = (config.routing.job_types[jobType] || [config.routing.default]).map(get);
+        const categories = config.routing.categories;
+        const items = data && Array.isArray(data.items) ? data.items : null;
+
+        if (jobType !== 'KITCHEN_TICKET' || !items || Object.keys(categories).length === 0) {
+            return stations.map(printer => ({ printer, data }));
+        }
+
+        const groups = new Map();
+        const unrouted = [];
+        for (const item of items) {
+            const stationId = categories[String(item.category || '').toLowerCase()];
+            if (stationId) {
+                if (!groups.has(stationId)) groups.set(stationId, []);
+                groups.get(stationId).push(item);
+            } else {
+                unrouted.push(item);
+            }
+        }
+
+        if (unrouted.length > 0) {
+            for (const printer of stations) {
+                groups.set(printer.id, [...(groups.get(printer.id) || []), ...unrouted]);
+            }
+        }
+
+        return Array.from(groups.entries()).map(([id, stationItems]) => {
+            const printer = get(id);
+            return {
+                printer,
+                data: { ...data, items: stationItems, station: printer.station || printer.name }
+            };
+        });
+    }
+
+    // Encode content in the printer's code page and send it over its transport
+    function send(id, content) {
+        const printer = get(id);
+        if (!printer) {
+            return Promise.reject(new Error(`Unknown printer: ${id}`));
+        }
+        const buffer = toPrinterBuffer(content, printer.code_page);
+        return transports.get(id).send(buffer).then(() => buffer.length);
+    }
+
+    return {
+        filePath,
+        load,
+        get,
+        transport,
+        list,
+        changedTransports,
+        update,
+        route,
+        send,
+        get config() {
+            return config;
+        },
+        get defaultPrinter() {
+            return get(config.routing.default);
+        }
+    };
+}
+
+module.exports = {
+    JOB_TYPES,
+    createPrinterRegistry,
+    validateConfig,
+    printerFromEnv
+};
@@ -0,0 +1,355 @@
+// Persistent local print queue
+// Jobs are kept in an append-only JSON-lines file so they survive restarts.
+// Each printer works through its own jobs strictly in order: when a send fails
+// with a transport error the job is retried with exponential backoff and every
+// later job for that printer waits behind it, then replays once it comes back.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger: log } = require('./logger');
+
+const ACTIVE_STATUSES = ['QUEUED', 'PRINTING', 'RETRYING'];
+
+// Jobs POST /jobs/:id/retry may send again
+const RETRY_STATUSES = ['FAILED', 'RETRYING', 'QUEUED'];
+
+function createJobQueue({
+    filePath = path.join(process.cwd(), 'print-queue.jsonl'),
+    processor,
+    canDispatch = () => true,
+    baseDelay = 2000,
+    maxDelay = 60000,
+    maxAttempts = 0,           // 0 = keep retrying transport errors until deleted
+    retentionMs = 24 * 60 * 60 * 1000
+} = {}) {
+    const events = new EventEmitter();
+    const jobs = new Map();
+    const busyPrinters = new Set();
+    const waiters = new Map();
+    const idleWaiters = [];
+    let logLines = 0;
+    // Highest job sequence so far - set by load(), counted up by enqueue()
+    let sequence = 0;
+    let timer = null;
+    let stopped = false;
+
+    // ===== PERSISTENCE =====
+
+    function append(entry) {
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+        logLines++;
+    }
+
+    function save(job) {
+        job.updated_at = new Date().toISOString();
+        append({ op: 'put', job });
+    }
+
+    // Rewrite the log with only the live jobs, dropping expired finished ones
+    function compact() {
+        const cutoff = Date.now() - retentionMs;
+        for (const [id, job] of jobs) {
+            if (!ACTIVE_STATUSES.includes(job.status) && Date.parse(job.updated_at) < cutoff) {
+                jobs.delete(id);
+            }
+        }
+        const lines = Array.from(jobs.values()).map(job => JSON.stringify({ op: 'put', job }) + '\n');
+        const tempFile = `${filePath}.tmp`;
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.renameSync(tempFile, filePath);
+        logLines = lines.length;
+    }
+
+    function load() {
+        if (fs.existsSync(filePath)) {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (entry.op === 'put') {
+                        jobs.set(entry.job.id, entry.job);
+                    } else if (entry.op === 'delete') {
+                        jobs.delete(entry.id);
+                    }
+                } catch (e) {
+                    // A torn final line after a crash - ignore it
+                    log.warn('Skipping unreadable queue entry', { error: e.message });
+                }
+            }
+        }
+        for (const job of jobs.values()) {
+            sequence = Math.max(sequence, job.sequence || 0);
+        }
+
+        // Anything that was mid-print when we stopped goes back in the queue
+        for (const job of jobs.values()) {
+            if (job.status === 'PRINTING') {
+                job.status = 'QUEUED';
+                job.next_attempt_at = null;
+            }
+        }
+
+        compact();
+        schedule(0);
+        return jobs.size;
+    }
+
+    // ===== DISPATCH =====
+
+    // Oldest unfinished job per printer, in creation order
+    function headJobs() {
+        const heads = new Map();
+        for (const job of jobs.values()) {
+            if (!ACTIVE_STATUSES.includes(job.status)) continue;
+            const current = heads.get(job.printer_id);
+            if (!current || job.sequence < current.sequence) {
+                heads.set(job.printer_id, job);
+            }
+        }
+        return Array.from(heads.values());
+    }
+
+    function schedule(delay) {
+        if (timer) {
+            clearTimeout(timer);
+        }
+        if (stopped) {
+            timer = null;
+            return;
+        }
+        timer = setTimeout(() => {
+            timer = null;
+            pump();
+        }, Math.max(0, delay));
+        if (timer.unref) timer.unref();
+    }
+
+    function pump() {
+        const now = Date.now();
+        let nextWake = null;
+
+        for (const job of headJobs()) {
+            if (busyPrinters.has(job.printer_id)) continue;
+
+            const due = job.next_attempt_at ? Date.parse(job.next_attempt_at) : 0;
+            if (due > now) {
+                nextWake = nextWake === null ? due : Math.min(nextWake, due);
+                continue;
+            }
+            if (!canDispatch(job.printer_id)) {
+                // Printer reported not ready (e.g. paper end) - look again shortly
+                nextWake = nextWake === null ? now + baseDelay : Math.min(nextWake, now + baseDelay);
+                continue;
+            }
+
+            attempt(job);
+        }
+
+        if (nextWake !== null) {
+            schedule(nextWake - now);
+        }
+    }
+
+    function backoff(attempts) {
+        return Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+    }
+
+    async function attempt(job) {
+        busyPrinters.add(job.printer_id);
+        job.status = 'PRINTING';
+        job.attempts++;
+        save(job);
+        events.emit('printing', job);
+
+        try {
+            await processor(job);
+            job.status = 'COMPLETED';
+            job.last_error = null;
+            job.completed_at = new Date().toISOString();
+            save(job);
+            events.emit('completed', job);
+        } catch (error) {
+            job.last_error = error.message;
+            const retryable = error.retryable !== false;
+            if (retryable && (maxAttempts === 0 || job.attempts < maxAttempts)) {
+                const delay = backoff(job.attempts);
+                job.status = 'RETRYING';
+                job.next_attempt_at = new Date(Date.now() + delay).toISOString();
+                save(job);
+                log.warn('⏳ Print job failed, retrying', { job_id: job.id, printer: job.printer_id, attempt: job.attempts, retry_in_ms: delay, error: error.message });
+                events.emit('retrying', job);
+            } else {
+                job.status = 'FAILED';
+                save(job);
+                events.emit('failed', job);
+            }
+        } finally {
+            busyPrinters.delete(job.printer_id);
+            notifyWaiters(job);
+            if (busyPrinters.size === 0) {
+                idleWaiters.splice(0).forEach(resolve => resolve(true));
+            }
+            if (logLines > Math.max(200, jobs.size * 4)) {
+                compact();
+            }
+            schedule(0);
+        }
+    }
+
+    function notifyWaiters(job) {
+        const list = waiters.get(job.id);
+        if (list) {
+            waiters.delete(job.id);
+            list.forEach(resolve => resolve(job));
+        }
+    }
+
+    // ===== PUBLIC API =====
+
+    // Add a job for one printer; `fields` holds job_type, print_type, data, etc.
+    function enqueue(fields) {
+        sequence++;
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            sequence,
+            status: 'QUEUED',
+            attempts: 0,
+            last_error: null,
+            next_attempt_at: null,
+            created_at: now,
+            updated_at: now,
+            ...fields
+        };
+        jobs.set(job.id, job);
+        save(job);
+        events.emit('queued', job);
+        schedule(0);
+        return job;
+    }
+
+    // Resolve once the job has had an attempt, or after `timeout` if it is still waiting
+    function waitForAttempt(id, timeout = 10000) {
+        const job = jobs.get(id);
+        if (!job || (!ACTIVE_STATUSES.includes(job.status) && job.attempts > 0)) {
+            return Promise.resolve(job || null);
+        }
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(() => {
+                const list = waiters.get(id) || [];
+                waiters.set(id, list.filter(fn => fn !== done));
+                resolve(jobs.get(id) || null);
+            }, timeout);
+            const done = (settled) => {
+                clearTimeout(timeoutId);
+                resolve(settled);
+            };
+            waiters.set(id, [...(waiters.get(id) || []), done]);
+        });
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    function list({ status, printerId } = {}) {
+        return Array.from(jobs.values())
+            .filter(job => !status || job.status === status)
+            .filter(job => !printerId || job.printer_id === printerId)
+            .sort((a, b) => a.sequence - b.sequence);
+    }
+
+    // Put a failed or waiting job back at the front of its printer's line now.
+    // A printed job is not sent again as an original.
+    function retry(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (job.status === 'PRINTING') {
+            throw new Error('Job is currently printing');
+        }
+        if (!RETRY_STATUSES.includes(job.status)) {
+            throw new Error(`Only ${RETRY_STATUSES.join(', ')} jobs can be retried (job is ${job.status})`);
+        }
+        job.status = 'QUEUED';
+        job.next_attempt_at = null;
+        if (job.attempts > 0 && maxAttempts > 0 && job.attempts >= maxAttempts) {
+            job.attempts = 0;
+        }
+        save(job);
+        events.emit('queued', job);
+        schedule(0);
+        return job;
+    }
+
+    function remove(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (job.status === 'PRINTING') {
+            throw new Error('Job is currently printing');
+        }
+        jobs.delete(id);
+        append({ op: 'delete', id });
+        notifyWaiters({ ...job, status: 'CANCELLED' });
+        events.emit('cancelled', job);
+        schedule(0);
+        return job;
+    }
+
+    // Start no more attempts (shutdown). Jobs already printing carry on and
+    // everything else stays in the file for the next start.
+    function stop() {
+        stopped = true;
+        schedule(0);
+    }
+
+    // Resolve true once nothing is printing, or false if jobs are still printing after `timeout`
+    function whenIdle(timeout = 10000) {
+        if (busyPrinters.size === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(() => {
+                const index = idleWaiters.indexOf(done);
+                if (index !== -1) idleWaiters.splice(index, 1);
+                resolve(false);
+            }, timeout);
+            const done = () => {
+                clearTimeout(timeoutId);
+                resolve(true);
+            };
+            idleWaiters.push(done);
+        });
+    }
+
+    // Queue depth per printer, for health checks
+    function stats() {
+        const counts = {};
+        for (const job of jobs.values()) {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    return {
+        filePath,
+        load,
+        enqueue,
+        waitForAttempt,
+        get,
+        list,
+        retry,
+        remove,
+        stats,
+        stop,
+        whenIdle,
+        pump: () => schedule(0),
+        on: (event, listener) => events.on(event, listener)
+    };
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    createJobQueue
+};
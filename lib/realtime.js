@@ -0,0 +1,94 @@
+// Supabase Realtime listener for new print jobs
+// Subscribes to INSERTs on the print jobs table and reports connection changes
+// so the poller can slow down while the socket is healthy and speed back up
+// when it drops.
+
+const RESUBSCRIBE_DELAY = 10000;
+
+function createRealtimeListener({ supabase, table = 'print_jobs', schema = 'public', onInsert, onStatusChange = () => {} }) {
+    let channel = null;
+    let resubscribeTimer = null;
+    let stopped = true;
+
+    const state = {
+        status: 'idle',
+        connected: false,
+        connected_since: null,
+        last_event_at: null,
+        last_error: null,
+        events_received: 0
+    };
+
+    function setStatus(status, error) {
+        const wasConnected = state.connected;
+        state.status = status;
+        state.connected = status === 'SUBSCRIBED';
+        state.last_error = error ? error.message || String(error) : state.last_error;
+        if (state.connected && !wasConnected) {
+            state.connected_since = new Date().toISOString();
+        } else if (!state.connected) {
+            state.connected_since = null;
+        }
+        if (state.connected !== wasConnected) {
+            onStatusChange(state);
+        }
+    }
+
+    function subscribe() {
+        setStatus('connecting');
+        channel = supabase
+            .channel(`print-jobs-${table}`)
+            .on('postgres_changes', { event: 'INSERT', schema, table }, (payload) => {
+                state.last_event_at = new Date().toISOString();
+                state.events_received++;
+                onInsert(payload.new);
+            })
+            .subscribe((status, error) => {
+                setStatus(status, error);
+                if (!stopped && ['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) {
+                    scheduleResubscribe();
+                }
+            });
+    }
+
+    function scheduleResubscribe() {
+        if (resubscribeTimer) {
+            return;
+        }
+        resubscribeTimer = setTimeout(async () => {
+            resubscribeTimer = null;
+            if (stopped) return;
+            if (channel) {
+                const old = channel;
+                channel = null;
+                await supabase.removeChannel(old).catch(() => {});
+            }
+            subscribe();
+        }, RESUBSCRIBE_DELAY);
+    }
+
+    function start() {
+        stopped = false;
+        subscribe();
+    }
+
+    async function stop() {
+        stopped = true;
+        if (resubscribeTimer) {
+            clearTimeout(resubscribeTimer);
+            resubscribeTimer = null;
+        }
+        if (channel) {
+            const old = channel;
+            channel = null;
+            await supabase.removeChannel(old).catch(() => {});
+        }
+        setStatus('stopped');
+    }
+
+    return { start, stop, state };
+}
+
+module.exports = {
+    createRealtimeListener
+};
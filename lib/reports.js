@@ -0,0 +1,366 @@
+// Shift reports
+// X (interim) and Z (end of day) reports for a business day: sales by order
+// type, payment method and category, VAT, discounts, voids, refunds and cash
+// drawer openings. Orders are read from the Supabase orders table (or sent with
+// the request) in the same shape as a receipt order, and drawer openings from
+// the audit log. The figures are worked out when the report is asked for and
+// queued as the REPORT job's data, so a retry prints the same numbers;
+// templates/shift_report.json lays them out.
+const { computeTotals, itemLine, toPence } = require('./totals');
+const { logger: log } = require('./logger');
+
+const REPORT_TYPES = ['X', 'Z'];
+
+// POS spellings of the three order types (lower case, spaces and dashes as _)
+const ORDER_TYPES = {
+    dine_in: 'Dine-in',
+    dinein: 'Dine-in',
+    eat_in: 'Dine-in',
+    table: 'Dine-in',
+    collection: 'Collection',
+    takeaway: 'Collection',
+    take_away: 'Collection',
+    pickup: 'Collection',
+    pick_up: 'Collection',
+    delivery: 'Delivery'
+};
+
+const VOID_STATUSES = ['void', 'voided', 'cancelled', 'canceled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "04:30" -> 270 minutes after midnight
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const twoDigits = (value) => String(value).padStart(2, '0');
+
+// Local date as YYYY-MM-DD
+function dateText(date) {
+    return `${date.getFullYear()}-${twoDigits(date.getMonth() + 1)}-${twoDigits(date.getDate())}`;
+}
+
+// Local date and time as YYYY-MM-DD HH:MM, the same on every machine locale
+function dateTimeText(date) {
+    return `${dateText(date)} ${twoDigits(date.getHours())}:${twoDigits(date.getMinutes())}`;
+}
+
+// Start of business day `day` (YYYY-MM-DD), `dayStart` minutes after midnight
+function dayStartOf(day, dayStart, offsetDays = 0) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(day));
+    if (!match) {
+        throw new Error(`Invalid date: ${day} (expected YYYY-MM-DD)`);
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + offsetDays, 0, dayStart);
+}
+
+// Business day a moment belongs to: before `dayStart` it is still the previous day
+function businessDayOf(time, dayStart) {
+    return dateText(new Date(time.getTime() - dayStart * 60 * 1000));
+}
+
+// Display name for an order's order type
+function orderTypeName(order) {
+    const value = order.order_type || order.orderType;
+    if (!value) {
+        return 'Other';
+    }
+    return ORDER_TYPES[String(value).trim().toLowerCase().replace(/[\s-]+/g, '_')] || 'Other';
+}
+
+// "CARD" / "card" -> "Card"
+function methodName(method) {
+    const text = String(method || '').trim();
+    return text ? text.charAt(0).toUpperCase() + text.slice(1).toLowerCase() : 'Not recorded';
+}
+
+const isCash = (method) => /cash/i.test(String(method || ''));
+
+const isVoided = (entry) => entry.voided === true || VOID_STATUSES.includes(String(entry.status || '').toLowerCase());
+
+// Money refunded on an order: refunds: [{ amount, method }], refund_amount, or
+// the whole total when the order's status is "refunded"
+function refundsOf(order, totals) {
+    if (Array.isArray(order.refunds)) {
+        return order.refunds.map(refund => ({ method: methodName(refund.method || refund.tender), amount: Math.abs(toPence(refund.amount)) }))
+            .filter(refund => refund.amount);
+    }
+    const amount = Math.abs(toPence(order.refund_amount !== undefined ? order.refund_amount : order.refunded_amount));
+    if (amount) {
+        return [{ method: methodName(order.refund_method), amount }];
+    }
+    if (String(order.status || '').toLowerCase() === 'refunded') {
+        const method = totals.payments.length > 0 ? totals.payments[0].method : order.payment_method || order.paymentMethod;
+        return [{ method: methodName(method), amount: totals.total }];
+    }
+    return [];
+}
+
+// Add each of `fields` to the running totals kept under `name`
+function tally(map, name, fields) {
+    const entry = map.get(name) || { name };
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = (entry[key] || 0) + value;
+    }
+    map.set(name, entry);
+}
+
+// Figures for a set of orders, every amount in pence
+function summarizeOrders(orders) {
+    const sales = { orders: 0, items: 0, gross: 0, discounts: 0, service_charge: 0, delivery_fees: 0, tips: 0, total: 0 };
+    const discounts = { count: 0, amount: 0 };
+    const voids = { orders: 0, order_amount: 0, items: 0, item_amount: 0 };
+    const refunds = { count: 0, amount: 0 };
+    const orderTypes = new Map(['Dine-in', 'Collection', 'Delivery'].map(name => [name, { name, count: 0, total: 0 }]));
+    const payments = new Map();
+    const categories = new Map();
+    const vat = new Map();
+
+    for (const order of orders) {
+        const allItems = Array.isArray(order.items) ? order.items : [];
+
+        if (isVoided(order)) {
+            voids.orders++;
+            voids.order_amount += computeTotals(order, allItems).total;
+            continue;
+        }
+
+        const items = allItems.filter(item => !isVoided(item));
+        for (const item of allItems.filter(isVoided)) {
+            const line = itemLine(item);
+            voids.items += line.quantity;
+            voids.item_amount += line.net;
+        }
+
+        const totals = computeTotals(order, items);
+        const orderDiscount = totals.line_discount_total + totals.discount_total;
+        sales.orders++;
+        sales.gross += totals.items_subtotal;
+        sales.discounts += orderDiscount;
+        sales.service_charge += totals.service_charge;
+        sales.delivery_fees += totals.delivery_fee;
+        sales.tips += totals.tip;
+        sales.total += totals.total;
+        if (orderDiscount) {
+            discounts.count++;
+            discounts.amount += orderDiscount;
+        }
+
+        tally(orderTypes, orderTypeName(order), { count: 1, total: totals.total });
+
+        for (const line of totals.lines) {
+            sales.items += line.quantity;
+        }
+        items.forEach((item, i) => {
+            tally(categories, item.category ? String(item.category) : 'Uncategorised', { quantity: totals.lines[i].quantity, amount: totals.lines[i].net });
+        });
+
+        // Change is given in cash, so it comes off the cash taken
+        const paid = totals.payments.length > 0
+            ? totals.payments.map(payment => ({ method: payment.method, amount: payment.amount }))
+            : [{ method: order.payment_method || order.paymentMethod, amount: totals.total }];
+        const cash = paid.find(payment => isCash(payment.method)) || paid[paid.length - 1];
+        cash.amount -= totals.change;
+        for (const payment of paid.filter(entry => entry.amount)) {
+            tally(payments, methodName(payment.method), { count: 1, amount: payment.amount });
+        }
+
+        for (const entry of totals.vat) {
+            tally(vat, entry.rate, { net: entry.net, vat: entry.vat });
+        }
+
+        for (const refund of refundsOf(order, totals)) {
+            refunds.count++;
+            refunds.amount += refund.amount;
+            tally(payments, refund.method, { refunded: refund.amount });
+        }
+    }
+
+    const paymentList = Array.from(payments.values())
+        .map(entry => ({ name: entry.name, count: entry.count || 0, amount: entry.amount || 0, refunded: entry.refunded || 0, net: (entry.amount || 0) - (entry.refunded || 0) }))
+        .sort((a, b) => b.amount - a.amount);
+
+    return {
+        sales: {
+            ...sales,
+            refunds: refunds.amount,
+            net: sales.total - refunds.amount,
+            average: sales.orders > 0 ? Math.round(sales.total / sales.orders) : 0
+        },
+        discounts,
+        voids,
+        refunds,
+        order_types: Array.from(orderTypes.values()).filter(entry => entry.name !== 'Other' || entry.count > 0),
+        payments: paymentList,
+        categories: Array.from(categories.values()).sort((a, b) => b.amount - a.amount || a.name.localeCompare(b.name)),
+        vat: Array.from(vat.entries()).sort((a, b) => b[0] - a[0]).map(([rate, entry]) => ({ rate, net: entry.net, vat: entry.vat })),
+        vat_total: Array.from(vat.values()).reduce((sum, entry) => sum + entry.vat, 0)
+    };
+}
+
+// Audit log drawer_open entries (sales and "no sale" openings) between two dates
+function summarizeDrawerOpens(entries) {
+    const opens = entries.filter(entry => entry.event === 'drawer_open' && !(entry.status >= 400));
+    const withSale = opens.filter(entry => entry.job_id).length;
+    return { opens: opens.length, with_sale: withSale, no_sale: opens.length - withSale };
+}
+
+// Pence -> pounds throughout, for the template's money filter
+function inPounds(value, key) {
+    if (['orders', 'items', 'count', 'quantity', 'rate', 'opens', 'with_sale', 'no_sale'].includes(key)) return value;
+    if (typeof value === 'number') return value / 100;
+    if (Array.isArray(value)) return value.map(entry => inPounds(entry));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, entry]) => [name, inPounds(entry, name)]));
+    }
+    return value;
+}
+
+function createReportService({
+    supabase,                   // Supabase client, or null (orders must then come with the request)
+    access,                     // createAccessControl() - readAudit() for drawer openings
+    now = () => new Date(),
+    dayStart = '04:00',         // when the business day starts (late closes belong to the day before)
+    ordersTable = 'orders',
+    timeColumn = 'created_at',
+    orderColumn = null,         // column holding the order JSON; null = the row is the order
+    pageSize = 1000
+} = {}) {
+    const dayStartMinutes = parseClock(dayStart);
+
+    // Period a request covers: { from, to } as given, the whole of `date`, or the
+    // current business day so far
+    function periodFor(request = {}) {
+        try {
+            return readPeriod(request);
+        } catch (error) {
+            // A bad request, not something a retry would fix
+            error.retryable = false;
+            throw error;
+        }
+    }
+
+    function readPeriod({ date, from, to }) {
+        const current = now();
+        if (from !== undefined || to !== undefined) {
+            const start = from !== undefined ? new Date(from) : dayStartOf(businessDayOf(current, dayStartMinutes), dayStartMinutes);
+            const end = to !== undefined ? new Date(to) : current;
+            if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+                throw new Error('from and to must be dates');
+            }
+            if (start > end) {
+                throw new Error('The report period ends before it starts');
+            }
+            return { from: start, to: end, business_day: businessDayOf(start, dayStartMinutes) };
+        }
+        const day = date || businessDayOf(current, dayStartMinutes);
+        const start = dayStartOf(day, dayStartMinutes);
+        const end = new Date(Math.min(dayStartOf(day, dayStartMinutes, 1).getTime(), current.getTime()));
+        return { from: start, to: end, business_day: day };
+    }
+
+    // Every order in the period, a page at a time
+    async function fetchOrders(from, to) {
+        if (!supabase) {
+            // The helper's setup or the request is at fault - asking again will not help
+            const error = new Error('Supabase is not configured - send the orders with the report request');
+            error.retryable = false;
+            throw error;
+        }
+        const orders = [];
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await supabase.from(ordersTable)
+                .select(orderColumn ? `${orderColumn}, ${timeColumn}` : '*')
+                .gte(timeColumn, from.toISOString())
+                .lt(timeColumn, to.toISOString())
+                .order(timeColumn, { ascending: true })
+                .range(offset, offset + pageSize - 1);
+            if (error) {
+                throw new Error(`Could not read ${ordersTable}: ${error.message}`);
+            }
+            orders.push(...(data || []).map(row => (orderColumn ? row[orderColumn] : row)).filter(Boolean));
+            if (!data || data.length < pageSize) {
+                return orders;
+            }
+        }
+    }
+
+    // The REPORT job's data: { report_type, period, figures in pounds }
+    async function buildReport(request = {}) {
+        const reportType = String(request.report_type || 'X').toUpperCase();
+        if (!REPORT_TYPES.includes(reportType)) {
+            const error = new Error(`report_type must be ${REPORT_TYPES.join(' or ')}`);
+            error.retryable = false;
+            throw error;
+        }
+        const { from, to, business_day: businessDay } = periodFor(request);
+
+        const orders = Array.isArray(request.orders) ? request.orders : await fetchOrders(from, to);
+        const drawer = summarizeDrawerOpens(await access.readAudit({ from: from.getTime(), to: to.getTime() }));
+        log.info('📊 Report figures ready', { report_type: reportType, business_day: businessDay, orders: orders.length, from: from.toISOString(), to: to.toISOString() });
+
+        return {
+            report_type: reportType,
+            title: reportType === 'Z' ? 'Z REPORT - END OF DAY' : 'X REPORT - INTERIM',
+            business_day: businessDay,
+            period: { from: dateTimeText(from), to: dateTimeText(to), from_iso: from.toISOString(), to_iso: to.toISOString() },
+            ...inPounds(summarizeOrders(orders)),
+            drawer
+        };
+    }
+
+    return {
+        periodFor,
+        fetchOrders,
+        buildReport
+    };
+}
+
+// Run `onDue` every day at `at` (HH:MM on this machine's clock)
+function scheduleDaily(at, onDue, { clock = () => new Date() } = {}) {
+    const minutes = parseClock(at);
+    let timer = null;
+
+    function next() {
+        const current = clock();
+        const due = new Date(current.getFullYear(), current.getMonth(), current.getDate(), 0, minutes);
+        if (due <= current) {
+            due.setDate(due.getDate() + 1);
+        }
+        return due;
+    }
+
+    function arm() {
+        const due = next();
+        // Timers drift over a day, so wake up no more than an hour ahead and check again
+        timer = setTimeout(() => {
+            if (clock() >= due) {
+                Promise.resolve().then(onDue).catch(error => log.error('❌ Scheduled task failed', { at, error: error.message }));
+            }
+            arm();
+        }, Math.min(Math.max(due - clock(), 0), DAY_MS / 24));
+        if (timer.unref) timer.unref();
+    }
+
+    arm();
+    return {
+        next,
+        stop() {
+            clearTimeout(timer);
+        }
+    };
+}
+
+module.exports = {
+    REPORT_TYPES,
+    parseClock,
+    businessDayOf,
+    summarizeOrders,
+    createReportService,
+    scheduleDaily
+};
@@ -0,0 +1,361 @@
+// Request schemas for print jobs
+// JSON Schema definitions for ThermalReceiptData and the kitchen, receipt and
+// rich template order bodies, published through /capabilities so the POS and
+// designer can check a job before sending it. validate() covers the keywords
+// used here and returns field-level errors.
+const { TICKET_TYPES } = require('./kitchen');
+
+// Amounts may arrive as numbers or numeric strings ("12.95"), never as "abc"
+const MONEY = { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$' };
+const QUANTITY = { type: ['integer', 'string'], minimum: 1, pattern: '^[1-9]\\d*$' };
+const IDENTIFIER = { type: ['string', 'integer'] };
+const TEXT = { type: 'string' };
+const DATA_URL = { type: 'string', pattern: '^data:image/' };
+const PERCENT = { type: ['number', 'string'], pattern: '^\\d+(\\.\\d+)?$', minimum: 0 };
+// A list of allergens, or one comma-separated string
+const ALLERGENS = { anyOf: [{ type: 'array', items: TEXT }, TEXT] };
+// NEW, add-on, ADD_ON, ... (see lib/kitchen.js)
+const TICKET_TYPE = {
+    enum: TICKET_TYPES.flatMap(type => [type, type.toLowerCase(), type.replace('_', '-'), type.replace('_', '-').toLowerCase()])
+        .filter((type, i, all) => all.indexOf(type) === i)
+};
+
+// Readable errors for the patterns above
+const PATTERN_MESSAGES = new Map([
+    [MONEY, 'must be a number'],
+    [QUANTITY, 'must be a whole number of at least 1'],
+    [DATA_URL, 'must be an image data URL (data:image/...)'],
+    [PERCENT, 'must be a percentage']
+]);
+
+// An amount, or { name, amount } / { name, percent }
+const DISCOUNT = {
+    anyOf: [
+        MONEY,
+        {
+            type: 'object',
+            properties: { name: TEXT, label: TEXT, amount: MONEY, percent: PERCENT }
+        }
+    ]
+};
+
+const MODIFIER = {
+    anyOf: [
+        { type: 'string' },
+        {
+            type: 'object',
+            properties: { name: TEXT, label: TEXT, price: MONEY }
+        }
+    ]
+};
+
+const ITEM = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        quantity: QUANTITY,
+        price: MONEY,
+        modifiers: { type: 'array', items: MODIFIER },
+        specialInstructions: TEXT,
+        special_instructions: TEXT,
+        notes: TEXT,
+        name_image: DATA_URL,
+        discount: DISCOUNT,
+        vat_rate: PERCENT,
+        id: IDENTIFIER,
+        line_id: IDENTIFIER,
+        course: IDENTIFIER,
+        station: TEXT,
+        seat: IDENTIFIER,
+        allergens: ALLERGENS,
+        fire_at: TEXT,
+        hold: { type: 'boolean' }
+    }
+};
+
+const QR_CODE = {
+    type: 'object',
+    properties: {
+        id: TEXT,
+        type: TEXT,
+        content: TEXT,
+        size: { anyOf: [{ enum: ['small', 'medium', 'large'] }, { type: 'integer', minimum: 1, maximum: 16 }] },
+        error_correction: { enum: ['L', 'M', 'Q', 'H', 'l', 'm', 'q', 'h'] },
+        position: { enum: ['left', 'center', 'right'] },
+        enabled: { type: 'boolean' }
+    }
+};
+
+const BARCODE_FORMATS = ['CODE128', 'CODE39', 'EAN13', 'EAN-13', 'EAN8', 'EAN-8', 'UPCA', 'UPC-A'];
+
+// A 1D barcode; without content it encodes the receipt number
+const BARCODE = {
+    type: 'object',
+    properties: {
+        content: IDENTIFIER,
+        label: TEXT,
+        format: { enum: [...BARCODE_FORMATS, ...BARCODE_FORMATS.map(format => format.toLowerCase())] },
+        height: { type: 'integer', minimum: 1, maximum: 255 },
+        width: { type: 'integer', minimum: 2, maximum: 6 },
+        hri: { enum: ['none', 'above', 'below', 'both'] },
+        hri_font: { enum: ['A', 'B', 'a', 'b'] },
+        align: { enum: ['left', 'center', 'right'] },
+        enabled: { type: 'boolean' }
+    }
+};
+
+// Totals fields accepted both on the order and inside template_data
+const TOTALS_PROPERTIES = {
+    subtotal: MONEY,
+    total: MONEY,
+    tax: MONEY,
+    service_charge: MONEY,
+    serviceCharge: MONEY,
+    delivery_fee: MONEY,
+    deliveryFee: MONEY,
+    service_charge_percent: PERCENT,
+    service_charge_vat_rate: PERCENT,
+    delivery_fee_vat_rate: PERCENT,
+    tip: MONEY,
+    gratuity: MONEY,
+    vat_rate: PERCENT,
+    prices_include_vat: { type: 'boolean' },
+    discount: DISCOUNT,
+    discounts: {
+        anyOf: [
+            MONEY,
+            { type: 'array', items: DISCOUNT }
+        ]
+    },
+    vat_breakdown: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: { rate: PERCENT, net: MONEY, vat: MONEY }
+        }
+    },
+    payments: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['amount'],
+            properties: { method: TEXT, tender: TEXT, type: TEXT, amount: MONEY }
+        }
+    }
+};
+
+const THERMAL_RECEIPT_DATA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'ThermalReceiptData',
+    description: 'Rich receipt layout data from ThermalReceiptDesigner',
+    type: 'object',
+    properties: {
+        business_name: TEXT,
+        address: TEXT,
+        phone: TEXT,
+        email: TEXT,
+        website: TEXT,
+        vat_number: TEXT,
+        logo_image: DATA_URL,
+        logo_position: { enum: ['left', 'center', 'right'] },
+        header_qr_codes: { type: 'array', items: QR_CODE },
+        footer_qr_codes: { type: 'array', items: QR_CODE },
+        barcodes: { type: 'array', items: BARCODE },
+        receipt_number: IDENTIFIER,
+        order_date: TEXT,
+        customer_name: TEXT,
+        order_type: TEXT,
+        table_number: IDENTIFIER,
+        footer_message: TEXT,
+        specialInstructions: TEXT,
+        special_instructions: TEXT,
+        notes: TEXT,
+        items: { type: 'array', items: ITEM },
+        ...TOTALS_PROPERTIES
+    }
+};
+
+// Fields shared by every order body sent to /print/* or a Supabase print job
+const ORDER_PROPERTIES = {
+    template: TEXT,
+    template_data: THERMAL_RECEIPT_DATA,
+    job_type: TEXT,
+    printer_id: TEXT,
+    callback_url: TEXT,
+    orderNumber: IDENTIFIER,
+    orderType: TEXT,
+    order_type: TEXT,
+    table_number: IDENTIFIER,
+    tableNumber: IDENTIFIER,
+    customer_name: TEXT,
+    specialInstructions: TEXT,
+    special_instructions: TEXT,
+    notes: TEXT,
+    items: { type: 'array', items: ITEM },
+    // Kitchen tickets
+    ticket_type: TICKET_TYPE,
+    order_id: IDENTIFIER,
+    ordered_at: TEXT,
+    created_at: TEXT,
+    fire_at: TEXT,
+    covers: QUANTITY,
+    allergens: ALLERGENS,
+    allergy_notes: TEXT,
+    ...TOTALS_PROPERTIES
+};
+
+const KITCHEN_ORDER = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Kitchen order',
+    description: 'Body of POST /print/kitchen and KITCHEN_TICKET print jobs',
+    type: 'object',
+    properties: ORDER_PROPERTIES
+};
+
+const RECEIPT_ORDER = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Receipt order',
+    description: 'Body of POST /print/receipt and CUSTOMER_RECEIPT / BILL print jobs',
+    type: 'object',
+    properties: ORDER_PROPERTIES
+};
+
+const TEMPLATE_ORDER = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Rich template order',
+    description: 'Body of POST /print/template: ThermalReceiptData plus the order items',
+    type: 'object',
+    required: ['template_data'],
+    properties: ORDER_PROPERTIES
+};
+
+// What to report on; the figures are worked out by lib/reports.js
+const REPORT_REQUEST = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Shift report request',
+    description: 'Body of POST /print/report and REPORT print jobs. Without from/to or date the report covers the current business day so far',
+    type: 'object',
+    properties: {
+        report_type: { enum: ['X', 'Z', 'x', 'z'] },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        from: TEXT,
+        to: TEXT,
+        // Orders in the receipt order shape, instead of reading them from Supabase
+        orders: { type: 'array', items: { type: 'object', properties: ORDER_PROPERTIES } },
+        job_type: TEXT,
+        printer_id: TEXT,
+        callback_url: TEXT
+    }
+};
+
+const SCHEMAS = {
+    thermal_receipt_data: THERMAL_RECEIPT_DATA,
+    kitchen_order: KITCHEN_ORDER,
+    receipt_order: RECEIPT_ORDER,
+    template_order: TEMPLATE_ORDER,
+    report_request: REPORT_REQUEST
+};
+
+// Schema name for a job: rich template requests need template_data, kitchen
+// tickets and everything else are checked as kitchen or receipt orders
+function schemaNameFor(jobType, printType) {
+    if (printType === 'template') return 'template_order';
+    if (jobType === 'REPORT') return 'report_request';
+    return jobType === 'KITCHEN_TICKET' ? 'kitchen_order' : 'receipt_order';
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// "a string", "an integer or a string"
+function describe(types) {
+    return [].concat(types).map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ');
+}
+
+// Check `value` against `schema`; returns [{ field, message }] (empty when valid).
+// Unknown properties are allowed - templates may use any field.
+function validate(schema, value, field = '') {
+    const errors = [];
+    const at = field || '(body)';
+    const push = (message) => errors.push({ field: at, message });
+
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some(option => validate(option, value, field).length === 0);
+        if (!matched) {
+            // Report the closest option: the one whose type fits, if any
+            const fitting = schema.anyOf.filter(option => !option.type || [].concat(option.type).some(type => matchesType(value, type)));
+            if (fitting.length === 1) return validate(fitting[0], value, field);
+            const types = schema.anyOf.map(option => option.type);
+            push(types.every(Boolean) ? `must be ${describe([].concat(...types))}` : 'does not match any allowed form');
+        }
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        push(`must be one of: ${schema.enum.join(', ')}`);
+        return errors;
+    }
+
+    if (schema.type && ![].concat(schema.type).some(type => matchesType(value, type))) {
+        push(`must be ${describe(schema.type)}`);
+        return errors;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            push(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            push(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            push(PATTERN_MESSAGES.get(schema) || `must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) push(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) push(`must be at most ${schema.maximum}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined && value[name] !== null) {
+                errors.push(...validate(propertySchema, value[name], field ? `${field}.${name}` : name));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((entry, i) => errors.push(...validate(schema.items, entry, `${field}[${i}]`)));
+    }
+
+    return errors;
+}
+
+// One-line summary of validation errors for logs and Supabase error_message
+function formatErrors(errors) {
+    return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+module.exports = {
+    SCHEMAS,
+    schemaNameFor,
+    validate,
+    formatErrors
+};
@@ -0,0 +1,213 @@
+// Printer status monitoring over bidirectional transports
+// Uses the ESC/POS real-time status requests (DLE EOT 1-4) or a one-shot
+// Automatic Status Back (GS a) to learn whether the printer is online, out of
+// paper, has its cover open or has hit a cutter/mechanical error.
+const { logger: log } = require('./logger');
+
+const DLE_EOT_REQUEST = Buffer.from([
+    0x10, 0x04, 0x01,   // printer status
+    0x10, 0x04, 0x02,   // offline cause
+    0x10, 0x04, 0x03,   // error cause
+    0x10, 0x04, 0x04    // paper roll sensor
+]);
+
+// Enable ASB for drawer, online, error and paper (the printer answers at once),
+// then switch it off again so it does not chatter on later connections
+const ASB_REQUEST = Buffer.from([0x1D, 0x61, 0x0F, 0x1D, 0x61, 0x00]);
+
+const bit = (byte, n) => (byte & (1 << n)) !== 0;
+
+// Four DLE EOT replies (n = 1, 2, 3, 4) -> status flags
+function parseDleEot(bytes) {
+    if (bytes.length < 4) {
+        throw new Error(`Expected 4 status bytes, got ${bytes.length}`);
+    }
+    const [printer, offline, error, paper] = bytes;
+    if ((printer & 0x93) !== 0x12) {
+        throw new Error('Unexpected DLE EOT response');
+    }
+
+    return {
+        drawer_open: bit(printer, 2),
+        online: !bit(printer, 3),
+        cover_open: bit(offline, 2),
+        feed_button: bit(offline, 3),
+        paper_end: bit(offline, 5) || (bit(paper, 5) && bit(paper, 6)),
+        paper_near_end: bit(paper, 2) && bit(paper, 3),
+        errors: {
+            mechanical: bit(error, 2),
+            autocutter: bit(error, 3),
+            unrecoverable: bit(error, 5),
+            auto_recoverable: bit(error, 6)
+        }
+    };
+}
+
+// Four-byte Automatic Status Back packet -> status flags
+function parseAsb(bytes) {
+    if (bytes.length < 4) {
+        throw new Error(`Expected 4 ASB bytes, got ${bytes.length}`);
+    }
+    const [first, second, third] = bytes;
+    if ((first & 0x93) !== 0x10) {
+        throw new Error('Unexpected ASB response');
+    }
+
+    return {
+        drawer_open: bit(first, 2),
+        online: !bit(first, 3),
+        cover_open: bit(first, 5),
+        feed_button: bit(first, 6),
+        paper_end: bit(third, 2) || bit(third, 3),
+        paper_near_end: bit(third, 0) || bit(third, 1),
+        errors: {
+            mechanical: bit(second, 2),
+            autocutter: bit(second, 3),
+            unrecoverable: bit(second, 5),
+            auto_recoverable: bit(second, 6)
+        }
+    };
+}
+
+// Every value summarize() can return
+const STATUSES = ['unknown', 'unreachable', 'paper_end', 'cover_open', 'error', 'offline', 'paper_near_end', 'ready'];
+
+// One-word summary used by /health, Supabase and the queue
+function summarize(state) {
+    if (!state.supported) return 'unknown';
+    if (!state.reachable) return 'unreachable';
+    if (state.paper_end) return 'paper_end';
+    if (state.cover_open) return 'cover_open';
+    if (Object.values(state.errors).some(Boolean)) return 'error';
+    if (!state.online) return 'offline';
+    if (state.paper_near_end) return 'paper_near_end';
+    return 'ready';
+}
+
+function createStatusMonitor({ registry, interval = 10000, onChange = () => {} }) {
+    const states = new Map();
+    let timer = null;
+    let stopped = true;
+
+    function unsupportedState(printer) {
+        return {
+            printer_id: printer.id,
+            supported: false,
+            reachable: null,
+            status: 'unknown',
+            message: `Status not available over ${printer.transport.type} transport`,
+            last_checked: null
+        };
+    }
+
+    async function check(printer) {
+        const transport = registry.transport(printer.id);
+        const previous = states.get(printer.id);
+
+        if (!transport || !transport.bidirectional) {
+            const state = unsupportedState(printer);
+            states.set(printer.id, state);
+            return state;
+        }
+
+        const useAsb = printer.capabilities.status === 'asb';
+        let state;
+        try {
+            const reply = useAsb
+                ? await transport.query(ASB_REQUEST, 4)
+                : await transport.query(DLE_EOT_REQUEST, 4);
+            state = {
+                printer_id: printer.id,
+                supported: true,
+                reachable: true,
+                ...(useAsb ? parseAsb(reply) : parseDleEot(reply)),
+                last_error: null
+            };
+        } catch (error) {
+            state = {
+                ...(previous && previous.supported ? previous : {}),
+                printer_id: printer.id,
+                supported: true,
+                reachable: false,
+                online: false,
+                errors: (previous && previous.errors) || {},
+                last_error: error.message
+            };
+        }
+
+        state.last_checked = new Date().toISOString();
+        state.status = summarize(state);
+        states.set(printer.id, state);
+
+        if (!previous || previous.status !== state.status) {
+            onChange(state, previous || null);
+        }
+        return state;
+    }
+
+    async function checkAll() {
+        for (const printer of registry.list()) {
+            if (printer.capabilities.status === false) {
+                continue;
+            }
+            await check(printer);
+        }
+    }
+
+    function start() {
+        stopped = false;
+        const loop = async () => {
+            try {
+                await checkAll();
+            } catch (error) {
+                log.error('❌ Printer status check failed', { error: error.message });
+            }
+            if (!stopped) {
+                timer = setTimeout(loop, interval);
+            }
+        };
+        loop();
+    }
+
+    function stop() {
+        stopped = true;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    function get(id) {
+        return states.get(id) || null;
+    }
+
+    // Whether the queue may send to this printer. Unknown and unreachable
+    // printers are left to the queue's own retry/backoff.
+    function isReady(id) {
+        const state = states.get(id);
+        if (!state || !state.supported || !state.reachable) {
+            return true;
+        }
+        return !['paper_end', 'cover_open', 'error'].includes(state.status);
+    }
+
+    return {
+        start,
+        stop,
+        check,
+        checkAll,
+        get,
+        isReady,
+        all: () => Array.from(states.values())
+    };
+}
+
+module.exports = {
+    DLE_EOT_REQUEST,
+    ASB_REQUEST,
+    STATUSES,
+    parseDleEot,
+    parseAsb,
+    summarize,
+    createStatusMonitor
+};
@@ -0,0 +1,402 @@
+// Receipt templates
+// A template is JSON: { name, description, match, line_spacing, blocks }. This
+// module handles variables, conditions and loops, and picks the template for a
+// job; the formatter supplies a renderer for each content block type.
+// Templates come from the built-in defaults, TEMPLATES_DIR files and the Supabase
+// print_templates table, later sources replacing earlier ones of the same name.
+const fs = require('fs');
+const path = require('path');
+const { logger: log } = require('./logger');
+
+// The layouts that used to be hard-coded in server.js, and the shift report
+const BUILTIN_TEMPLATES = [
+    require('../templates/customer_receipt.json'),
+    require('../templates/kitchen_ticket.json'),
+    require('../templates/rich_receipt.json'),
+    require('../templates/shift_report.json')
+];
+
+const CONTENT_BLOCKS = ['text', 'row', 'rule', 'items', 'totals', 'qr', 'barcode', 'image', 'feed', 'cut'];
+const CONTROL_BLOCKS = ['group', 'each'];
+const BLOCK_TYPES = [...CONTENT_BLOCKS, ...CONTROL_BLOCKS];
+
+// Keys holding template structure rather than values to interpolate
+const STRUCTURAL_KEYS = ['type', 'if', 'unless', 'of', 'as', 'blocks'];
+
+// ===== EXPRESSIONS =====
+// {{ path.to.value || other.value | filter | filter:"argument" }}
+
+// Empty strings, zero, null and empty arrays are false, as in Mustache sections
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+function stringify(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+const FILTERS = {
+    upper: (value) => stringify(value).toUpperCase(),
+    lower: (value) => stringify(value).toLowerCase(),
+    trim: (value) => stringify(value).trim(),
+    default: (value, fallback) => (isTruthy(value) ? value : fallback),
+    truncate: (value, length) => stringify(value).substring(0, Number(length)),
+    join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+    count: (value) => (Array.isArray(value) ? value.length : 0)
+};
+
+// Split on a separator that is not inside quotes. A single '|' never matches part of '||'.
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (text.startsWith(separator, i) &&
+            !(separator === '|' && (text[i + 1] === '|' || text[i - 1] === '|'))) {
+            parts.push(current.trim());
+            current = '';
+            i += separator.length - 1;
+            continue;
+        }
+        current += ch;
+    }
+
+    parts.push(current.trim());
+    return parts;
+}
+
+function lookup(scope, pathText) {
+    return pathText.split('.').reduce(
+        (value, key) => (value === undefined || value === null ? undefined : value[key]),
+        scope
+    );
+}
+
+// A quoted string, number, true/false/null or a dotted path into the scope
+function operand(token, scope) {
+    if (/^(["']).*\1$/.test(token)) return token.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return lookup(scope, token);
+}
+
+function evaluate(expression, scope, filters = FILTERS) {
+    const [head, ...pipes] = splitOutsideQuotes(String(expression), '|');
+
+    // a || b || "fallback": the first truthy alternative
+    let value;
+    for (const alternative of splitOutsideQuotes(head, '||')) {
+        value = operand(alternative, scope);
+        if (isTruthy(value)) break;
+    }
+
+    for (const pipe of pipes) {
+        const colon = pipe.indexOf(':');
+        const name = (colon === -1 ? pipe : pipe.substring(0, colon)).trim();
+        const filter = filters[name];
+        if (!filter) {
+            throw new Error(`Unknown template filter: ${name}`);
+        }
+        value = colon === -1 ? filter(value) : filter(value, operand(pipe.substring(colon + 1).trim(), scope));
+    }
+
+    return value;
+}
+
+// Replace {{ }} expressions in a string. A string that is a single expression
+// keeps the value's type, so lists, numbers and data URLs pass through intact.
+function interpolate(value, scope, filters = FILTERS) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (whole) {
+        return evaluate(whole[1], scope, filters);
+    }
+    return value.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, expression) => stringify(evaluate(expression, scope, filters)));
+}
+
+const COMPARISON = /^(.+?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/;
+
+// Conditions: "path", "!path", "a || b", 'order_type == "delivery"', "qr.content.length < 50",
+// or an array of conditions that must all hold
+function test(condition, scope, filters = FILTERS) {
+    if (Array.isArray(condition)) {
+        return condition.every(part => test(part, scope, filters));
+    }
+
+    const text = String(condition).trim();
+    if (text.startsWith('!') && !text.startsWith('!=')) {
+        return !test(text.substring(1), scope, filters);
+    }
+
+    const comparison = text.match(COMPARISON);
+    if (!comparison) {
+        return isTruthy(evaluate(text, scope, filters));
+    }
+
+    let left = evaluate(comparison[1], scope, filters);
+    let right = evaluate(comparison[3], scope, filters);
+    const numeric = [left, right].every(value => value !== '' && value !== null && !isNaN(Number(value)));
+    if (numeric) {
+        left = Number(left);
+        right = Number(right);
+    } else {
+        left = stringify(left);
+        right = stringify(right);
+    }
+
+    switch (comparison[2]) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        default: return left >= right;
+    }
+}
+
+// ===== RENDERING =====
+
+// Interpolate every value of a block (including nested columns) except its structure
+function resolveBlock(block, scope, filters) {
+    const resolve = (value) => {
+        if (Array.isArray(value)) return value.map(resolve);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, resolve(inner)]));
+        }
+        return interpolate(value, scope, filters);
+    };
+
+    const resolved = {};
+    for (const [key, value] of Object.entries(block)) {
+        resolved[key] = STRUCTURAL_KEYS.includes(key) ? value : resolve(value);
+    }
+    return resolved;
+}
+
+// Walk the blocks, expanding groups and loops; `renderers` turn content blocks into output
+function renderBlocks(blocks, scope, { renderers, filters = FILTERS }) {
+    let out = '';
+
+    for (const block of blocks) {
+        if (block.if !== undefined && !test(block.if, scope, filters)) continue;
+        if (block.unless !== undefined && test(block.unless, scope, filters)) continue;
+
+        if (block.type === 'group') {
+            out += renderBlocks(block.blocks, scope, { renderers, filters });
+        } else if (block.type === 'each' || (block.type === 'items' && Array.isArray(block.blocks))) {
+            // `items` with its own blocks is a loop over the items
+            const list = evaluate(block.of || 'items', scope, filters);
+            const name = block.as || 'item';
+            if (!Array.isArray(list)) continue;
+            list.forEach((element, index) => {
+                const loop = { index: index + 1, first: index === 0, last: index === list.length - 1 };
+                out += renderBlocks(block.blocks, { ...scope, [name]: element, loop }, { renderers, filters });
+            });
+        } else {
+            out += renderers[block.type](resolveBlock(block, scope, filters), scope);
+        }
+    }
+
+    return out;
+}
+
+function renderTemplate(template, scope, { renderers, filters = {} }) {
+    return renderBlocks(template.blocks, scope, { renderers, filters: { ...FILTERS, ...filters } });
+}
+
+// ===== LOADING AND SELECTION =====
+
+function checkBlocks(blocks, where) {
+    if (!Array.isArray(blocks)) {
+        throw new Error(`${where} must be an array of blocks`);
+    }
+    blocks.forEach((block, i) => {
+        const at = `${where}[${i}]`;
+        if (!block || !BLOCK_TYPES.includes(block.type)) {
+            throw new Error(`${at}: unknown block type "${block && block.type}" (expected ${BLOCK_TYPES.join(', ')})`);
+        }
+        if (block.type === 'each' && !block.of) {
+            throw new Error(`${at}: "each" needs an "of" list`);
+        }
+        if (['group', 'each'].includes(block.type) || block.blocks !== undefined) {
+            checkBlocks(block.blocks, `${at}.blocks`);
+        }
+    });
+}
+
+// Check a template definition and return it normalised; throws on problems
+function validateTemplate(template, where = 'template') {
+    if (!template || typeof template !== 'object') {
+        throw new Error(`${where} must be a JSON object`);
+    }
+    if (!template.name || typeof template.name !== 'string') {
+        throw new Error(`${where} is missing a name`);
+    }
+
+    const match = { ...(template.match || {}) };
+    for (const key of ['job_types', 'order_types']) {
+        if (match[key] === undefined) continue;
+        const list = Array.isArray(match[key]) ? match[key] : [match[key]];
+        match[key] = list.map(value => String(key === 'job_types' ? value : value.toLowerCase()));
+    }
+    if (match.template_data !== undefined && typeof match.template_data !== 'boolean') {
+        throw new Error(`${template.name}: match.template_data must be true or false`);
+    }
+
+    checkBlocks(template.blocks, `${template.name}.blocks`);
+
+    return {
+        name: template.name,
+        description: template.description || '',
+        match,
+        line_spacing: template.line_spacing,
+        blocks: template.blocks
+    };
+}
+
+// How specifically a template's match rules fit a job (null when they don't).
+// template_data outweighs order_type, which outweighs job_type.
+function matchScore(match, { jobType, orderType, hasTemplateData }) {
+    let score = 0;
+    if (match.template_data !== undefined) {
+        if (match.template_data !== hasTemplateData) return null;
+        score += 4;
+    }
+    if (match.order_types) {
+        if (!orderType || !match.order_types.includes(orderType)) return null;
+        score += 2;
+    }
+    if (match.job_types) {
+        if (!match.job_types.includes(jobType)) return null;
+        score += 1;
+    }
+    return score;
+}
+
+// Tie-break between equally specific templates: Supabase, then files, then built-ins
+function sourceRank(source) {
+    if (source === 'supabase') return 2;
+    return source.startsWith('file:') ? 1 : 0;
+}
+
+function createTemplateStore({ directory, env = process.env } = {}) {
+    const dir = directory || env.TEMPLATES_DIR || path.join(process.cwd(), 'templates');
+    const builtin = new Map(BUILTIN_TEMPLATES.map(template => [template.name, { ...validateTemplate(template), source: 'builtin' }]));
+    let files = new Map();
+    let remote = new Map();
+
+    // Re-read TEMPLATES_DIR; broken files are skipped with a warning
+    function loadFiles() {
+        const loaded = new Map();
+        if (fs.existsSync(dir)) {
+            for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+                try {
+                    const template = validateTemplate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+                    loaded.set(template.name, { ...template, source: `file:${file}` });
+                } catch (error) {
+                    log.warn('⚠️  Skipping template', { file, error: error.message });
+                }
+            }
+        }
+        files = loaded;
+        return files.size;
+    }
+
+    // Replace the Supabase templates with the active rows of the print_templates table
+    async function loadSupabase(supabase, table = 'print_templates') {
+        const { data, error } = await supabase
+            .from(table)
+            .select('name, description, match, definition')
+            .eq('active', true);
+
+        if (error) {
+            throw error;
+        }
+
+        const loaded = new Map();
+        for (const row of data || []) {
+            try {
+                const definition = row.definition || {};
+                const template = validateTemplate({
+                    ...definition,
+                    name: row.name,
+                    description: row.description || definition.description,
+                    match: row.match || definition.match
+                }, `${table}.${row.name}`);
+                loaded.set(template.name, { ...template, source: 'supabase' });
+            } catch (error) {
+                log.warn('⚠️  Skipping Supabase template', { template: row.name, error: error.message });
+            }
+        }
+        remote = loaded;
+        return remote.size;
+    }
+
+    function all() {
+        return Array.from(new Map([...builtin, ...files, ...remote]).values());
+    }
+
+    function get(name) {
+        return remote.get(name) || files.get(name) || builtin.get(name) || null;
+    }
+
+    // Template for a job: the one named in the job, else the most specific match,
+    // else `fallback`. On a tie the later source (file, then Supabase) wins.
+    function select({ name, jobType, orderType, hasTemplateData = false, fallback } = {}) {
+        if (name) {
+            const named = get(name);
+            if (named) return named;
+            log.warn('⚠️  Unknown template, choosing by job type instead', { template: name });
+        }
+
+        let best = null;
+        let bestRank = -1;
+        const job = { jobType, orderType: orderType ? String(orderType).toLowerCase() : null, hasTemplateData };
+        for (const template of all()) {
+            const score = matchScore(template.match, job);
+            const rank = score === null ? -1 : score * 10 + sourceRank(template.source);
+            if (rank > bestRank) {
+                best = template;
+                bestRank = rank;
+            }
+        }
+
+        return best || get(fallback);
+    }
+
+    function list() {
+        return all().map(({ name, description, match, source }) => ({ name, description, match, source }));
+    }
+
+    return {
+        directory: dir,
+        loadFiles,
+        loadSupabase,
+        get,
+        select,
+        list
+    };
+}
+
+module.exports = {
+    BLOCK_TYPES,
+    FILTERS,
+    isTruthy,
+    evaluate,
+    interpolate,
+    test,
+    renderTemplate,
+    validateTemplate,
+    createTemplateStore
+};
@@ -0,0 +1,257 @@
+// Order totals in integer pence
+// Every amount is converted to whole pence on the way in, so sums never pick up
+// floating point error. Prices are VAT-inclusive by default (UK retail pricing);
+// VAT is worked out per rate from what was actually charged after discounts.
+
+// "12.95", 12.95 or "12.955" -> 1295 / 1295 / 1296 (half-up); anything unreadable is 0
+function toPence(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const match = /^\s*(-)?(\d*)(?:\.(\d*))?\s*$/.exec(String(value));
+    if (!match || (!match[2] && !match[3])) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.round(number * 100) : 0;
+    }
+    const fraction = (match[3] || '').padEnd(3, '0');
+    let pence = parseInt(match[2] || '0') * 100 + parseInt(fraction.substring(0, 2));
+    if (parseInt(fraction[2]) >= 5) pence += 1;
+    return match[1] ? -pence : pence;
+}
+
+// 1250 -> £12.50, -100 -> -£1.00
+function formatPence(pence) {
+    const sign = pence < 0 ? '-' : '';
+    const value = Math.abs(pence);
+    return `${sign}£${Math.floor(value / 100)}.${String(value % 100).padStart(2, '0')}`;
+}
+
+// Round half away from zero (money never rounds to even)
+function roundPence(value) {
+    return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+function percentOf(pence, percent) {
+    return roundPence(pence * parseFloat(percent) / 100);
+}
+
+// VAT rate as a number, or null when none was given
+function rateOf(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const rate = parseFloat(value);
+    return Number.isFinite(rate) ? rate : null;
+}
+
+// Split `amount` pence across `weights` so the parts add up exactly (largest remainder)
+function allocate(amount, weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!total) return weights.map(() => 0);
+
+    const shares = weights.map(weight => amount * weight / total);
+    const parts = shares.map(Math.floor);
+    let remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+    const order = shares.map((share, i) => ({ i, fraction: share - Math.floor(share) }))
+        .sort((a, b) => b.fraction - a.fraction);
+    for (const { i } of order) {
+        if (remainder <= 0) break;
+        parts[i]++;
+        remainder--;
+    }
+    return parts;
+}
+
+// Modifiers arrive either as plain strings or as { name, price } objects
+function normalizeModifier(mod) {
+    if (mod && typeof mod === 'object') {
+        return { name: mod.name || mod.label || 'Modifier', price: toPence(mod.price) };
+    }
+    return { name: String(mod), price: 0 };
+}
+
+// A discount given as an amount, a percentage or { name, amount | percent }, applied to `base` pence
+function discountOf(discount, base, defaultName) {
+    if (discount === undefined || discount === null || discount === '' || discount === false) return null;
+
+    const spec = typeof discount === 'object' ? discount : { amount: discount };
+    const amount = spec.percent !== undefined
+        ? percentOf(base, spec.percent)
+        : Math.abs(toPence(spec.amount));
+    const label = spec.name || spec.label || defaultName;
+    const name = spec.percent !== undefined ? `${label} (${spec.percent}%)` : label;
+    return amount ? { name, amount: Math.min(amount, Math.max(base, 0)) } : null;
+}
+
+// One item line: quantity x (unit price + modifier surcharges), less any line discount
+function itemLine(item, defaultVatRate = null) {
+    const quantity = parseInt(item.quantity || 1) || 1;
+    const unit = toPence(item.price);
+    const modifiers = Array.isArray(item.modifiers) ? item.modifiers.map(normalizeModifier) : [];
+    const gross = (unit + modifiers.reduce((sum, mod) => sum + mod.price, 0)) * quantity;
+    const discount = discountOf(item.discount, gross, 'Discount');
+    const vatRate = rateOf(item.vat_rate);
+
+    return {
+        name: item.name || 'Item',
+        quantity,
+        unit,
+        modifiers,
+        gross,
+        discount,
+        net: gross - (discount ? discount.amount : 0),
+        vat_rate: vatRate !== null ? vatRate : defaultVatRate
+    };
+}
+
+// Order-level discounts: one amount, { name, amount | percent }, or an array of those
+function orderDiscounts(order, subtotal) {
+    const given = order.discounts !== undefined ? order.discounts : order.discount;
+    const list = Array.isArray(given) ? given : (given === undefined ? [] : [given]);
+
+    const discounts = [];
+    let remaining = subtotal;
+    for (const entry of list) {
+        const discount = discountOf(entry, remaining, 'Discount');
+        if (discount) {
+            discounts.push(discount);
+            remaining -= discount.amount;
+        }
+    }
+    return discounts;
+}
+
+// Payment lines: [{ method | tender | type, amount }]
+function orderPayments(order) {
+    const payments = Array.isArray(order.payments) ? order.payments : [];
+    return payments.map(payment => ({
+        method: payment.method || payment.tender || payment.type || 'Payment',
+        amount: toPence(payment.amount)
+    })).filter(payment => payment.amount);
+}
+
+// Everything a receipt prints below the items, in pence. `order` is the job data
+// (with template_data merged in) and `items` its item list.
+function computeTotals(order, items = []) {
+    const pricesIncludeVat = order.prices_include_vat !== false;
+    const defaultVatRate = rateOf(order.vat_rate);
+    const lines = items.map(item => itemLine(item, defaultVatRate));
+
+    const itemsSubtotal = lines.reduce((sum, line) => sum + line.gross, 0);
+    const lineDiscountTotal = lines.reduce((sum, line) => sum + (line.discount ? line.discount.amount : 0), 0);
+
+    // Orders sent without items (template_data only) can still carry a POS subtotal
+    const subtotal = lines.length > 0 || order.subtotal === undefined
+        ? itemsSubtotal - lineDiscountTotal
+        : toPence(order.subtotal);
+
+    const discounts = orderDiscounts(order, subtotal);
+    const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+    const discounted = subtotal - discountTotal;
+
+    const serviceCharge = order.service_charge_percent !== undefined
+        ? percentOf(discounted, order.service_charge_percent)
+        : toPence(order.service_charge !== undefined ? order.service_charge : order.serviceCharge);
+    const deliveryFee = toPence(order.delivery_fee !== undefined ? order.delivery_fee : order.deliveryFee);
+    const tip = toPence(order.tip !== undefined ? order.tip : order.gratuity);
+
+    // Tax added on top of the prices by simple POS integrations (sent as `tax`)
+    const tax = toPence(order.tax);
+
+    // VAT by rate on what was charged: order discounts are shared across the lines
+    // in proportion to their value. A discretionary service charge and tips are
+    // outside the scope of VAT unless a rate is given for them.
+    let vat = [];
+    if (Array.isArray(order.vat_breakdown)) {
+        vat = order.vat_breakdown.map(entry => ({
+            rate: parseFloat(entry.rate || 0),
+            net: toPence(entry.net),
+            vat: toPence(entry.vat)
+        }));
+    } else if (!tax) {
+        const shares = allocate(discountTotal, lines.map(line => line.net));
+        const taxable = lines.map((line, i) => ({ rate: line.vat_rate, amount: line.net - shares[i] }));
+        if (deliveryFee) {
+            const deliveryRate = rateOf(order.delivery_fee_vat_rate);
+            taxable.push({ rate: deliveryRate !== null ? deliveryRate : defaultVatRate, amount: deliveryFee });
+        }
+        if (serviceCharge) {
+            taxable.push({ rate: rateOf(order.service_charge_vat_rate), amount: serviceCharge });
+        }
+
+        const byRate = new Map();
+        for (const entry of taxable.filter(entry => entry.rate !== null)) {
+            byRate.set(entry.rate, (byRate.get(entry.rate) || 0) + entry.amount);
+        }
+
+        vat = Array.from(byRate.entries())
+            .sort((a, b) => b[0] - a[0])
+            .map(([rate, amount]) => {
+                const vatAmount = pricesIncludeVat
+                    ? roundPence(amount * rate / (100 + rate))
+                    : roundPence(amount * rate / 100);
+                return { rate, net: pricesIncludeVat ? amount - vatAmount : amount, vat: vatAmount };
+            });
+    }
+    const vatTotal = vat.reduce((sum, entry) => sum + entry.vat, 0);
+
+    // VAT-exclusive prices have the VAT added to the bill
+    const addedVat = !pricesIncludeVat && !Array.isArray(order.vat_breakdown) ? vatTotal : 0;
+    const computedTotal = discounted + serviceCharge + deliveryFee + tax + addedVat + tip;
+
+    // The POS total is what the customer was charged, so that is what prints;
+    // `mismatch` flags when our own sum disagrees with it
+    const posTotal = order.total !== undefined && order.total !== null && order.total !== '' ? toPence(order.total) : null;
+    const total = posTotal !== null ? posTotal : computedTotal;
+
+    const payments = orderPayments(order);
+    const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    return {
+        lines,
+        items_subtotal: itemsSubtotal,
+        line_discount_total: lineDiscountTotal,
+        subtotal,
+        discounts,
+        discount_total: discountTotal,
+        service_charge: serviceCharge,
+        service_charge_percent: order.service_charge_percent !== undefined ? parseFloat(order.service_charge_percent) : null,
+        delivery_fee: deliveryFee,
+        tax,
+        tip,
+        prices_include_vat: pricesIncludeVat,
+        vat,
+        vat_total: vatTotal,
+        added_vat: addedVat,
+        total,
+        computed_total: computedTotal,
+        pos_total: posTotal,
+        mismatch: posTotal !== null && posTotal !== computedTotal,
+        payments,
+        paid,
+        change: payments.length > 0 ? Math.max(paid - total, 0) : 0,
+        balance_due: payments.length > 0 ? Math.max(total - paid, 0) : 0
+    };
+}
+
+// The same totals in pounds, for template expressions ({{totals.total | money}})
+function totalsInPounds(totals) {
+    const pounds = (pence) => pence / 100;
+    const convert = (value, key) => {
+        if (['rate', 'quantity', 'vat_rate', 'service_charge_percent'].includes(key)) return value;
+        if (typeof value === 'number') return pounds(value);
+        if (Array.isArray(value)) return value.map(entry => convert(entry));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, entry]) => [name, convert(entry, name)]));
+        }
+        return value;
+    };
+    return convert(totals);
+}
+
+module.exports = {
+    toPence,
+    formatPence,
+    percentOf,
+    allocate,
+    normalizeModifier,
+    itemLine,
+    computeTotals,
+    totalsInPounds
+};
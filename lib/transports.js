@@ -0,0 +1,356 @@
+// Printer transports - how raw ESC/POS bytes get from this helper to the printer
+// Every transport exposes the same shape: { type, target, send(buffer) -> Promise }
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const { execFile } = require('child_process');
+const { logger: log } = require('./logger');
+
+// Spooler jobs go through receipt_<time>_<pid>_<uuid>.bin files in the temp directory.
+// Test pages, drawer kicks and buzzer beeps skip the queue, so two sends can start
+// in the same millisecond - the random part keeps them from sharing a file.
+const TEMP_FILE_PREFIX = 'receipt_';
+const TEMP_FILE_PATTERN = /^receipt_\d+_(\d+)(?:_[0-9a-f-]+)?\.bin$/;
+
+function processRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Delete spooler temp files left by this process or by helpers that are no
+// longer running (e.g. stopped mid-print). Returns how many were removed.
+function removeStaleTempFiles(directory = os.tmpdir()) {
+    let removed = 0;
+    let names;
+    try {
+        names = fs.readdirSync(directory);
+    } catch (error) {
+        return 0;
+    }
+    for (const name of names) {
+        const match = name.match(TEMP_FILE_PATTERN);
+        if (!match) continue;
+        const pid = parseInt(match[1]);
+        if (pid !== process.pid && processRunning(pid)) continue;
+        try {
+            fs.unlinkSync(path.join(directory, name));
+            removed++;
+        } catch (error) {
+            log.warn('Could not delete temp file', { file: name, error: error.message });
+        }
+    }
+    return removed;
+}
+
+// Run tasks one at a time - a printer only accepts one connection at once
+function createSerialLock() {
+    let tail = Promise.resolve();
+    return (task) => {
+        const run = tail.then(task, task);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+// Raw TCP (JetDirect / port 9100) - most Ethernet thermal printers listen here.
+// TCP is bidirectional, so it also supports status queries (DLE EOT).
+function createTcpTransport(config) {
+    const host = config.host;
+    const port = parseInt(config.port || 9100);
+    const timeout = parseInt(config.timeout || 10000);
+    const withLock = createSerialLock();
+
+    if (!host) {
+        throw new Error('TCP transport requires a host');
+    }
+
+    // Open a connection, write `buffer` and collect whatever the printer sends back.
+    // With `responseLength` we stop as soon as that many bytes have arrived.
+    function exchange(buffer, { responseLength = 0, responseTimeout = timeout } = {}) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            const chunks = [];
+            let received = 0;
+            let settled = false;
+
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                error ? reject(error) : resolve(Buffer.concat(chunks));
+            };
+
+            socket.setTimeout(responseLength ? responseTimeout : timeout, () => {
+                finish(new Error(`Printer ${host}:${port} timed out`));
+            });
+            socket.on('error', finish);
+            socket.on('data', (chunk) => {
+                chunks.push(chunk);
+                received += chunk.length;
+                if (responseLength && received >= responseLength) {
+                    finish();
+                }
+            });
+            socket.on('connect', () => {
+                if (responseLength) {
+                    socket.write(buffer);
+                } else {
+                    socket.end(buffer, () => finish());
+                }
+            });
+        });
+    }
+
+    return {
+        type: 'tcp',
+        target: `${host}:${port}`,
+        bidirectional: true,
+        send(buffer) {
+            return withLock(() => exchange(buffer)).then(() => undefined);
+        },
+        // Send a request and wait for `responseLength` bytes back
+        query(request, responseLength, responseTimeout = 2000) {
+            return withLock(() => exchange(request, { responseLength, responseTimeout }));
+        }
+    };
+}
+
+// PowerShell + winspool.drv: submit the bytes to the Windows spooler with the RAW
+// datatype so the driver passes them through untouched (unlike Out-Printer)
+const RAW_SPOOLER_SCRIPT = `
+Add-Type -TypeDefinition @"
+using System;
+using System.ComponentModel;
+using System.Runtime.InteropServices;
+public class RawPrinter {
+    [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+    public class DOCINFO {
+        [MarshalAs(UnmanagedType.LPWStr)] public string pDocName;
+        [MarshalAs(UnmanagedType.LPWStr)] public string pOutputFile;
+        [MarshalAs(UnmanagedType.LPWStr)] public string pDataType;
+    }
+    [DllImport("winspool.drv", EntryPoint = "OpenPrinterW", SetLastError = true, CharSet = CharSet.Unicode)]
+    public static extern bool OpenPrinter(string name, out IntPtr handle, IntPtr defaults);
+    [DllImport("winspool.drv", SetLastError = true)]
+    public static extern bool ClosePrinter(IntPtr handle);
+    [DllImport("winspool.drv", EntryPoint = "StartDocPrinterW", SetLastError = true, CharSet = CharSet.Unicode)]
+    public static extern bool StartDocPrinter(IntPtr handle, int level, [In] DOCINFO info);
+    [DllImport("winspool.drv", SetLastError = true)]
+    public static extern bool EndDocPrinter(IntPtr handle);
+    [DllImport("winspool.drv", SetLastError = true)]
+    public static extern bool StartPagePrinter(IntPtr handle);
+    [DllImport("winspool.drv", SetLastError = true)]
+    public static extern bool EndPagePrinter(IntPtr handle);
+    [DllImport("winspool.drv", SetLastError = true)]
+    public static extern bool WritePrinter(IntPtr handle, byte[] bytes, int count, out int written);
+
+    public static void Send(string printer, string file) {
+        byte[] bytes = System.IO.File.ReadAllBytes(file);
+        IntPtr handle;
+        if (!OpenPrinter(printer, out handle, IntPtr.Zero)) throw new Win32Exception(Marshal.GetLastWin32Error());
+        try {
+            DOCINFO info = new DOCINFO();
+            info.pDocName = "Cottage Tandoori Print Job";
+            info.pDataType = "RAW";
+            if (!StartDocPrinter(handle, 1, info)) throw new Win32Exception(Marshal.GetLastWin32Error());
+            try {
+                StartPagePrinter(handle);
+                int written;
+                if (!WritePrinter(handle, bytes, bytes.Length, out written)) throw new Win32Exception(Marshal.GetLastWin32Error());
+                EndPagePrinter(handle);
+            } finally {
+                EndDocPrinter(handle);
+            }
+        } finally {
+            ClosePrinter(handle);
+        }
+    }
+}
+"@
+try { [RawPrinter]::Send($env:CT_PRINTER_NAME, $env:CT_PRINT_FILE); Write-Output 'SUCCESS' } catch { Write-Output ('ERROR: ' + $_.Exception.Message) }
+`;
+
+// Windows spooler with the RAW datatype
+function createWindowsSpoolerTransport(config) {
+    const printerName = config.printerName || config.name;
+    const timeout = parseInt(config.timeout || 30000);
+
+    if (!printerName) {
+        throw new Error('Spooler transport requires a printer name');
+    }
+
+    // -EncodedCommand avoids any quoting issues with the inline C# block
+    const encodedScript = Buffer.from(RAW_SPOOLER_SCRIPT, 'utf16le').toString('base64');
+
+    return {
+        type: 'spooler',
+        target: printerName,
+        send(buffer) {
+            return new Promise((resolve, reject) => {
+                const tempFile = path.join(os.tmpdir(), `${TEMP_FILE_PREFIX}${Date.now()}_${process.pid}_${crypto.randomUUID()}.bin`);
+
+                try {
+                    fs.writeFileSync(tempFile, buffer);
+                } catch (writeError) {
+                    reject(writeError);
+                    return;
+                }
+
+                const env = { ...process.env, CT_PRINTER_NAME: printerName, CT_PRINT_FILE: tempFile };
+                const args = ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-EncodedCommand', encodedScript];
+
+                // A hung PowerShell would otherwise keep the printer busy in the queue for good
+                execFile('powershell', args, { env, windowsHide: true, timeout }, (error, stdout) => {
+                    // Clean up temp file
+                    try {
+                        fs.unlinkSync(tempFile);
+                    } catch (e) {
+                        log.warn('Could not delete temp file', { file: tempFile, error: e.message });
+                    }
+
+                    if (error && error.killed) {
+                        const timeoutError = new Error(`Windows spooler timed out after ${timeout} ms for ${printerName}`);
+                        timeoutError.retryable = true;
+                        reject(timeoutError);
+                    } else if (error) {
+                        reject(error);
+                    } else if (stdout.includes('ERROR:')) {
+                        reject(new Error(stdout.replace('ERROR: ', '').trim()));
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        }
+    };
+}
+
+// CUPS (Linux and macOS): `lp -o raw` hands the bytes to the queue untouched,
+// the same as the RAW datatype on Windows. `server` prints to another CUPS host.
+// The program is always lp; only code (tests) can swap it, never printers.json.
+function createCupsTransport(config, { command = 'lp' } = {}) {
+    const queue = config.queue || config.printerName || config.name;
+    const server = config.server || null;
+    const timeout = parseInt(config.timeout || 30000);
+
+    if (!queue) {
+        throw new Error('CUPS transport requires a queue name');
+    }
+
+    const args = [...(server ? ['-h', server] : []), '-d', queue, '-o', 'raw', '-t', 'Cottage Tandoori Print Job'];
+
+    return {
+        type: 'cups',
+        target: server ? `${queue}@${server}` : queue,
+        send(buffer) {
+            return new Promise((resolve, reject) => {
+                // LC_ALL=C keeps lp's replies in English so they can be read back
+                const child = execFile(command, args, { env: { ...process.env, LC_ALL: 'C' }, timeout }, (error, stdout, stderr) => {
+                    if (error) {
+                        reject(error.code === 'ENOENT'
+                            ? new Error('lp not found - install CUPS (e.g. cups-client) to print to system queues')
+                            : new Error(`lp failed for ${queue}: ${String(stderr || error.message).trim()}`));
+                        return;
+                    }
+                    const match = stdout.match(/request id is (\S+)/);
+                    log.debug('CUPS job submitted', { queue, request_id: match ? match[1] : null });
+                    resolve();
+                });
+                // A failed write shows up as lp's exit status above
+                child.stdin.on('error', () => {});
+                child.stdin.end(buffer);
+            });
+        }
+    };
+}
+
+// Which print system `spooler` printers use on this machine
+function spoolerBackend(platform = os.platform()) {
+    return platform === 'win32' ? 'windows' : 'cups';
+}
+
+// The machine's own print queue: the Windows spooler on Windows, CUPS elsewhere,
+// so the same printers.json entry works on every OS
+function createSpoolerTransport(config) {
+    return spoolerBackend() === 'windows' ? createWindowsSpoolerTransport(config) : createCupsTransport(config);
+}
+
+// Serial / USB / parallel device file, e.g. COM3, \\.\USB001 or /dev/usb/lp0
+function createDeviceTransport(config) {
+    const devicePath = config.device || config.path;
+
+    if (!devicePath) {
+        throw new Error('Device transport requires a device path');
+    }
+
+    return {
+        type: 'device',
+        target: devicePath,
+        send(buffer) {
+            return fs.promises.writeFile(devicePath, buffer);
+        }
+    };
+}
+
+// File sink for testing - appends every job's bytes to one file
+function createFileTransport(config) {
+    const filePath = config.file || config.path || path.join(os.tmpdir(), 'cottage-tandoori-print.bin');
+
+    return {
+        type: 'file',
+        target: filePath,
+        send(buffer) {
+            return fs.promises.appendFile(filePath, buffer);
+        }
+    };
+}
+
+const TRANSPORT_FACTORIES = {
+    tcp: createTcpTransport,
+    spooler: createSpoolerTransport,
+    windows: createWindowsSpoolerTransport,
+    cups: createCupsTransport,
+    device: createDeviceTransport,
+    file: createFileTransport
+};
+
+// Allow additional transports to be plugged in by type name
+function registerTransport(type, factory) {
+    TRANSPORT_FACTORIES[type] = factory;
+}
+
+function createTransport(config = {}) {
+    const type = config.type || 'spooler';
+    const factory = TRANSPORT_FACTORIES[type];
+
+    if (!factory) {
+        throw new Error(`Unknown printer transport: ${type}`);
+    }
+
+    return factory(config);
+}
+
+// Transport types that can be used in printers.json
+function transportTypes() {
+    return Object.keys(TRANSPORT_FACTORIES);
+}
+
+module.exports = {
+    createTransport,
+    registerTransport,
+    transportTypes,
+    spoolerBackend,
+    createTcpTransport,
+    createSpoolerTransport,
+    createWindowsSpoolerTransport,
+    createCupsTransport,
+    createDeviceTransport,
+    createFileTransport,
+    removeStaleTempFiles
+};
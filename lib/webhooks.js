@@ -0,0 +1,195 @@
+// Outgoing webhooks
+// POSTs job lifecycle and printer status events to every WEBHOOK_URLS receiver,
+// and print confirmations to the callback_url a print request came with. With
+// WEBHOOK_SECRET set each delivery is signed the same way as signed requests to
+// the helper (see lib/access.js). Receivers that are down are retried with
+// backoff; deliveries live in memory, so a restart drops pending retries.
+const crypto = require('crypto');
+const { signRequest } = require('./access');
+const { logger: log } = require('./logger');
+
+const WEBHOOK_EVENTS = ['job.queued', 'job.printing', 'job.completed', 'job.failed', 'printer.status_changed'];
+
+// Events sent to a print request's callback_url
+const CALLBACK_EVENTS = ['job.completed', 'job.failed'];
+
+// Replies worth asking again for; any other 4xx is final
+const RETRY_STATUSES = [408, 425, 429];
+
+// Event payload for a queue entry (without the order data)
+function jobEventData(job, printer) {
+    const { data, kitchen_items, callback_url, ...summary } = job;
+    return { ...summary, printer_name: printer ? printer.name : null };
+}
+
+function createWebhookDispatcher({
+    urls = [],                  // receivers for every event in `events`
+    secret = null,              // HMAC key for X-Signature; unsigned without one
+    events = WEBHOOK_EVENTS,
+    callbackHosts = [],         // hosts a callback_url may point at (empty = callbacks off)
+    timeout = 5000,
+    maxAttempts = 5,
+    retryDelay = 1000,
+    maxDelay = 60000,
+    source = null,              // sent as X-Webhook-Source (the worker id)
+    onDelivery = () => {}       // (event, result) - result is delivered, retrying or failed
+} = {}) {
+    const subscribed = new Set(events.length > 0 ? events : WEBHOOK_EVENTS);
+    const pending = new Set();
+    const idleWaiters = [];
+    let stopped = false;
+
+    const settle = (delivery) => {
+        pending.delete(delivery);
+        if (pending.size === 0) {
+            idleWaiters.splice(0).forEach(resolve => resolve(true));
+        }
+    };
+
+    async function attempt(delivery) {
+        delivery.timer = null;
+        delivery.attempts++;
+        const { url, payload } = delivery;
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'cottage-tandoori-printer/3.1.0',
+            'X-Webhook-Id': payload.id,
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Attempt': String(delivery.attempts),
+            ...(source ? { 'X-Webhook-Source': source } : {})
+        };
+        if (secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const { pathname, search } = new URL(url);
+            headers['X-Timestamp'] = timestamp;
+            headers['X-Signature'] = signRequest(secret, { timestamp, method: 'POST', url: pathname + search, body });
+        }
+
+        let error;
+        let retryable = true;
+        try {
+            const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+            if (response.ok) {
+                log.debug('📨 Webhook delivered', { event: payload.event, url, attempts: delivery.attempts });
+                onDelivery(payload.event, 'delivered');
+                settle(delivery);
+                return;
+            }
+            error = `HTTP ${response.status}`;
+            retryable = response.status >= 500 || RETRY_STATUSES.includes(response.status);
+        } catch (requestError) {
+            error = requestError.name === 'TimeoutError' ? `timed out after ${timeout}ms` : requestError.message;
+        }
+
+        if (retryable && !stopped && (maxAttempts <= 0 || delivery.attempts < maxAttempts)) {
+            const delay = Math.min(retryDelay * 2 ** (delivery.attempts - 1), maxDelay);
+            log.warn('⚠️  Webhook delivery failed - retrying', { event: payload.event, url, attempts: delivery.attempts, retry_in_ms: delay, error });
+            onDelivery(payload.event, 'retrying');
+            delivery.timer = setTimeout(() => attempt(delivery), delay);
+            return;
+        }
+
+        log.error('❌ Webhook delivery failed', { event: payload.event, url, attempts: delivery.attempts, error });
+        onDelivery(payload.event, 'failed');
+        settle(delivery);
+    }
+
+    function deliver(url, payload) {
+        const delivery = { url, payload, attempts: 0, timer: null };
+        pending.add(delivery);
+        attempt(delivery);
+    }
+
+    // Send `event` to the configured receivers and, for print confirmations, to `callbackUrl`
+    function emit(event, data, { callbackUrl = null } = {}) {
+        if (stopped) {
+            return;
+        }
+        const targets = subscribed.has(event) ? [...urls] : [];
+        if (callbackUrl && CALLBACK_EVENTS.includes(event)) {
+            targets.push(callbackUrl);
+        }
+        if (targets.length === 0) {
+            return;
+        }
+
+        const payload = { id: crypto.randomUUID(), event, created_at: new Date().toISOString(), data };
+        for (const url of targets) {
+            deliver(url, payload);
+        }
+    }
+
+    // Error message for a callback_url we will not call, or null when it is fine
+    function checkCallbackUrl(value) {
+        let url;
+        try {
+            url = new URL(String(value));
+        } catch (error) {
+            return 'callback_url is not a valid URL';
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return 'callback_url must be an http or https URL';
+        }
+        // Without an allowlist any client could have us POST to internal addresses
+        if (callbackHosts.length === 0) {
+            return 'callback_url is not accepted - set CALLBACK_ALLOWED_HOSTS to allow it';
+        }
+        if (!callbackHosts.includes(url.hostname) && !callbackHosts.includes(url.host)) {
+            return `callback_url host ${url.host} is not in CALLBACK_ALLOWED_HOSTS`;
+        }
+        return null;
+    }
+
+    // Resolves true once every delivery (including retries) has finished, or false after `ms`
+    function flush(ms) {
+        if (pending.size === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                idleWaiters.splice(idleWaiters.indexOf(done), 1);
+                resolve(false);
+            }, ms);
+            const done = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+            idleWaiters.push(done);
+        });
+    }
+
+    // Stop sending; deliveries waiting for a retry are dropped
+    function stop() {
+        stopped = true;
+        const dropped = Array.from(pending).filter(delivery => delivery.timer);
+        dropped.forEach(delivery => {
+            clearTimeout(delivery.timer);
+            settle(delivery);
+        });
+        if (dropped.length > 0) {
+            log.warn('⚠️  Dropped webhook retries at shutdown', { deliveries: dropped.map(delivery => ({ event: delivery.payload.event, url: delivery.url })) });
+        }
+    }
+
+    return {
+        enabled: urls.length > 0,
+        signed: Boolean(secret),
+        callbacks: callbackHosts.length > 0,
+        events: Array.from(subscribed),
+        emit,
+        checkCallbackUrl,
+        flush,
+        stop,
+        get pending() {
+            return pending.size;
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    CALLBACK_EVENTS,
+    jobEventData,
+    createWebhookDispatcher
+};
@@ -0,0 +1,64 @@
+-- Leased claims for the printer helper's Supabase poller.
+-- Jobs are claimed atomically by one worker for a limited time. A job left in
+-- PRINTING by a crashed helper becomes claimable again once its lease expires.
+
+alter table print_jobs
+    add column if not exists worker_id text,
+    add column if not exists lease_expires_at timestamptz,
+    add column if not exists claim_count integer not null default 0,
+    add column if not exists idempotency_key text;
+
+create index if not exists print_jobs_claimable_idx
+    on print_jobs (status, lease_expires_at, created_at);
+
+-- Claim up to p_limit PENDING jobs (plus PRINTING jobs whose lease has run out)
+-- for p_worker_id, oldest first. SKIP LOCKED keeps concurrent workers apart.
+create or replace function claim_print_jobs(
+    p_worker_id text,
+    p_lease_seconds integer default 120,
+    p_limit integer default 10
+)
+returns setof print_jobs
+language plpgsql
+as $$
+begin
+    return query
+    update print_jobs j
+       set status = 'PRINTING',
+           worker_id = p_worker_id,
+           lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+           claim_count = j.claim_count + 1
+     where j.id in (
+            select c.id
+              from print_jobs c
+             where c.status = 'PENDING'
+                or (c.status = 'PRINTING' and c.lease_expires_at is not null and c.lease_expires_at < now())
+             order by c.created_at
+             limit p_limit
+               for update skip locked
+           )
+    returning j.*;
+end;
+$$;
+
+-- Extend the lease on jobs this worker still holds (e.g. waiting for the printer)
+create or replace function renew_print_job_leases(
+    p_worker_id text,
+    p_job_ids text[],
+    p_lease_seconds integer default 120
+)
+returns integer
+language plpgsql
+as $$
+declare
+    renewed integer;
+begin
+    update print_jobs
+       set lease_expires_at = now() + make_interval(secs => p_lease_seconds)
+     where id::text = any (p_job_ids)
+       and worker_id = p_worker_id
+       and status = 'PRINTING';
+    get diagnostics renewed = row_count;
+    return renewed;
+end;
+$$;
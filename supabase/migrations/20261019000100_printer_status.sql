@@ -0,0 +1,28 @@
+-- Live printer status reported by the printer helper, for the POS to show
+-- warnings such as "Kitchen printer out of paper".
+
+create table if not exists printer_status (
+    printer_id text not null,
+    worker_id text not null,
+    status text not null,
+    details jsonb,
+    updated_at timestamptz not null default now(),
+    primary key (worker_id, printer_id)
+);
+
+create or replace function update_printer_status(
+    p_printer_id text,
+    p_worker_id text,
+    p_status text,
+    p_details jsonb default null
+)
+returns void
+language sql
+as $$
+    insert into printer_status (printer_id, worker_id, status, details, updated_at)
+    values (p_printer_id, p_worker_id, p_status, p_details, now())
+    on conflict (worker_id, printer_id)
+    do update set status = excluded.status,
+                  details = excluded.details,
+                  updated_at = excluded.updated_at;
+$$;
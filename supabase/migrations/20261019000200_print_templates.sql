@@ -0,0 +1,14 @@
+-- Receipt templates managed from the POS. The printer helper loads the active
+-- rows on start-up and every TEMPLATE_REFRESH_INTERVAL; a row replaces a
+-- built-in or file template of the same name.
+
+create table if not exists print_templates (
+    name text primary key,
+    description text,
+    -- { "job_types": [...], "order_types": [...], "template_data": true|false }
+    match jsonb not null default '{}'::jsonb,
+    -- { "line_spacing": 24, "blocks": [...] }
+    definition jsonb not null,
+    active boolean not null default true,
+    updated_at timestamptz not null default now()
+);
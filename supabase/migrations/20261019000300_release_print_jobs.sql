@@ -0,0 +1,27 @@
+-- Hand claimed jobs back when the printer helper shuts down before printing
+-- them, so the next poll (by this or another worker) picks them up straight
+-- away instead of waiting for the lease to run out.
+
+create or replace function release_print_jobs(
+    p_worker_id text,
+    p_job_ids text[],
+    p_note text default null
+)
+returns integer
+language plpgsql
+as $$
+declare
+    released integer;
+begin
+    update print_jobs
+       set status = 'PENDING',
+           worker_id = null,
+           lease_expires_at = null,
+           error_message = p_note
+     where id::text = any (p_job_ids)
+       and worker_id = p_worker_id
+       and status = 'PRINTING';
+    get diagnostics released = row_count;
+    return released;
+end;
+$$;
@@ -0,0 +1,107 @@
+// System printer discovery: lpstat and Win32_Printer parsing, GET /printers/discover
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { startHelper, createVirtualPrinter } = require('./helpers/harness');
+const { parseLpstat, parseWindowsPrinters, discoverPrinters } = require('../lib/discovery');
+
+const LPSTAT = [
+    'printer EPSON_TM_T20III is idle.  enabled since Mon 19 Oct 2026 10:00:00 BST',
+    'printer Kitchen now printing Kitchen-41.  enabled since Mon 19 Oct 2026 10:02:11 BST',
+    'printer Bar disabled since Mon 19 Oct 2026 09:15:00 BST -',
+    '\tPaused',
+    'system default destination: EPSON_TM_T20III',
+    'device for EPSON_TM_T20III: usb://EPSON/TM-T20III?serial=583432',
+    'device for Kitchen: socket://192.168.1.51:9100',
+    'device for Bar: serial:/dev/ttyUSB0?baud=38400',
+    ''
+].join('\n');
+
+describe('printer discovery', () => {
+    it('reads CUPS queues from lpstat', () => {
+        assert.deepStrictEqual(parseLpstat(LPSTAT), [
+            { name: 'EPSON_TM_T20III', default: true, state: 'idle', enabled: true, device: 'usb://EPSON/TM-T20III?serial=583432' },
+            { name: 'Kitchen', default: false, state: 'printing', enabled: true, device: 'socket://192.168.1.51:9100' },
+            { name: 'Bar', default: false, state: 'stopped', enabled: false, device: 'serial:/dev/ttyUSB0?baud=38400' }
+        ]);
+    });
+
+    it('reads Windows printers from one object or an array', () => {
+        const one = { Name: 'EPSON TM-T20III Receipt', Default: true, DriverName: 'EPSON TM-T20III Receipt5', PortName: 'ESDPRT001', PrinterStatus: 3, WorkOffline: false };
+        assert.deepStrictEqual(parseWindowsPrinters(JSON.stringify(one)), [
+            { name: 'EPSON TM-T20III Receipt', default: true, state: 'idle', enabled: true, device: 'ESDPRT001', driver: 'EPSON TM-T20III Receipt5' }
+        ]);
+
+        const many = parseWindowsPrinters(JSON.stringify([one, { ...one, Name: 'Kitchen', Default: false, WorkOffline: true }]));
+        assert.deepStrictEqual(many.map(printer => [printer.name, printer.state]), [['EPSON TM-T20III Receipt', 'idle'], ['Kitchen', 'offline']]);
+        assert.deepStrictEqual(parseWindowsPrinters(''), []);
+    });
+
+    it('asks lpstat on Linux and macOS', async () => {
+        const calls = [];
+        const run = async (command, args) => {
+            calls.push([command, ...args]);
+            return { stdout: LPSTAT, stderr: '', code: 0 };
+        };
+        const found = await discoverPrinters({ platform: 'darwin', run });
+        assert.deepStrictEqual(calls, [['lpstat', '-p', '-d', '-v']]);
+        assert.strictEqual(found.backend, 'cups');
+        assert.deepStrictEqual(found.printers[1].transport, { type: 'spooler', printerName: 'Kitchen' });
+    });
+
+    it('treats a CUPS server without queues as no printers', async () => {
+        const run = async () => ({ stdout: '', stderr: 'lpstat: No destinations added.\n', code: 1 });
+        assert.deepStrictEqual((await discoverPrinters({ platform: 'linux', run })).printers, []);
+    });
+
+    it('reports lpstat errors and a missing CUPS', async () => {
+        const failing = async () => ({ stdout: '', stderr: 'lpstat: Unable to connect to server: Connection refused\n', code: 1 });
+        await assert.rejects(discoverPrinters({ platform: 'linux', run: failing }), /lpstat failed: lpstat: Unable to connect to server/);
+
+        const missing = async () => {
+            throw Object.assign(new Error('spawn lpstat ENOENT'), { code: 'ENOENT' });
+        };
+        await assert.rejects(discoverPrinters({ platform: 'linux', run: missing }), /lpstat not found - install CUPS/);
+    });
+
+    it('asks PowerShell on Windows', async () => {
+        const run = async (command) => {
+            assert.strictEqual(command, 'powershell');
+            return { stdout: JSON.stringify({ Name: 'Receipt', Default: true, PrinterStatus: 7 }), stderr: '', code: 0 };
+        };
+        const found = await discoverPrinters({ platform: 'win32', run });
+        assert.strictEqual(found.backend, 'windows');
+        assert.strictEqual(found.printers[0].state, 'offline');
+    });
+
+    it('GET /printers/discover marks queues that are already configured', async () => {
+        const front = createVirtualPrinter('front');
+        const kitchen = { config: () => ({ id: 'kitchen', name: 'Kitchen', transport: { type: 'spooler', printerName: 'Kitchen' } }) };
+        const app = await startHelper({
+            printers: [front, kitchen],
+            discoverPrinters: () => discoverPrinters({ platform: 'linux', run: async () => ({ stdout: LPSTAT, stderr: '', code: 0 }) })
+        });
+        try {
+            const { status, body } = await app.get('/printers/discover');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.backend, 'cups');
+            assert.deepStrictEqual(body.printers.map(printer => [printer.name, printer.configured]), [['EPSON_TM_T20III', false], ['Kitchen', true], ['Bar', false]]);
+        } finally {
+            await app.stop();
+        }
+    });
+
+    it('GET /printers/discover answers 500 when discovery fails', async () => {
+        const app = await startHelper({
+            discoverPrinters: async () => {
+                throw new Error('lpstat not found');
+            }
+        });
+        try {
+            const { status, body } = await app.get('/printers/discover');
+            assert.strictEqual(status, 500);
+            assert.strictEqual(body.error, 'lpstat not found');
+        } finally {
+            await app.stop();
+        }
+    });
+});
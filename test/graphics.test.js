@@ -0,0 +1,23 @@
+// Graphics: native QR codes
+const { describe, it } = require('node:test');
+const assert = require('assert');
+require('./helpers/harness');
+const { qrNativeCommand } = require('../lib/graphics');
+const { rawBytes } = require('../lib/encoding');
+
+// GS ( k function 167: set the module size
+const moduleSizeCommand = (dots) => rawBytes([0x1D, 0x28, 0x6B, 3, 0, 0x31, 0x43, dots]);
+
+describe('native QR codes', () => {
+    it('sets the module size from a size name or a number of dots', () => {
+        assert.ok(qrNativeCommand('ORDER-1042', { size: 'medium' }).includes(moduleSizeCommand(6)));
+        assert.ok(qrNativeCommand('ORDER-1042', { size: 'large' }).includes(moduleSizeCommand(8)));
+        assert.ok(qrNativeCommand('ORDER-1042', { size: 10 }).includes(moduleSizeCommand(10)));
+        assert.ok(qrNativeCommand('ORDER-1042', { size: '3' }).includes(moduleSizeCommand(3)));
+    });
+
+    it('keeps the module size within what the printer accepts', () => {
+        assert.ok(qrNativeCommand('ORDER-1042', { size: 40 }).includes(moduleSizeCommand(16)));
+        assert.ok(qrNativeCommand('ORDER-1042', { size: -2 }).includes(moduleSizeCommand(1)));
+    });
+});
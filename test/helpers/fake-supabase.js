@@ -0,0 +1,158 @@
+// Fake Supabase client
+// Just enough of supabase-js for the poller and template store: rpc() runs the
+// print queue functions from supabase/migrations against an in-memory
+// print_jobs table, and from(table).select().eq() (plus gte/lt/order/range)
+// reads in-memory rows.
+// Every rpc call is recorded so tests can check what was reported.
+
+// What PostgREST answers for a function that is not installed
+const missingFunction = (name) => ({
+    code: 'PGRST202',
+    message: `Could not find the function public.${name} in the schema cache`
+});
+
+function createFakeSupabase({
+    jobs = [],                  // print_jobs rows (status defaults to PENDING)
+    tables = {},                // { print_templates: [rows] } for from()
+    missing = [],               // RPC names that behave as not installed
+    rpc: overrides = {}         // { name: (params) => data } replacing the built-in handlers
+} = {}) {
+    const calls = [];
+    const waiters = [];
+    const printerStatus = new Map();
+    const rows = jobs.map((job, i) => ({
+        status: 'PENDING',
+        worker_id: null,
+        error_message: null,
+        created_at: new Date(Date.UTC(2026, 9, 16, 19, 0, i)).toISOString(),
+        ...job
+    }));
+
+    const find = (id) => rows.find(row => String(row.id) === String(id));
+
+    const handlers = {
+        claim_print_jobs({ p_worker_id, p_limit }) {
+            const claimed = rows.filter(row => row.status === 'PENDING').slice(0, p_limit);
+            claimed.forEach(row => Object.assign(row, { status: 'PRINTING', worker_id: p_worker_id }));
+            return claimed.map(row => ({ ...row }));
+        },
+        get_pending_print_jobs() {
+            return rows.filter(row => row.status === 'PENDING').map(row => ({ ...row }));
+        },
+        renew_print_job_leases({ p_worker_id, p_job_ids }) {
+            return rows.filter(row => p_job_ids.includes(String(row.id)) && row.worker_id === p_worker_id).length;
+        },
+        update_print_job_status({ p_job_id, p_status, p_error_message = null }) {
+            const row = find(p_job_id);
+            if (row) {
+                Object.assign(row, { status: p_status, error_message: p_error_message });
+            }
+            return null;
+        },
+        release_print_jobs({ p_worker_id, p_job_ids, p_note }) {
+            const released = rows.filter(row => p_job_ids.includes(String(row.id)) && row.worker_id === p_worker_id && row.status === 'PRINTING');
+            released.forEach(row => Object.assign(row, { status: 'PENDING', worker_id: null, error_message: p_note }));
+            return released.length;
+        },
+        update_printer_status({ p_printer_id, p_status, p_details }) {
+            printerStatus.set(p_printer_id, { status: p_status, details: p_details });
+            return null;
+        },
+        ...overrides
+    };
+
+    const notify = () => {
+        for (const waiter of waiters.slice()) {
+            const match = calls.find(call => call.name === waiter.name && waiter.predicate(call.params));
+            if (match) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(match);
+            }
+        }
+    };
+
+    async function rpc(name, params = {}) {
+        calls.push({ name, params });
+        notify();
+        if (missing.includes(name) || !handlers[name]) {
+            return { data: null, error: missingFunction(name) };
+        }
+        try {
+            return { data: await handlers[name](params), error: null };
+        } catch (error) {
+            return { data: null, error: { message: error.message } };
+        }
+    }
+
+    // from(table).select(columns).eq(column, value) - awaitable like supabase-js
+    function from(table) {
+        const filters = [];
+        let sort = null;
+        let slice = null;
+        const query = {
+            select: () => query,
+            eq: (column, value) => {
+                filters.push(row => row[column] === value);
+                return query;
+            },
+            gte: (column, value) => {
+                filters.push(row => row[column] >= value);
+                return query;
+            },
+            lt: (column, value) => {
+                filters.push(row => row[column] < value);
+                return query;
+            },
+            order: (column, { ascending = true } = {}) => {
+                sort = (a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1);
+                return query;
+            },
+            range: (start, end) => {
+                slice = [start, end + 1];
+                return query;
+            },
+            then: (resolve, reject) => {
+                const select = () => {
+                    const matches = tables[table].filter(row => filters.every(filter => filter(row)));
+                    if (sort) matches.sort(sort);
+                    return slice ? matches.slice(...slice) : matches;
+                };
+                const result = tables[table]
+                    ? { data: select(), error: null }
+                    : { data: null, error: { code: 'PGRST205', message: `Could not find the table 'public.${table}' in the schema cache` } };
+                return Promise.resolve(result).then(resolve, reject);
+            }
+        };
+        return query;
+    }
+
+    return {
+        rpc,
+        from,
+        calls,
+        jobs: rows,
+        printerStatus,
+        job: find,
+
+        // Calls to one RPC, oldest first
+        callsTo: (name) => calls.filter(call => call.name === name).map(call => call.params),
+
+        // Resolves with the first call to `name` whose params match `predicate`
+        waitForCall(name, predicate = () => true, timeout = 2000) {
+            return new Promise((resolve, reject) => {
+                const waiter = { name, predicate, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`No matching ${name} call (calls: ${calls.map(call => call.name).join(', ') || 'none'})`));
+                }, timeout);
+                waiters.push(waiter);
+                notify();
+            });
+        }
+    };
+}
+
+module.exports = {
+    createFakeSupabase
+};
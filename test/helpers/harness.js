@@ -0,0 +1,142 @@
+// Test harness
+// Starts a printer helper on a random port with virtual printers, a fixed
+// clock and (optionally) a fake Supabase client, and compares printed output
+// with golden files in test/golden. Run with UPDATE_GOLDEN=1 to rewrite them.
+//
+// Require this before anything in lib/ - the logger and dates read these.
+process.env.TZ = 'UTC';
+process.env.LOG_LEVEL = process.env.TEST_LOG_LEVEL || 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { configFromEnv } = require('../../lib/config');
+const { createPrinterHelper } = require('../../lib/helper');
+const { createVirtualPrinter } = require('./virtual-printer');
+const { createFakeSupabase } = require('./fake-supabase');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+// Every ticket and receipt is printed "at" this time
+const FIXED_NOW = new Date('2026-10-16T19:30:00Z');
+
+// Compare `actual` with test/golden/<name>.txt. Receipts print the time in
+// the machine's locale, so FIXED_NOW is written as {{now}} in golden files.
+function assertGolden(name, actual) {
+    actual = actual.split(FIXED_NOW.toLocaleString()).join('{{now}}');
+    const file = path.join(GOLDEN_DIR, `${name}.txt`);
+    if (process.env.UPDATE_GOLDEN === '1') {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    if (!fs.existsSync(file)) {
+        assert.fail(`Missing golden file ${path.relative(process.cwd(), file)} - run UPDATE_GOLDEN=1 npm test to create it`);
+    }
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `Output differs from golden file ${name}.txt`);
+}
+
+// Helper running on 127.0.0.1 with its own temp directory for printers.json,
+// the queue file, the audit log, the print history and templates
+async function startHelper({
+    printers = [createVirtualPrinter('receipt')],
+    routing,
+    env = {},
+    supabase = null,
+    templates = {},             // { 'name.json': template } written to TEMPLATES_DIR
+    now = FIXED_NOW,
+    discoverPrinters
+} = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-helper-test-'));
+    const templatesDir = path.join(dir, 'templates');
+    fs.mkdirSync(templatesDir);
+    for (const [file, template] of Object.entries(templates)) {
+        fs.writeFileSync(path.join(templatesDir, file), JSON.stringify(template));
+    }
+    const printersFile = path.join(dir, 'printers.json');
+    fs.writeFileSync(printersFile, JSON.stringify({ printers: printers.map(printer => printer.config()), ...(routing ? { routing } : {}) }, null, 2));
+
+    const config = configFromEnv({
+        PORT: '0',
+        BIND_HOST: '127.0.0.1',
+        QUEUE_FILE: path.join(dir, 'queue.jsonl'),
+        AUDIT_LOG: path.join(dir, 'audit.jsonl'),
+        HISTORY_DIR: path.join(dir, 'history'),
+        TEMPLATES_DIR: templatesDir,
+        WORKER_ID: 'test-worker',
+        HTTP_PRINT_WAIT: '1000',
+        QUEUE_RETRY_DELAY: '20',
+        QUEUE_RETRY_MAX_DELAY: '20',
+        SHUTDOWN_TIMEOUT: '1000',
+        ...env
+    });
+    const helper = createPrinterHelper(config, { supabase, printersConfig: printersFile, now: () => new Date(now), discoverPrinters });
+    const [server] = await helper.listen();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // fetch() against the helper; JSON bodies in and out
+    async function request(method, url, { body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const type = response.headers.get('content-type') || '';
+        const data = type.includes('application/json')
+            ? await response.json()
+            : type.startsWith('image/') ? Buffer.from(await response.arrayBuffer()) : await response.text();
+        return { status: response.status, headers: response.headers, body: data };
+    }
+
+    return {
+        helper,
+        dir,
+        baseUrl,
+        request,
+        get: (url, options) => request('GET', url, options),
+        post: (url, body, options = {}) => request('POST', url, { ...options, body }),
+        put: (url, body, options = {}) => request('PUT', url, { ...options, body }),
+        delete: (url, options) => request('DELETE', url, options),
+
+        // Audit log lines written so far
+        audit() {
+            const file = path.join(dir, 'audit.jsonl');
+            return fs.existsSync(file)
+                ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+                : [];
+        },
+
+        // Shut down (unless the test already did) and remove the temp directory
+        async stop() {
+            if (!helper.shuttingDown) {
+                await helper.shutdown('test finished');
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Resolves once `check()` returns something truthy
+async function eventually(check, timeout = 2000) {
+    const until = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() > until) {
+            assert.fail('Condition not met in time');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    FIXED_NOW,
+    assertGolden,
+    startHelper,
+    eventually,
+    createVirtualPrinter,
+    createFakeSupabase
+};
@@ -0,0 +1,132 @@
+// Virtual ESC/POS printer
+// An in-process printer behind the 'virtual' transport type: it keeps every
+// buffer it is sent, answers DLE EOT status queries from flags the test sets,
+// and renders what it printed as text through the preview interpreter.
+const { registerTransport } = require('../../lib/transports');
+const { interpretEscPos, renderText } = require('../../lib/preview');
+const { PAPER_DOTS } = require('../../lib/graphics');
+
+const devices = new Map();
+
+// printers.json: { "transport": { "type": "virtual", "device": "<id>" } }
+registerTransport('virtual', (config) => {
+    const device = devices.get(config.device);
+    if (!device) {
+        throw new Error(`No virtual printer called ${config.device}`);
+    }
+    return device.transport;
+});
+
+// Four DLE EOT replies (printer, offline cause, error cause, paper sensor)
+function dleEotReply(flags) {
+    return Buffer.from([
+        0x12 | (flags.online ? 0 : 0x08),
+        0x12 | (flags.cover_open ? 0x04 : 0) | (flags.paper_end ? 0x20 : 0),
+        0x12,
+        0x12 | (flags.paper_near_end ? 0x0C : 0) | (flags.paper_end ? 0x60 : 0)
+    ]);
+}
+
+function createVirtualPrinter(id, { name = id, paper_width = '80mm', code_page = 'PC858', ...settings } = {}) {
+    const received = [];
+    const waiters = [];
+    const flags = { online: true, reachable: true, cover_open: false, paper_end: false, paper_near_end: false };
+    let held = null;
+
+    const notify = () => {
+        for (const waiter of waiters.slice()) {
+            if (received.length >= waiter.count) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(received.slice());
+            }
+        }
+    };
+
+    const transport = {
+        type: 'virtual',
+        target: `virtual:${id}`,
+        bidirectional: true,
+        async send(buffer) {
+            if (held) {
+                await held.promise;
+            }
+            if (!flags.reachable || !flags.online) {
+                const error = new Error(`Virtual printer ${id} is offline`);
+                error.code = 'ECONNREFUSED';
+                throw error;
+            }
+            received.push(Buffer.from(buffer));
+            notify();
+        },
+        async query() {
+            if (!flags.reachable) {
+                throw new Error(`Virtual printer ${id} is not answering`);
+            }
+            return dleEotReply(flags);
+        }
+    };
+
+    const printer = {
+        id,
+        transport,
+        received,
+
+        // Entry for printers.json
+        config(extra = {}) {
+            return { id, name, paper_width, code_page, transport: { type: 'virtual', device: id }, ...settings, ...extra };
+        },
+
+        // Status flags: online, reachable, cover_open, paper_end, paper_near_end
+        set(changes) {
+            Object.assign(flags, changes);
+        },
+
+        // Make sends wait until release() is called (a print in progress)
+        hold() {
+            let release;
+            const promise = new Promise(resolve => {
+                release = resolve;
+            });
+            held = { promise };
+            return () => {
+                held = null;
+                release();
+            };
+        },
+
+        // Resolves with everything received once `count` buffers have arrived
+        waitFor(count = 1, timeout = 2000) {
+            return new Promise((resolve, reject) => {
+                const waiter = { count, resolve };
+                waiter.timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`Virtual printer ${id} received ${received.length} of ${count} jobs`));
+                }, timeout);
+                waiters.push(waiter);
+                notify();
+            });
+        },
+
+        // What buffer `index` (default the last one) looks like on paper
+        text(index = received.length - 1) {
+            const buffer = received[index < 0 ? received.length + index : index];
+            if (!buffer) {
+                throw new Error(`Virtual printer ${id} has no job ${index}`);
+            }
+            return renderText(interpretEscPos(buffer, { codePage: code_page, dotWidth: PAPER_DOTS[paper_width] }));
+        },
+
+        clear() {
+            received.length = 0;
+        }
+    };
+
+    devices.set(id, printer);
+    return printer;
+}
+
+module.exports = {
+    createVirtualPrinter,
+    dleEotReply
+};
@@ -0,0 +1,130 @@
+// Print history: stored bytes, search and duplicate copies
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHelper, createVirtualPrinter, assertGolden, eventually } = require('./helpers/harness');
+const { createPrintHistory } = require('../lib/history');
+const receipt = require('./fixtures/receipt.json');
+
+// Today on this machine's clock, as GET /history?date= takes it
+const today = () => {
+    const now = new Date();
+    return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+};
+
+describe('print history', () => {
+    const front = createVirtualPrinter('front', { name: 'Front Counter', actions: { CUSTOMER_RECEIPT: { open_drawer: 'cash' } } });
+    const bar = createVirtualPrinter('bar', { name: 'Bar' });
+    let app;
+
+    before(async () => {
+        app = await startHelper({
+            printers: [front, bar],
+            routing: { default: 'front', job_types: { CUSTOMER_RECEIPT: ['front'] } }
+        });
+    });
+
+    after(() => app.stop());
+
+    beforeEach(() => {
+        front.clear();
+        bar.clear();
+        front.set({ online: true, reachable: true });
+    });
+
+    it('stores each printed job and finds it by order number and date', async () => {
+        const { body: printed } = await app.post('/print/receipt', { ...receipt, orderNumber: 'H-1' });
+        const jobId = printed.results[0].job_id;
+
+        const { body } = await app.get(`/history?order_number=H-1&date=${today()}`);
+        assert.strictEqual(body.total, 1);
+        const [entry] = body.entries;
+        assert.strictEqual(entry.id, jobId);
+        assert.strictEqual(entry.outcome, 'printed');
+        assert.strictEqual(entry.job_type, 'CUSTOMER_RECEIPT');
+        assert.strictEqual(entry.printer_name, 'Front Counter');
+        assert.ok(entry.printed_at);
+        assert.ok(fs.existsSync(path.join(app.dir, 'history', `${jobId}.bin`)));
+
+        assert.strictEqual((await app.get('/history?order_number=H-1&date=2020-01-01')).body.total, 0);
+        assert.strictEqual((await app.get('/history?from=yesterday')).status, 400);
+        for (const limit of ['-5', 'abc', '0', '1.5', '5000']) {
+            assert.strictEqual((await app.get(`/history?limit=${limit}`)).status, 400, `limit=${limit}`);
+        }
+        assert.strictEqual((await app.get('/history?limit=1')).body.count, 1);
+
+        const { body: text } = await app.get(`/history/${jobId}?format=text`);
+        assert.match(text, /Chicken Tikka Masala/);
+    });
+
+    it('reprints a job byte for byte under a DUPLICATE COPY banner', async () => {
+        const { body: printed } = await app.post('/print/receipt', { ...receipt, orderNumber: 'H-2' });
+        const original = app.helper.history.read(printed.results[0].job_id);
+
+        const { status, body } = await app.post(`/history/${printed.results[0].job_id}/reprint`, {});
+        assert.strictEqual(status, 200);
+        assert.strictEqual(front.received.length, 2);
+        assert.ok(front.received[1].subarray(-original.length).equals(original));
+        // The drawer opened for the sale, not for the copy
+        assert.ok(front.received[0].includes(Buffer.from('1b7000', 'hex')));
+        assert.ok(!front.received[1].includes(Buffer.from('1b7000', 'hex')));
+        assertGolden('customer-receipt-duplicate', front.text(1));
+
+        const { body: history } = await app.get('/history?order_number=H-2');
+        assert.strictEqual(history.total, 2);
+        assert.strictEqual(history.entries.find(entry => entry.id === body.results[0].job_id).reprint_of, printed.results[0].job_id);
+    });
+
+    it('sends a duplicate copy to another printer', async () => {
+        const { body: printed } = await app.post('/print/receipt', { ...receipt, orderNumber: 'H-3' });
+        const { status } = await app.post(`/history/${printed.results[0].job_id}/reprint`, { printer_id: 'bar' });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(bar.received.length, 1);
+        assert.match(bar.text(), /DUPLICATE COPY/);
+
+        assert.strictEqual((await app.post(`/history/${printed.results[0].job_id}/reprint`, { printer_id: 'nope' })).status, 404);
+        assert.strictEqual((await app.post('/history/missing/reprint', {})).status, 404);
+    });
+
+    it('records the outcome of a job that has to wait for its printer', async () => {
+        front.set({ reachable: false });
+        const { status, body: printed } = await app.post('/print/receipt', { ...receipt, orderNumber: 'H-4' });
+        assert.strictEqual(status, 202);
+
+        let { body: entry } = await app.get(`/history/${printed.results[0].job_id}`);
+        assert.strictEqual(entry.outcome, 'retrying');
+        assert.match(entry.error, /offline/);
+
+        front.set({ reachable: true });
+        entry = await eventually(async () => {
+            const { body } = await app.get(`/history/${printed.results[0].job_id}`);
+            return body.outcome === 'printed' && body;
+        });
+        assert.strictEqual(entry.error, null);
+        assert.ok(entry.attempts > 1);
+    });
+});
+
+describe('print history retention', () => {
+    it('keeps the newest HISTORY_MAX_ENTRIES entries across restarts', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-helper-history-'));
+        try {
+            const printer = { id: 'front', name: 'Front Counter' };
+            const history = createPrintHistory({ dir, maxEntries: 2 });
+            history.load();
+            for (const id of ['a', 'b', 'c']) {
+                history.store({ id, job_type: 'CUSTOMER_RECEIPT', print_type: 'receipt', attempts: 1 }, printer, Buffer.from(id));
+            }
+
+            const reopened = createPrintHistory({ dir, maxEntries: 2 });
+            assert.strictEqual(reopened.load(), 2);
+            assert.strictEqual(reopened.get('a'), null);
+            assert.ok(!fs.existsSync(path.join(dir, 'a.bin')));
+            assert.deepStrictEqual(reopened.read('c'), Buffer.from('c'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,392 @@
+// HTTP API: every endpoint against virtual printers
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { startHelper, createVirtualPrinter, assertGolden, eventually } = require('./helpers/harness');
+const receipt = require('./fixtures/receipt.json');
+const kitchen = require('./fixtures/kitchen.json');
+const template = require('./fixtures/template.json');
+
+describe('HTTP API', () => {
+    const front = createVirtualPrinter('front', {
+        name: 'Front Counter',
+        drawer: { pin: 2, pulse_ms: 100 },
+        actions: { CUSTOMER_RECEIPT: { open_drawer: 'cash' } }
+    });
+    const kitchenPrinter = createVirtualPrinter('kitchen', {
+        name: 'Kitchen',
+        station: 'Curry',
+        capabilities: { buzzer: 'esc_b' },
+        actions: { KITCHEN_TICKET: { beep: 2 } }
+    });
+    let app;
+
+    before(async () => {
+        app = await startHelper({
+            printers: [front, kitchenPrinter],
+            routing: {
+                default: 'front',
+                job_types: { KITCHEN_TICKET: ['kitchen'], CUSTOMER_RECEIPT: ['front'], BILL: ['front'] }
+            }
+        });
+    });
+
+    after(() => app.stop());
+
+    beforeEach(() => {
+        front.clear();
+        kitchenPrinter.clear();
+        front.set({ online: true, reachable: true, paper_end: false, cover_open: false });
+    });
+
+    describe('GET /health', () => {
+        it('reports the helper and every printer', async () => {
+            const { status, body } = await app.get('/health');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.status, 'healthy');
+            assert.strictEqual(body.printer, 'Front Counter');
+            assert.deepStrictEqual(body.printers, ['Front Counter', 'Kitchen']);
+            assert.strictEqual(body.polling.enabled, false);
+            assert.deepStrictEqual(body.printer_status.map(printer => printer.id), ['front', 'kitchen']);
+        });
+    });
+
+    describe('GET /capabilities', () => {
+        it('lists endpoints, schemas and features', async () => {
+            const { status, body } = await app.get('/capabilities');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.version, '3.1.0');
+            assert.ok(body.capabilities.prometheus_metrics);
+            assert.ok(body.schemas.receipt_order);
+        });
+    });
+
+    describe('POST /print/test', () => {
+        it('prints the test page on the default printer', async () => {
+            const { status, body } = await app.post('/print/test', {});
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.printer, 'Front Counter');
+            assertGolden('test-page', front.text());
+        });
+
+        it('answers 404 for an unknown printer', async () => {
+            const { status } = await app.post('/print/test', { printer_id: 'nowhere' });
+            assert.strictEqual(status, 404);
+        });
+
+        it('answers 500 when the printer cannot be reached', async () => {
+            front.set({ reachable: false });
+            const { status, body } = await app.post('/print/test', {});
+            assert.strictEqual(status, 500);
+            assert.match(body.error, /offline/);
+        });
+    });
+
+    describe('POST /print/receipt', () => {
+        it('prints a customer receipt and opens the drawer for cash', async () => {
+            const { status, body } = await app.post('/print/receipt', receipt);
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.results[0].status, 'COMPLETED');
+            assertGolden('customer-receipt', front.text());
+            // ESC p 0 (pin 2) after the cut
+            assert.ok(front.received[0].includes(Buffer.from([0x1B, 0x70, 0x00])));
+            assert.ok(app.audit().some(entry => entry.event === 'drawer_open' && entry.order_number === '1042'));
+        });
+
+        it('rejects an invalid body with field errors', async () => {
+            const { status, body } = await app.post('/print/receipt', { items: [{ quantity: 'two' }] });
+            assert.strictEqual(status, 400);
+            assert.deepStrictEqual(body.errors.map(error => error.field).sort(), ['items[0].name', 'items[0].quantity']);
+            assert.strictEqual(front.received.length, 0);
+        });
+
+        it('queues the receipt (202) while the printer is offline and prints it later', async () => {
+            front.set({ online: false });
+            const { status, body } = await app.post('/print/receipt', receipt);
+            assert.strictEqual(status, 202);
+            assert.strictEqual(body.queued, true);
+
+            front.set({ online: true });
+            await front.waitFor(1);
+            const job = await eventually(async () => {
+                const { body: job } = await app.get(`/jobs/${body.results[0].job_id}`);
+                return job.status === 'COMPLETED' && job;
+            });
+            assert.ok(job.attempts > 1);
+        });
+    });
+
+    describe('POST /print/kitchen', () => {
+        it('prints a course-grouped kitchen ticket and sounds the buzzer', async () => {
+            const { status } = await app.post('/print/kitchen', { ...kitchen, orderNumber: 'K-1' });
+            assert.strictEqual(status, 200);
+            assertGolden('kitchen-ticket', kitchenPrinter.text());
+            // ESC B 2 4 - two 200ms beeps
+            assert.ok(kitchenPrinter.received[0].includes(Buffer.from([0x1B, 0x42, 0x02, 0x04])));
+        });
+    });
+
+    describe('POST /print/template', () => {
+        it('prints a rich template receipt', async () => {
+            const { status } = await app.post('/print/template', template);
+            assert.strictEqual(status, 200);
+            assertGolden('rich-template', front.text());
+        });
+
+        it('requires template_data', async () => {
+            const { status, body } = await app.post('/print/template', { items: [] });
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.errors[0].field, 'template_data');
+        });
+    });
+
+    describe('POST /preview/:type', () => {
+        it('renders text identical to what is printed', async () => {
+            const { status, headers, body } = await app.request('POST', '/preview/template?format=text', { body: template });
+            assert.strictEqual(status, 200);
+            assert.match(headers.get('content-type'), /text\/plain/);
+            assertGolden('rich-template', body);
+            assert.strictEqual(front.received.length, 0);
+        });
+
+        it('returns text, html and png for every part as JSON', async () => {
+            const { status, body } = await app.post('/preview/receipt', receipt);
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.parts.length, 1);
+            assert.strictEqual(body.parts[0].printer, 'front');
+            assertGolden('customer-receipt', body.parts[0].text);
+            assert.match(body.parts[0].html, /<pre|<div/);
+            assert.match(body.parts[0].png, /^data:image\/png;base64,/);
+        });
+
+        it('renders html and png on their own', async () => {
+            const html = await app.request('POST', '/preview/kitchen?format=html', { body: kitchen });
+            assert.match(html.headers.get('content-type'), /text\/html/);
+            const png = await app.request('POST', '/preview/kitchen?format=png', { body: kitchen });
+            assert.strictEqual(png.status, 200);
+            assert.deepStrictEqual(png.body.subarray(0, 4), Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+        });
+
+        it('answers 404 for an unknown preview type', async () => {
+            const { status, body } = await app.post('/preview/menu', {});
+            assert.strictEqual(status, 404);
+            assert.ok(body.supported.includes('receipt'));
+        });
+    });
+
+    describe('POST /drawer/open', () => {
+        it('kicks the drawer on the receipt printer and audits it', async () => {
+            const { status, body } = await app.post('/drawer/open', { reason: 'change' });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.pin, 2);
+            assert.ok(front.received[0].includes(Buffer.from([0x1B, 0x70, 0x00, 0x32, 0x64])));
+            assert.ok(app.audit().some(entry => entry.event === 'drawer_open' && entry.reason === 'change'));
+        });
+
+        it('rejects a pin other than 2 or 5', async () => {
+            const { status } = await app.post('/drawer/open', { pin: 3 });
+            assert.strictEqual(status, 400);
+        });
+    });
+
+    describe('POST /buzzer', () => {
+        it('beeps the kitchen printer', async () => {
+            const { status, body } = await app.post('/buzzer', { times: 3 });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.times, 3);
+            assert.ok(kitchenPrinter.received[0].includes(Buffer.from([0x1B, 0x42, 0x03, 0x04])));
+        });
+
+        it('answers 400 for a printer without a buzzer', async () => {
+            const { status } = await app.post('/buzzer', { printer_id: 'front' });
+            assert.strictEqual(status, 400);
+        });
+    });
+
+    describe('printers', () => {
+        it('GET /printers lists printers and routing', async () => {
+            const { body } = await app.get('/printers');
+            assert.deepStrictEqual(body.printers.map(printer => printer.transport_target), ['virtual:front', 'virtual:kitchen']);
+            assert.deepStrictEqual(body.routing.job_types.KITCHEN_TICKET, ['kitchen']);
+        });
+
+        it('GET /printers/:id/status reads DLE EOT status', async () => {
+            let { body } = await app.get('/printers/front/status?refresh=true');
+            assert.strictEqual(body.status, 'ready');
+
+            front.set({ paper_end: true });
+            ({ body } = await app.get('/printers/front/status?refresh=true'));
+            assert.strictEqual(body.status, 'paper_end');
+            assert.strictEqual(body.dispatch_paused, true);
+
+            front.set({ paper_end: false, cover_open: true });
+            ({ body } = await app.get('/printers/front/status?refresh=true'));
+            assert.strictEqual(body.status, 'cover_open');
+
+            front.set({ cover_open: false });
+            ({ body } = await app.get('/printers/front/status?refresh=true'));
+            assert.strictEqual(body.status, 'ready');
+        });
+
+        it('GET /printers/:id/status answers 404 for an unknown printer', async () => {
+            const { status } = await app.get('/printers/nowhere/status');
+            assert.strictEqual(status, 404);
+        });
+
+        it('PUT /printers rejects an invalid config', async () => {
+            const { status, body } = await app.put('/printers', { printers: [] });
+            assert.strictEqual(status, 400);
+            assert.match(body.error, /non-empty/);
+        });
+
+        it('PUT /printers replaces the routing', async () => {
+            const config = { printers: [front.config(), kitchenPrinter.config()], routing: { default: 'front', job_types: { KITCHEN_TICKET: ['kitchen', 'front'] } } };
+            const { status, body } = await app.put('/printers', config);
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(body.routing.job_types.KITCHEN_TICKET, ['kitchen', 'front']);
+
+            // Put the original routing back for the other tests
+            await app.put('/printers', { ...config, routing: { default: 'front', job_types: { KITCHEN_TICKET: ['kitchen'], CUSTOMER_RECEIPT: ['front'], BILL: ['front'] } } });
+        });
+
+        it('PUT /printers refuses transport changes without API keys', async () => {
+            const config = { printers: [front.config(), { id: 'log', transport: { type: 'file', file: '/tmp/anything.bin' } }] };
+            const { status, body } = await app.put('/printers', config);
+            assert.strictEqual(status, 403);
+            assert.deepStrictEqual(body.printers, ['log']);
+            assert.strictEqual((await app.get('/printers')).body.printers.length, 2);
+        });
+    });
+
+    describe('templates', () => {
+        it('GET /templates lists the built-in templates', async () => {
+            const { body } = await app.get('/templates');
+            const names = body.templates.map(entry => entry.name);
+            assert.ok(names.includes('customer_receipt'));
+            assert.ok(names.includes('kitchen_ticket'));
+        });
+
+        it('GET /templates/:name returns one template or 404', async () => {
+            assert.strictEqual((await app.get('/templates/customer_receipt')).body.template.name, 'customer_receipt');
+            assert.strictEqual((await app.get('/templates/nope')).status, 404);
+        });
+
+        it('POST /templates/reload succeeds without Supabase', async () => {
+            const { status, body } = await app.post('/templates/reload', {});
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.success, true);
+        });
+    });
+
+    describe('jobs', () => {
+        it('lists, retries and removes queued jobs', async () => {
+            front.set({ reachable: false });
+            const { body: printed } = await app.post('/print/receipt', { ...receipt, orderNumber: 'J-1' });
+            const id = printed.results[0].job_id;
+
+            const { body: list } = await app.get('/jobs?status=RETRYING&printer=front');
+            assert.deepStrictEqual(list.jobs.map(job => job.id), [id]);
+            assert.strictEqual(list.jobs[0].data, undefined);
+
+            const { body: job } = await app.get(`/jobs/${id}`);
+            assert.strictEqual(job.order_number, 'J-1');
+            assert.strictEqual(job.data.orderNumber, 'J-1');
+
+            const removed = await app.delete(`/jobs/${id}`);
+            assert.strictEqual(removed.status, 200);
+            assert.strictEqual((await app.get(`/jobs/${id}`)).status, 404);
+            assert.strictEqual((await app.post(`/jobs/${id}/retry`, {})).status, 404);
+        });
+
+        it('retries a waiting job but sends a printed one to the reprint endpoint', async () => {
+            front.set({ reachable: false });
+            const { body: waiting } = await app.post('/print/receipt', { ...receipt, orderNumber: 'J-2' });
+            const id = waiting.results[0].job_id;
+
+            const { status, body } = await app.post(`/jobs/${id}/retry`, {});
+            assert.strictEqual(status, 200);
+            assert.strictEqual(body.job.status, 'QUEUED');
+            front.set({ reachable: true });
+            await eventually(async () => (await app.get(`/jobs/${id}`)).body.status === 'COMPLETED');
+
+            const again = await app.post(`/jobs/${id}/retry`, {});
+            assert.strictEqual(again.status, 409);
+            assert.match(again.body.message, /job is COMPLETED/);
+            assert.strictEqual(again.body.reprint, `POST /history/${id}/reprint`);
+            assert.strictEqual(front.received.length, 1);
+        });
+    });
+
+    describe('GET /metrics', () => {
+        it('exposes job counters in Prometheus text format', async () => {
+            const { status, headers, body } = await app.get('/metrics');
+            assert.strictEqual(status, 200);
+            assert.match(headers.get('content-type'), /text\/plain/);
+            assert.match(body, /print_jobs_total\{job_type="CUSTOMER_RECEIPT",printer="front",status="printed"\} \d+/);
+            assert.match(body, /printer_up\{printer="kitchen"\} 1/);
+        });
+    });
+});
+
+describe('API keys', () => {
+    const till = createVirtualPrinter('till');
+    const allowed = path.join(os.tmpdir(), 'printer-helper-allowed');
+    let app;
+
+    before(async () => {
+        app = await startHelper({ printers: [till], env: { API_KEYS: 'till:secret-key', PRINTER_PATHS: allowed } });
+    });
+
+    after(() => app.stop());
+
+    it('keeps /health open and rejects print requests without a key', async () => {
+        assert.strictEqual((await app.get('/health')).status, 200);
+        assert.strictEqual((await app.post('/print/test', {})).status, 401);
+    });
+
+    it('accepts the key in X-API-Key', async () => {
+        const { status } = await app.post('/print/test', {}, { headers: { 'X-API-Key': 'secret-key' } });
+        assert.strictEqual(status, 200);
+    });
+
+    it('only lets PUT /printers write files inside PRINTER_PATHS', async () => {
+        const headers = { 'X-API-Key': 'secret-key' };
+        const withLog = (file) => ({ printers: [till.config(), { id: 'log', transport: { type: 'file', file } }] });
+
+        const { status, body } = await app.put('/printers', withLog('/etc/cron.d/helper'), { headers });
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /\/etc\/cron\.d\/helper is not in PRINTER_PATHS/);
+        assert.strictEqual((await app.put('/printers', withLog(path.join(allowed, '..', 'escape.bin')), { headers })).status, 400);
+
+        assert.strictEqual((await app.put('/printers', withLog(path.join(allowed, 'log.bin')), { headers })).status, 200);
+        // Unchanged transports need no check
+        assert.strictEqual((await app.put('/printers', { printers: [till.config()] }, { headers })).status, 200);
+    });
+});
+
+describe('drawer and buzzer without a routed printer', () => {
+    const till = createVirtualPrinter('till', { capabilities: { buzzer: 'esc_b' } });
+    let app;
+
+    before(async () => {
+        app = await startHelper({ printers: [till], routing: { default: 'till', job_types: { CUSTOMER_RECEIPT: [], KITCHEN_TICKET: [] } } });
+    });
+
+    after(() => app.stop());
+
+    it('asks for a printer_id instead of guessing one', async () => {
+        till.clear();
+        let { status, body } = await app.post('/drawer/open', {});
+        assert.strictEqual(status, 422);
+        assert.match(body.message, /No printer is routed CUSTOMER_RECEIPT jobs/);
+
+        ({ status, body } = await app.post('/buzzer', {}));
+        assert.strictEqual(status, 422);
+        assert.match(body.message, /No printer is routed KITCHEN_TICKET jobs/);
+        assert.strictEqual(till.received.length, 0);
+
+        assert.strictEqual((await app.post('/buzzer', { printer_id: 'till' })).status, 200);
+        assert.strictEqual((await app.post('/drawer/open', { printer_id: 'nowhere' })).status, 404);
+    });
+});
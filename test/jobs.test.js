@@ -0,0 +1,137 @@
+// Job types: station routing, kitchen ticket history, bills and templates
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { startHelper, createVirtualPrinter, assertGolden } = require('./helpers/harness');
+const receipt = require('./fixtures/receipt.json');
+const kitchen = require('./fixtures/kitchen.json');
+
+// The kitchen fixture with tandoor dishes tagged for the tandoor station
+const kitchenOrder = (orderNumber, items = kitchen.items) => ({
+    ...kitchen,
+    orderNumber,
+    items: items.map(item => (item.station === 'tandoor' ? { ...item, category: 'tandoor' } : item))
+});
+
+describe('job types', () => {
+    const front = createVirtualPrinter('front', { name: 'Front Counter' });
+    const curry = createVirtualPrinter('kitchen', { name: 'Kitchen', station: 'Curry' });
+    const tandoor = createVirtualPrinter('tandoor', { name: 'Tandoor', station: 'Tandoor', paper_width: '58mm' });
+    let app;
+
+    before(async () => {
+        app = await startHelper({
+            printers: [front, curry, tandoor],
+            routing: {
+                default: 'front',
+                job_types: { KITCHEN_TICKET: ['kitchen'], CUSTOMER_RECEIPT: ['front'], BILL: ['front'] },
+                categories: { tandoor: 'tandoor' }
+            },
+            templates: {
+                'bill.json': {
+                    name: 'bill',
+                    description: 'Bill brought to the table before payment',
+                    match: { job_types: ['BILL'] },
+                    blocks: [
+                        { type: 'text', align: 'center', bold: true, text: 'BILL - Table {{table_number}}' },
+                        { type: 'rule', char: '=' },
+                        { type: 'items', price: true },
+                        { type: 'rule' },
+                        { type: 'totals' },
+                        { type: 'text', align: 'center', text: 'Please pay at the counter' },
+                        { type: 'cut', feed: 3 }
+                    ]
+                }
+            }
+        });
+    });
+
+    after(() => app.stop());
+
+    beforeEach(() => {
+        front.clear();
+        curry.clear();
+        tandoor.clear();
+    });
+
+    it('splits a kitchen ticket between stations by category', async () => {
+        const { status, body } = await app.post('/print/kitchen', kitchenOrder('S-1'));
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.results.map(result => result.printer).sort(), ['kitchen', 'tandoor']);
+        assert.strictEqual(front.received.length, 0);
+        assertGolden('kitchen-station-curry', curry.text());
+        assertGolden('kitchen-station-tandoor-58mm', tandoor.text());
+    });
+
+    it('prints only new dishes as an ADD-ON ticket', async () => {
+        await app.post('/print/kitchen', kitchenOrder('S-2'));
+        const extra = { line_id: 'm4', name: 'Garlic Naan', quantity: 2, course: 'main' };
+        await app.post('/print/kitchen', kitchenOrder('S-2', [...kitchen.items, extra]));
+
+        assert.strictEqual(curry.received.length, 2);
+        assertGolden('kitchen-add-on', curry.text());
+        // Nothing changed for the tandoor, so it gets no second ticket
+        assert.strictEqual(tandoor.received.length, 1);
+    });
+
+    it('sends a VOID to a station whose dishes were all removed', async () => {
+        await app.post('/print/kitchen', kitchenOrder('S-5'));
+        const { status, body } = await app.post('/print/kitchen', kitchenOrder('S-5', kitchen.items.filter(item => item.station !== 'tandoor')));
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.results.map(result => result.printer), ['tandoor']);
+
+        assert.strictEqual(tandoor.received.length, 2);
+        assert.match(tandoor.text(), /VOID/);
+        assert.match(tandoor.text(), /Chicken Tikka/);
+        assert.match(tandoor.text(), /Paneer Tikka/);
+        assert.strictEqual(curry.received.length, 1);
+    });
+
+    it('voids a whole order on every station that had it', async () => {
+        await app.post('/print/kitchen', kitchenOrder('S-6'));
+        const { status, body } = await app.post('/print/kitchen', { ...kitchen, orderNumber: 'S-6', ticket_type: 'VOID', items: [] });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.results.map(result => result.printer).sort(), ['kitchen', 'tandoor']);
+
+        assert.match(curry.text(), /VOID/);
+        assert.match(curry.text(), /Lamb Rogan Josh/);
+        assert.match(tandoor.text(), /VOID/);
+        assert.match(tandoor.text(), /Paneer Tikka/);
+        assert.doesNotMatch(tandoor.text(), /Lamb Rogan Josh/);
+    });
+
+    it('prints removed dishes as a VOID ticket', async () => {
+        await app.post('/print/kitchen', kitchenOrder('S-3'));
+        await app.post('/print/kitchen', kitchenOrder('S-3', kitchen.items.filter(item => item.line_id !== 'm1')));
+        assertGolden('kitchen-void', curry.text());
+    });
+
+    it('answers 422 when no printer matches', async () => {
+        const { status, body } = await app.post('/print/kitchen', { ...kitchen, orderNumber: 'S-none', ticket_type: 'VOID', items: [] });
+        assert.strictEqual(status, 422);
+        assert.match(body.message, /No printer matched/);
+        assert.strictEqual(curry.received.length + tandoor.received.length, 0);
+    });
+
+    it('honours an explicit REPRINT ticket type', async () => {
+        await app.post('/print/kitchen', kitchenOrder('S-4'));
+        await app.post('/print/kitchen', { ...kitchenOrder('S-4'), ticket_type: 'REPRINT' });
+        assert.match(curry.text(), /REPRINT/);
+    });
+
+    it('prints a BILL with the template matched to its job type', async () => {
+        const { status } = await app.post('/print/receipt', { ...receipt, job_type: 'BILL', table_number: '7' });
+        assert.strictEqual(status, 200);
+        assertGolden('bill', front.text());
+    });
+
+    it('formats without HTTP through the formatter and print service', async () => {
+        const { formatter, service, jobQueue } = app.helper;
+        const content = await formatter.formatReceipt(receipt, 'receipt', app.helper.printers.get('tandoor'), 'CUSTOMER_RECEIPT');
+        assert.match(content, /Chicken Tikka Masala/);
+
+        const [job] = service.printJob(receipt, { jobType: 'CUSTOMER_RECEIPT', printerId: 'tandoor', source: 'test' });
+        const settled = await jobQueue.waitForAttempt(job.id, 1000);
+        assert.strictEqual(settled.status, 'COMPLETED');
+        assertGolden('customer-receipt-58mm', tandoor.text());
+    });
+});
@@ -0,0 +1,184 @@
+// Supabase print queue: claiming, reporting, fallbacks and shutdown
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert');
+const { startHelper, createVirtualPrinter, createFakeSupabase, assertGolden, eventually } = require('./helpers/harness');
+const receipt = require('./fixtures/receipt.json');
+const kitchen = require('./fixtures/kitchen.json');
+const template = require('./fixtures/template.json');
+
+describe('Supabase polling', () => {
+    let app;
+
+    afterEach(async () => {
+        await app.stop();
+    });
+
+    // Helper with a front printer (drawer opens for cash receipts) and a kitchen printer
+    async function start(supabase, options = {}) {
+        const front = createVirtualPrinter('front', { actions: { CUSTOMER_RECEIPT: { open_drawer: 'cash' } } });
+        const kitchenPrinter = createVirtualPrinter('kitchen', { station: 'Curry' });
+        app = await startHelper({
+            printers: [front, kitchenPrinter],
+            routing: { default: 'front', job_types: { KITCHEN_TICKET: ['kitchen'] } },
+            supabase,
+            ...options
+        });
+        return { front, kitchenPrinter };
+    }
+
+    it('claims pending jobs, prints them and reports COMPLETED', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [
+                { id: 'job-1', job_type: 'CUSTOMER_RECEIPT', print_data: receipt },
+                { id: 'job-2', job_type: 'KITCHEN_TICKET', print_data: JSON.stringify({ ...kitchen, orderNumber: 'P-2' }) },
+                { id: 'job-3', job_type: 'CUSTOMER_RECEIPT', print_data: template }
+            ]
+        });
+        const { front, kitchenPrinter } = await start(supabase);
+
+        await app.helper.poller.poll();
+        await supabase.waitForCall('update_print_job_status', params => params.p_job_id === 'job-3' && params.p_status === 'COMPLETED');
+        await eventually(() => supabase.jobs.every(job => job.status === 'COMPLETED'));
+
+        assert.deepStrictEqual(supabase.callsTo('claim_print_jobs'), [{ p_worker_id: 'test-worker', p_lease_seconds: 120, p_limit: 10 }]);
+        assert.strictEqual(front.received.length, 2);
+        assert.strictEqual(kitchenPrinter.received.length, 1);
+        assertGolden('customer-receipt', front.text(0));
+        assertGolden('rich-template', front.text(1));
+
+        // Claimed jobs are never printed twice
+        await app.helper.poller.poll();
+        assert.strictEqual(front.received.length, 2);
+    });
+
+    it('marks a job with invalid print_data FAILED without printing', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [
+                { id: 'bad-json', job_type: 'CUSTOMER_RECEIPT', print_data: '{not json' },
+                { id: 'bad-items', job_type: 'KITCHEN_TICKET', print_data: { items: [{ quantity: 1 }] } }
+            ]
+        });
+        const { front, kitchenPrinter } = await start(supabase);
+
+        await app.helper.poller.poll();
+        assert.strictEqual(supabase.job('bad-json').status, 'FAILED');
+        assert.match(supabase.job('bad-json').error_message, /print_data is not valid JSON/);
+        assert.strictEqual(supabase.job('bad-items').status, 'FAILED');
+        assert.match(supabase.job('bad-items').error_message, /Invalid print_data \(kitchen_order\): items\[0\]\.name is required/);
+        assert.strictEqual(front.received.length + kitchenPrinter.received.length, 0);
+    });
+
+    it('reports FAILED with the printer error when a job cannot print', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [{ id: 'job-1', job_type: 'CUSTOMER_RECEIPT', print_data: receipt }]
+        });
+        const { front } = await start(supabase, { env: { QUEUE_MAX_ATTEMPTS: '2' } });
+        front.set({ reachable: false });
+
+        await app.helper.poller.poll();
+        await supabase.waitForCall('update_print_job_status', params => params.p_status === 'FAILED');
+        assert.match(supabase.job('job-1').error_message, /^front: Virtual printer front is offline/);
+    });
+
+    it('reports FAILED when no printer is routed the job', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [{ id: 'job-1', job_type: 'KITCHEN_TICKET', print_data: kitchen }]
+        });
+        const { front, kitchenPrinter } = await start(supabase, {
+            routing: { default: 'front', job_types: { KITCHEN_TICKET: [] } }
+        });
+
+        await app.helper.poller.poll();
+        assert.strictEqual(supabase.job('job-1').status, 'FAILED');
+        assert.match(supabase.job('job-1').error_message, /No printer matched the KITCHEN_TICKET job - nothing was printed/);
+        assert.strictEqual(front.received.length + kitchenPrinter.received.length, 0);
+    });
+
+    it('falls back to get_pending_print_jobs without the claim RPC', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [{ id: 'legacy-1', job_type: 'BILL', print_data: receipt }],
+            missing: ['claim_print_jobs', 'release_print_jobs']
+        });
+        const { front } = await start(supabase);
+
+        await app.helper.poller.poll();
+        await eventually(() => supabase.job('legacy-1').status === 'COMPLETED');
+
+        assert.deepStrictEqual(supabase.callsTo('update_print_job_status').map(params => params.p_status), ['PRINTING', 'COMPLETED']);
+        assert.strictEqual(supabase.callsTo('get_pending_print_jobs').length, 1);
+        assert.strictEqual(front.received.length, 1);
+        assert.strictEqual(app.helper.poller.state().polling.mode, 'legacy');
+    });
+
+    it('loads templates from the print_templates table', async () => {
+        const supabase = createFakeSupabase({
+            tables: {
+                print_templates: [{
+                    name: 'collection_slip',
+                    active: true,
+                    match: { job_types: ['CUSTOMER_RECEIPT'], order_types: ['collection'] },
+                    definition: { blocks: [{ type: 'text', text: 'COLLECTION {{orderNumber}}' }, { type: 'cut' }] }
+                }]
+            }
+        });
+        const { front } = await start(supabase);
+
+        const { body } = await app.post('/templates/reload', {});
+        assert.strictEqual(body.templates.find(entry => entry.name === 'collection_slip').source, 'supabase');
+
+        await app.post('/print/receipt', { ...receipt, orderType: 'COLLECTION' });
+        assert.match(front.text(), /^COLLECTION 1042$/m);
+    });
+
+    it('releases unprinted jobs and reports printers offline on shutdown', async () => {
+        const supabase = createFakeSupabase({
+            jobs: [
+                { id: 'printing', job_type: 'CUSTOMER_RECEIPT', print_data: receipt },
+                { id: 'waiting', job_type: 'KITCHEN_TICKET', print_data: kitchen }
+            ]
+        });
+        const { front, kitchenPrinter } = await start(supabase);
+        const release = front.hold();
+        kitchenPrinter.set({ online: false });
+
+        await app.helper.poller.poll();
+        await eventually(() => app.helper.jobQueue.list({ status: 'PRINTING' }).length === 1);
+
+        const stopped = app.helper.shutdown('test');
+        setTimeout(release, 50);
+        await stopped;
+
+        // The receipt in progress finished; the kitchen ticket went back to the pool
+        assert.strictEqual(front.received.length, 1);
+        assert.strictEqual(supabase.job('printing').status, 'COMPLETED');
+        assert.strictEqual(supabase.job('waiting').status, 'PENDING');
+        assert.strictEqual(supabase.job('waiting').worker_id, null);
+        assert.match(supabase.job('waiting').error_message, /Printer helper test-worker stopped \(test\)/);
+        assert.deepStrictEqual(app.helper.jobQueue.list({ printerId: 'kitchen' }), []);
+        assert.strictEqual(supabase.printerStatus.get('kitchen').details.helper_stopped, true);
+        assert.strictEqual(supabase.printerStatus.get('front').status, 'offline');
+    });
+
+    it('only prints the missing station when a released job is claimed again', async () => {
+        const order = { ...kitchen, orderNumber: 'R-1', items: kitchen.items.map(item => ({ ...item, category: item.station || 'curry' })) };
+        const supabase = createFakeSupabase({ jobs: [{ id: 'split', job_type: 'KITCHEN_TICKET', print_data: order }] });
+        const { kitchenPrinter } = await start(supabase, {
+            routing: { default: 'front', job_types: { KITCHEN_TICKET: ['kitchen'] }, categories: { tandoor: 'front', curry: 'kitchen' } }
+        });
+        kitchenPrinter.set({ online: false });
+
+        await app.helper.poller.poll();
+        await eventually(() => app.helper.jobQueue.list({ status: 'COMPLETED', printerId: 'front' }).length === 1);
+
+        // The kitchen printer is offline, so the job is still PRINTING under our lease.
+        // Hand it back as if another worker's lease had expired and claim it again.
+        supabase.job('split').status = 'PENDING';
+        kitchenPrinter.set({ online: true });
+        app.helper.jobQueue.list({ printerId: 'kitchen' }).forEach(entry => app.helper.jobQueue.remove(entry.id));
+
+        await app.helper.poller.poll();
+        await eventually(() => supabase.job('split').status === 'COMPLETED');
+        assert.strictEqual(kitchenPrinter.received.length, 1);
+        assert.strictEqual(app.helper.jobQueue.list({ printerId: 'front' }).length, 1);
+    });
+});
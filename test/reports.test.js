@@ -0,0 +1,114 @@
+// X/Z shift reports: figures, Supabase orders, drawer openings and REPORT jobs
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const { startHelper, createVirtualPrinter, createFakeSupabase, assertGolden, eventually } = require('./helpers/harness');
+const { scheduleDaily } = require('../lib/reports');
+const orders = require('./fixtures/orders.json');
+
+// Orders from business day 2026-10-16 (the last fixture was rung up the night before)
+const todaysOrders = orders.filter(order => order.created_at >= '2026-10-16T04:00');
+
+describe('shift reports', () => {
+    const front = createVirtualPrinter('front', { name: 'Front Counter' });
+    const supabase = createFakeSupabase({ tables: { orders } });
+    let app;
+
+    before(async () => {
+        app = await startHelper({ printers: [front], supabase });
+    });
+
+    after(() => app.stop());
+
+    beforeEach(() => front.clear());
+
+    it('prints a Z report for a business day', async () => {
+        const { status, body } = await app.post('/print/report', { report_type: 'Z', date: '2026-10-16', orders: todaysOrders });
+        assert.strictEqual(status, 200);
+        assert.strictEqual(app.helper.jobQueue.get(body.results[0].job_id).job_type, 'REPORT');
+        assertGolden('z-report', front.text());
+    });
+
+    it('reads the orders for an X report from Supabase', async () => {
+        const { status } = await app.post('/print/report', {});
+        assert.strictEqual(status, 200);
+
+        const text = front.text();
+        assert.match(text, /X REPORT - INTERIM/);
+        assert.match(text, /2026-10-16 04:00/);
+        // The cancelled order counts as a void, not a sale
+        assert.match(text, /Orders +4/);
+        assert.match(text, /Interim report - the day is not closed/);
+        // Rung up before 04:00, so it belongs to the day before
+        assert.match(text, /Items sold +12/);
+    });
+
+    it('counts cash drawer openings in the period', async () => {
+        const from = new Date().toISOString();
+        await app.post('/drawer/open', { reason: 'change for the float' });
+        await app.post('/drawer/open', {});
+        front.clear();
+
+        const { status } = await app.post('/print/report', { from, to: new Date().toISOString(), orders: [] });
+        assert.strictEqual(status, 200);
+        assert.match(front.text(), /No sale +2/);
+        assert.match(front.text(), /No items sold/);
+    });
+
+    it('rejects a report it cannot work out', async () => {
+        assert.strictEqual((await app.post('/print/report', { report_type: 'Y' })).status, 400);
+        assert.strictEqual((await app.post('/print/report', { date: 'yesterday' })).status, 400);
+
+        const { status, body } = await app.post('/print/report', { from: '2026-10-16T12:00:00Z', to: '2026-10-16T10:00:00Z' });
+        assert.strictEqual(status, 400);
+        assert.match(body.error, /ends before it starts/);
+        assert.strictEqual(front.received.length, 0);
+    });
+});
+
+describe('shift reports without Supabase', () => {
+    it('asks for the orders when there is nowhere to read them from', async () => {
+        const front = createVirtualPrinter('front');
+        const app = await startHelper({ printers: [front] });
+        try {
+            const { status, body } = await app.post('/print/report', { report_type: 'X' });
+            assert.strictEqual(status, 400);
+            assert.match(body.error, /Supabase is not configured/);
+            assert.strictEqual(front.received.length, 0);
+        } finally {
+            await app.stop();
+        }
+    });
+});
+
+describe('REPORT jobs from Supabase', () => {
+    it('works out the figures when the job is claimed', async () => {
+        const front = createVirtualPrinter('front');
+        const supabase = createFakeSupabase({
+            jobs: [{ id: 'report-1', job_type: 'REPORT', print_data: { report_type: 'Z', date: '2026-10-16' } }],
+            tables: { orders }
+        });
+        const app = await startHelper({ printers: [front], supabase });
+        try {
+            await app.helper.poller.poll();
+            await eventually(() => supabase.job('report-1').status === 'COMPLETED');
+            assertGolden('z-report', front.text());
+        } finally {
+            await app.stop();
+        }
+    });
+});
+
+describe('scheduleDaily', () => {
+    it('runs next at the given time, today or tomorrow', () => {
+        const at = (time) => scheduleDaily('23:30', () => {}, { clock: () => new Date(time) });
+        const later = at('2026-10-16T19:30:00');
+        const tomorrow = at('2026-10-16T23:45:00');
+        try {
+            assert.strictEqual(later.next().toISOString(), '2026-10-16T23:30:00.000Z');
+            assert.strictEqual(tomorrow.next().toISOString(), '2026-10-17T23:30:00.000Z');
+        } finally {
+            later.stop();
+            tomorrow.stop();
+        }
+    });
+});
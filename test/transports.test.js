@@ -0,0 +1,115 @@
+// Printer transports: system spooler selection and the CUPS backend
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/harness');
+const { createTransport, createCupsTransport, createWindowsSpoolerTransport, spoolerBackend, removeStaleTempFiles } = require('../lib/transports');
+
+describe('spooler backend', () => {
+    it('uses the Windows spooler on Windows and CUPS everywhere else', () => {
+        assert.strictEqual(spoolerBackend('win32'), 'windows');
+        assert.strictEqual(spoolerBackend('linux'), 'cups');
+        assert.strictEqual(spoolerBackend('darwin'), 'cups');
+    });
+
+    it('builds the backend for this machine from a spooler entry', () => {
+        const transport = createTransport({ type: 'spooler', printerName: 'Kitchen' });
+        assert.strictEqual(transport.type, spoolerBackend() === 'windows' ? 'spooler' : 'cups');
+        assert.strictEqual(transport.target, 'Kitchen');
+    });
+});
+
+describe('spooler temp files', () => {
+    it('removes leftovers named with and without the random suffix', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-helper-spool-'));
+        try {
+            const names = [`receipt_1_${process.pid}.bin`, `receipt_1_${process.pid}_${crypto.randomUUID()}.bin`, 'receipt_notes.txt'];
+            names.forEach(name => fs.writeFileSync(path.join(dir, name), 'x'));
+            assert.strictEqual(removeStaleTempFiles(dir), 2);
+            assert.deepStrictEqual(fs.readdirSync(dir), ['receipt_notes.txt']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Windows spooler transport', { skip: process.platform === 'win32' && 'needs a POSIX shell' }, () => {
+    it('gives up on a PowerShell that hangs, so the job is retried', async () => {
+        // Stand-in for powershell that never finishes
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-helper-ps-'));
+        const originalPath = process.env.PATH;
+        fs.writeFileSync(path.join(dir, 'powershell'), '#!/bin/sh\nexec sleep 30\n');
+        fs.chmodSync(path.join(dir, 'powershell'), 0o755);
+        process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+        try {
+            const transport = createWindowsSpoolerTransport({ printerName: 'Kitchen', timeout: 200 });
+            const error = await transport.send(Buffer.from('x')).then(() => null, rejected => rejected);
+            assert.match(error.message, /Windows spooler timed out after 200 ms for Kitchen/);
+            assert.strictEqual(error.retryable, true);
+        } finally {
+            process.env.PATH = originalPath;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('CUPS transport', { skip: process.platform === 'win32' && 'needs a POSIX shell' }, () => {
+    let dir;
+    let lp;
+
+    // Stand-in for lp: records its arguments and stdin, then answers like CUPS
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-helper-lp-'));
+        lp = path.join(dir, 'lp');
+        fs.writeFileSync(lp, [
+            '#!/bin/sh',
+            `echo "$@" > "${dir}/args"`,
+            `cat > "${dir}/job.bin"`,
+            'case "$*" in *missing*) echo "lp: The printer or class does not exist." >&2; exit 1;; esac',
+            'echo "request id is Kitchen-42 (0 file(s))"'
+        ].join('\n'));
+        fs.chmodSync(lp, 0o755);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('sends the bytes as a raw job to the queue', async () => {
+        const transport = createCupsTransport({ printerName: 'Kitchen' }, { command: lp });
+        const bytes = Buffer.from([0x1B, 0x40, 0x9C, 0x0A, 0x1D, 0x56, 0x00]);
+        await transport.send(bytes);
+
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'args'), 'utf8').trim(), '-d Kitchen -o raw -t Cottage Tandoori Print Job');
+        assert.deepStrictEqual(fs.readFileSync(path.join(dir, 'job.bin')), bytes);
+    });
+
+    it('prints to another CUPS server with -h', async () => {
+        const transport = createCupsTransport({ queue: 'Bar', server: 'backoffice.local:631' }, { command: lp });
+        assert.strictEqual(transport.target, 'Bar@backoffice.local:631');
+        await transport.send(Buffer.from('x'));
+        assert.match(fs.readFileSync(path.join(dir, 'args'), 'utf8'), /^-h backoffice.local:631 -d Bar -o raw/);
+    });
+
+    it('rejects with what lp said when the job is refused', async () => {
+        const transport = createCupsTransport({ printerName: 'missing' }, { command: lp });
+        await assert.rejects(transport.send(Buffer.from('x')), /lp failed for missing: lp: The printer or class does not exist\./);
+    });
+
+    it('explains a missing lp command', async () => {
+        const transport = createCupsTransport({ printerName: 'Kitchen' }, { command: path.join(dir, 'no-such-lp') });
+        await assert.rejects(transport.send(Buffer.from('x')), /lp not found - install CUPS/);
+    });
+
+    it('never runs a command named in the printer config', async () => {
+        fs.rmSync(path.join(dir, 'args'), { force: true });
+        const transport = createTransport({ type: 'cups', printerName: 'Kitchen', command: lp, timeout: 2000 });
+        await transport.send(Buffer.from('x')).catch(() => {});
+        assert.ok(!fs.existsSync(path.join(dir, 'args')));
+    });
+
+    it('needs a queue name', () => {
+        assert.throws(() => createCupsTransport({}), /requires a queue name/);
+    });
+});
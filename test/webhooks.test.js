@@ -0,0 +1,139 @@
+// Outgoing webhooks and per-request print callbacks
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { startHelper, createVirtualPrinter, eventually } = require('./helpers/harness');
+const { signRequest } = require('../lib/access');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+const receipt = require('./fixtures/receipt.json');
+
+const SECRET = 'webhook-test-secret';
+
+// HTTP server recording every delivery; `failures` replies 503 to that many requests
+function startReceiver() {
+    const receiver = { received: [], failures: 0 };
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            receiver.received.push({ url: req.url, headers: req.headers, raw, body: JSON.parse(raw) });
+            if (receiver.failures > 0) {
+                receiver.failures--;
+                res.writeHead(503).end();
+                return;
+            }
+            res.writeHead(204).end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        receiver.url = `http://127.0.0.1:${server.address().port}`;
+        receiver.close = () => new Promise(done => server.close(done));
+        receiver.events = (event, predicate = () => true) => receiver.received.filter(entry => entry.body.event === event && predicate(entry));
+        resolve(receiver);
+    }));
+}
+
+describe('webhooks', () => {
+    const front = createVirtualPrinter('front', { name: 'Front Counter' });
+    let receiver;
+    let app;
+
+    before(async () => {
+        receiver = await startReceiver();
+        app = await startHelper({
+            printers: [front],
+            env: {
+                WEBHOOK_URLS: `${receiver.url}/hooks/printer?site=cottage`,
+                WEBHOOK_SECRET: SECRET,
+                WEBHOOK_RETRY_DELAY: '20',
+                CALLBACK_ALLOWED_HOSTS: '127.0.0.1'
+            }
+        });
+    });
+
+    after(async () => {
+        await app.stop();
+        await receiver.close();
+    });
+
+    beforeEach(() => {
+        front.clear();
+        front.set({ online: true, reachable: true, paper_end: false });
+        receiver.received.length = 0;
+        receiver.failures = 0;
+    });
+
+    it('sends signed job.queued, job.printing and job.completed events', async () => {
+        const { body } = await app.post('/print/receipt', receipt);
+        const jobId = body.results[0].job_id;
+        const forJob = entry => entry.body.data.id === jobId;
+        await eventually(() => receiver.events('job.completed', forJob).length === 1);
+
+        for (const event of ['job.queued', 'job.printing', 'job.completed']) {
+            assert.strictEqual(receiver.events(event, forJob).length, 1, event);
+        }
+        const [delivery] = receiver.events('job.completed', forJob);
+        assert.strictEqual(delivery.url, '/hooks/printer?site=cottage');
+        assert.strictEqual(delivery.headers['x-webhook-event'], 'job.completed');
+        assert.strictEqual(delivery.headers['x-webhook-id'], delivery.body.id);
+        assert.strictEqual(delivery.headers['x-webhook-source'], 'test-worker');
+        assert.strictEqual(delivery.headers['x-signature'], signRequest(SECRET, {
+            timestamp: delivery.headers['x-timestamp'],
+            method: 'POST',
+            url: delivery.url,
+            body: delivery.raw
+        }));
+        assert.strictEqual(delivery.body.data.printer_name, 'Front Counter');
+        assert.strictEqual(delivery.body.data.order_number, '1042');
+        assert.strictEqual(delivery.body.data.data, undefined);
+    });
+
+    it('retries a delivery the receiver could not take', async () => {
+        receiver.failures = 1;
+        await app.post('/print/receipt', receipt);
+
+        const retried = await eventually(() => receiver.received.find(entry => entry.headers['x-webhook-attempt'] === '2'));
+        const first = receiver.received.find(entry => entry.body.id === retried.body.id && entry.headers['x-webhook-attempt'] === '1');
+        assert.ok(first, 'first attempt recorded');
+        assert.strictEqual(retried.raw, first.raw);
+    });
+
+    it('tells the callback_url once a queued job prints', async () => {
+        front.set({ online: false });
+        const { status, body } = await app.post('/print/receipt', { ...receipt, callback_url: `${receiver.url}/orders/1042/printed` });
+        assert.strictEqual(status, 202);
+
+        front.set({ online: true });
+        const callback = await eventually(() => receiver.received.find(entry => entry.url === '/orders/1042/printed'));
+        assert.strictEqual(callback.body.event, 'job.completed');
+        assert.strictEqual(callback.body.data.id, body.results[0].job_id);
+        assert.strictEqual(callback.body.data.callback_url, undefined);
+        // Only the outcome goes to the callback_url
+        assert.strictEqual(receiver.received.filter(entry => entry.url === '/orders/1042/printed').length, 1);
+    });
+
+    it('rejects a callback_url outside CALLBACK_ALLOWED_HOSTS', async () => {
+        const { status, body } = await app.post('/print/receipt', { ...receipt, callback_url: 'https://example.com/printed' });
+        assert.strictEqual(status, 400);
+        assert.deepStrictEqual(body.errors.map(error => error.field), ['callback_url']);
+        assert.strictEqual(front.received.length, 0);
+    });
+
+    it('sends printer.status_changed when a printer runs out of paper', async () => {
+        await app.get('/printers/front/status?refresh=true');
+        front.set({ paper_end: true });
+        await app.get('/printers/front/status?refresh=true');
+
+        const change = await eventually(() => receiver.events('printer.status_changed', entry => entry.body.data.status === 'paper_end')[0]);
+        assert.strictEqual(change.body.data.printer_id, 'front');
+        assert.strictEqual(change.body.data.name, 'Front Counter');
+        assert.strictEqual(change.body.data.previous_status, 'ready');
+    });
+});
+
+describe('print callbacks', () => {
+    it('are refused until CALLBACK_ALLOWED_HOSTS is set', () => {
+        assert.match(createWebhookDispatcher().checkCallbackUrl('http://127.0.0.1:8080/admin'), /set CALLBACK_ALLOWED_HOSTS/);
+        assert.strictEqual(createWebhookDispatcher({ callbackHosts: ['pos.example.com'] }).checkCallbackUrl('https://pos.example.com/printed'), null);
+    });
+});